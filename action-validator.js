@@ -0,0 +1,133 @@
+const AMOUNT_ACTIONS = new Set(['bet', 'raise']);
+
+function actionMap(availableActions) {
+  const map = new Map();
+  for (const a of availableActions || []) {
+    if (a.type) map.set(a.type.toLowerCase(), a);
+  }
+  return map;
+}
+
+/**
+ * Fit a parsed decision to the actions the server offered.
+ *
+ * - `bet` ↔ `raise` follow whichever one is available
+ * - bet/raise amounts are clamped into `minAmount..maxAmount`; a raise to
+ *   the maximum becomes `all_in` when that is offered
+ * - `check` facing a bet becomes `call` only when the call costs nothing,
+ *   `call` with nothing to call becomes `check`
+ * - anything still unavailable falls back to check, then fold
+ *
+ * @param {{action: string, amount?: number, narration?: string}} decision
+ * @param {object[]} availableActions
+ * @returns {{decision: object, changes: string[]}}
+ */
+export function legalizeDecision(decision, availableActions) {
+  const actions = actionMap(availableActions);
+  if (actions.size === 0) return { decision, changes: [] };
+  const changes = [];
+  let action = String(decision.action || '').toLowerCase();
+  let amount = decision.amount != null ? Number(decision.amount) : undefined;
+
+  if (action !== decision.action) changes.push(`normalised "${decision.action}" to "${action}"`);
+
+  if (action === 'bet' && !actions.has('bet') && actions.has('raise')) {
+    action = 'raise';
+    changes.push('bet → raise');
+  } else if (action === 'raise' && !actions.has('raise') && actions.has('bet')) {
+    action = 'bet';
+    changes.push('raise → bet');
+  }
+
+  if (action === 'check' && !actions.has('check')) {
+    const call = actions.get('call');
+    if (call && !call.amount) {
+      action = 'call';
+      changes.push('check → call 0');
+    }
+  } else if (action === 'call' && !actions.has('call') && actions.has('check')) {
+    action = 'check';
+    changes.push('call → check (nothing to call)');
+  }
+
+  if (action === 'all_in' && !actions.has('all_in')) {
+    const raise = actions.get('raise') || actions.get('bet');
+    if (raise?.maxAmount != null) {
+      action = raise.type.toLowerCase();
+      amount = raise.maxAmount;
+      changes.push(`all_in → ${action} ${amount}`);
+    } else if (actions.has('call')) {
+      action = 'call';
+      changes.push('all_in → call');
+    }
+  }
+
+  if (AMOUNT_ACTIONS.has(action) && actions.has(action)) {
+    const spec = actions.get(action);
+    const min = spec.minAmount ?? amount;
+    const max = spec.maxAmount ?? amount;
+    if (amount == null || !Number.isFinite(amount)) {
+      amount = min;
+      changes.push(`missing amount → ${amount}`);
+    }
+    const clamped = Math.round(Math.min(max, Math.max(min, amount)));
+    if (clamped !== amount) {
+      changes.push(`amount ${amount} clamped to ${clamped}`);
+      amount = clamped;
+    }
+    if (amount >= max && actions.has('all_in')) {
+      changes.push(`${action} to max → all_in`);
+      action = 'all_in';
+      amount = undefined;
+    }
+  } else if (amount !== undefined) {
+    amount = undefined;
+  }
+
+  if (!actions.has(action)) {
+    const safe = actions.has('check') ? 'check' : 'fold';
+    changes.push(`${action} unavailable → ${safe}`);
+    action = safe;
+    amount = undefined;
+  }
+
+  const result = { ...decision, action };
+  if (amount !== undefined) result.amount = amount;
+  else delete result.amount;
+  return { decision: result, changes };
+}
+
+/**
+ * The legal action to retry with after the server rejected `decision`.
+ * An offered action is retried as it is, a bet or raise with its amount
+ * clamped into range. Only an action that is not offered steps down:
+ * raise → call → check → fold, with a free call standing in for check.
+ *
+ * @param {{action: string, amount?: number}} decision
+ * @param {object[]} availableActions
+ * @returns {{action: string, amount?: number}|null} null for a rejected fold, or when nothing is offered
+ */
+export function correctRejectedDecision(decision, availableActions) {
+  const actions = actionMap(availableActions);
+  const action = String(decision.action || '').toLowerCase();
+  if (action === 'fold') return null;
+
+  // bet and raise stand in for each other, as in legalizeDecision
+  const raise = AMOUNT_ACTIONS.has(action) ? actions.get(action) || actions.get('bet') || actions.get('raise') : null;
+  if (raise) {
+    const min = raise.minAmount ?? decision.amount;
+    const max = raise.maxAmount ?? decision.amount;
+    const amount = Number.isFinite(decision.amount) ? Math.round(Math.min(max, Math.max(min, decision.amount))) : min;
+    return amount != null ? { action: raise.type.toLowerCase(), amount } : { action: raise.type.toLowerCase() };
+  }
+  if (actions.has(action)) return { action };
+
+  if (action === 'check' && actions.has('call') && !actions.get('call').amount) return { action: 'call' };
+
+  const order = ['call', 'check', 'fold'];
+  const start = order.includes(action) ? order.indexOf(action) + 1 : 0;
+  for (const candidate of order.slice(start)) {
+    if (actions.has(candidate)) return { action: candidate };
+  }
+  return null;
+}
@@ -0,0 +1,248 @@
+import { readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { TRANSPORT_TYPES } from './transports.js';
+import { PROFILE_NAMES, DEFAULT_PROFILE } from './strategy-profiles.js';
+import { LOCALES, DEFAULT_LOCALE } from './messages.js';
+
+/**
+ * Listener configuration, layered: defaults, then `poker-config.json`, then
+ * POKER_* environment variables, then CLI flags. Every setting has one key
+ * (used in the file), one env var and one flag.
+ */
+
+export const ENGINES = ['agent', 'rules', 'hybrid'];
+export const THINKING_LEVELS = ['off', 'minimal', 'low', 'medium', 'high'];
+export const VERBOSITY_LEVELS = ['quiet', 'normal', 'verbose'];
+
+export const DEFAULT_CONFIG_FILE = join(dirname(fileURLToPath(import.meta.url)), 'poker-config.json');
+
+// type: string | list | number (seconds unless noted) | enum
+// flagOnly keys can only be set on the command line
+export const CONFIG_SCHEMA = {
+  backendUrl:          { flag: '--backend-url', env: 'POKER_BACKEND_URL', type: 'string', default: null },
+  apiKey:              { flag: '--api-key', env: 'POKER_API_KEY', type: 'string', default: null },
+  credentialsPath:     { flag: '--credentials', env: 'POKER_CREDENTIALS', type: 'string', default: '~/.openclaw/workspace/memory/poker-creds.json' },
+  tables:              { flag: '--tables', env: 'POKER_TABLES', type: 'list', default: [] },
+  transport:           { flag: '--transport', env: 'POKER_TRANSPORT', type: 'enum', values: TRANSPORT_TYPES, default: null },
+  channel:             { flag: '--channel', env: 'POKER_CHANNEL', type: 'string', default: null },
+  target:              { flag: '--target', env: 'POKER_TARGET', type: 'string', default: null },
+  webhookUrl:          { flag: '--webhook-url', env: 'POKER_WEBHOOK_URL', type: 'string', default: null },
+  messageFile:         { flag: '--message-file', env: 'POKER_MESSAGE_FILE', type: 'string', default: null },
+  engine:              { flag: '--engine', env: 'POKER_ENGINE', type: 'enum', values: ENGINES, default: 'agent' },
+  gameMode:            { flag: '--game-mode', env: 'POKER_GAME_MODE', type: 'string', default: null },
+  strategyProfile:     { flag: '--profile', env: 'POKER_PROFILE', type: 'enum', values: PROFILE_NAMES, default: DEFAULT_PROFILE },
+  thinking:            { flag: '--thinking', env: 'POKER_THINKING', type: 'enum', values: THINKING_LEVELS, default: 'low' },
+  agentTimeout:        { flag: '--agent-timeout', env: 'POKER_AGENT_TIMEOUT', type: 'number', default: 45 },
+  agentProcessTimeout: { flag: '--agent-process-timeout', env: 'POKER_AGENT_PROCESS_TIMEOUT', type: 'number', default: 55 },
+  actionDeadline:      { flag: '--action-deadline', env: 'POKER_ACTION_DEADLINE', type: 'number', default: 30 },
+  safetyMargin:        { flag: '--safety-margin', env: 'POKER_SAFETY_MARGIN', type: 'number', default: 5 },
+  batchWindow:         { flag: '--batch-window', env: 'POKER_BATCH_WINDOW', type: 'number', default: 0 },
+  verbosity:           { flag: '--verbosity', env: 'POKER_VERBOSITY', type: 'enum', values: VERBOSITY_LEVELS, default: 'normal' },
+  locale:              { flag: '--locale', env: 'POKER_LOCALE', type: 'enum', values: LOCALES, default: DEFAULT_LOCALE },
+  record:              { flag: '--record', env: 'POKER_RECORD', type: 'string', default: null },
+  replay:              { flag: '--replay', type: 'string', default: null, flagOnly: true },
+  replaySpeed:         { flag: '--replay-speed', env: 'POKER_REPLAY_SPEED', type: 'number', default: 1 },
+};
+
+const FLAGS = new Map(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [spec.flag, key]));
+
+/**
+ * Check and convert one raw value. Returns `{value}` or `{error}`.
+ * Env and CLI values arrive as strings; file values keep their JSON type.
+ */
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return { error: `expected a non-negative number of seconds, got ${JSON.stringify(raw)}` };
+      }
+      return { value };
+    }
+    case 'list': {
+      const items = Array.isArray(raw) ? raw.map(String) : typeof raw === 'string' ? raw.split(',') : null;
+      if (!items) return { error: `expected a comma-separated string or an array, got ${JSON.stringify(raw)}` };
+      return { value: [...new Set(items.map(s => s.trim()).filter(Boolean))] };
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) return { error: `expected one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}` };
+      return { value: raw };
+    default:
+      if (typeof raw !== 'string' || raw === '') return { error: `expected a non-empty string, got ${JSON.stringify(raw)}` };
+      return { value: raw };
+  }
+}
+
+/**
+ * Read the config file. A missing default file is fine; a file that was
+ * asked for explicitly must exist.
+ */
+function readConfigFile(path, required, readFile) {
+  let text;
+  try {
+    text = readFile(path);
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return { values: {}, errors: [] };
+    return { values: {}, errors: [`${path}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`] };
+  }
+  let values;
+  try {
+    values = JSON.parse(text);
+  } catch (err) {
+    return { values: {}, errors: [`${path}: invalid JSON (${err.message})`] };
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { values: {}, errors: [`${path}: expected a JSON object`] };
+  }
+  return { values, errors: [] };
+}
+
+/** Split argv (after the script path) into flag values, or errors. */
+function parseFlags(args) {
+  const values = {};
+  const errors = [];
+  let configPath = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const key = FLAGS.get(arg);
+    if (arg !== '--config' && !key) {
+      errors.push(arg.startsWith('--')
+        ? `Unknown flag ${arg}`
+        : `Unexpected argument "${arg}" (settings are passed as flags, e.g. --backend-url, --api-key, --tables)`);
+      continue;
+    }
+    const value = args[i + 1];
+    if (value == null || value.startsWith('--')) {
+      errors.push(`${arg}: missing value`);
+      continue;
+    }
+    if (arg === '--config') configPath = value;
+    else values[key] = value;
+    i++;
+  }
+  return { values, errors, configPath };
+}
+
+/** `~/x` → home-relative path. */
+export function expandHome(path) {
+  return path?.startsWith('~/') ? join(homedir(), path.slice(2)) : path;
+}
+
+/**
+ * Resolve the listener configuration from all layers.
+ *
+ * `sources` records where each key's value came from (default, file, env
+ * or flag). `errors` lists every problem found, each naming its source, so
+ * they can all be reported at once.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - process.argv
+ * @param {object} [options.env] - process.env
+ * @param {(path: string) => string} [options.readFile]
+ * @param {string} [options.defaultConfigFile]
+ * @returns {{config: object, sources: object, errors: string[]}}
+ */
+export function loadConfig({
+  argv = process.argv,
+  env = process.env,
+  readFile = path => readFileSync(path, 'utf8'),
+  defaultConfigFile = DEFAULT_CONFIG_FILE,
+} = {}) {
+  const flags = parseFlags(argv.slice(2));
+  const errors = [...flags.errors];
+  const configPath = flags.configPath || env.POKER_CONFIG || defaultConfigFile;
+  const file = readConfigFile(expandHome(configPath), configPath !== defaultConfigFile, readFile);
+  errors.push(...file.errors);
+
+  const config = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    config[key] = spec.default;
+    sources[key] = 'default';
+  }
+
+  function apply(key, raw, source) {
+    const spec = CONFIG_SCHEMA[key];
+    const { value, error } = coerce(spec, raw);
+    if (error) {
+      errors.push(`${source}: ${error}`);
+      return;
+    }
+    config[key] = value;
+    sources[key] = source;
+  }
+
+  for (const [key, raw] of Object.entries(file.values)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec || spec.flagOnly) errors.push(`${configPath}: unknown key "${key}"`);
+    else if (raw !== null) apply(key, raw, `${configPath} (${key})`);
+  }
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (spec.env && env[spec.env] != null && env[spec.env] !== '') apply(key, env[spec.env], spec.env);
+  }
+  for (const [key, raw] of Object.entries(flags.values)) {
+    apply(key, raw, CONFIG_SCHEMA[key].flag);
+  }
+
+  // Replays read a file; only live play needs a backend
+  if (!config.replay) {
+    errors.push(...requireLiveSettings(config, readFile));
+  }
+  if (config.transport === 'openclaw' && !(config.channel && config.target)) {
+    errors.push('transport openclaw needs both channel and target (--channel, --target)');
+  }
+  return { config, sources, errors };
+}
+
+/** Backend, tables and an API key, reading the key from the credentials file if needed. */
+function requireLiveSettings(config, readFile) {
+  const errors = [];
+  if (!config.backendUrl) errors.push('No backend URL: set --backend-url, POKER_BACKEND_URL or "backendUrl" in poker-config.json');
+  if (!config.tables.length) errors.push('No table: set --tables, POKER_TABLES or "tables" in poker-config.json');
+  if (!config.apiKey) {
+    const path = expandHome(config.credentialsPath);
+    try {
+      config.apiKey = JSON.parse(readFile(path)).apiKey || null;
+    } catch { /* reported below */ }
+    if (!config.apiKey) errors.push(`No API key: set --api-key or POKER_API_KEY, or save "apiKey" in ${path}`);
+  }
+  return errors;
+}
+
+/**
+ * Message delivery settings for createTransport. Without an explicit
+ * transport it is inferred from whichever target is configured; nothing
+ * configured means stdout fallback mode (`enabled: false`).
+ */
+export function deliveryOptions(config) {
+  let transport = config.transport;
+  if (!transport) {
+    if (config.webhookUrl) transport = 'webhook';
+    else if (config.messageFile) transport = 'file';
+    else if (config.channel && config.target) transport = 'openclaw';
+  }
+  return {
+    enabled: !!transport,
+    transport,
+    channel: config.channel,
+    chatId: config.target,
+    webhookUrl: config.webhookUrl,
+    messageFile: config.messageFile,
+  };
+}
+
+/** Agent invocation settings for table sessions. */
+export function agentOptions(config) {
+  return {
+    thinking: config.thinking,
+    timeoutSec: config.agentTimeout,
+    processTimeoutMs: config.agentProcessTimeout * 1000,
+  };
+}
+
+/** Turn clock settings for table sessions. */
+export function turnDeadlineOptions(config) {
+  return { deadlineMs: config.actionDeadline * 1000, safetyMarginMs: config.safetyMargin * 1000 };
+}
@@ -0,0 +1,190 @@
+import { parseCard, scoreCards } from './hand-evaluator.js';
+
+const FULL_DECK = [];
+for (const r of '23456789TJQKA') {
+  for (const s of 'shdc') FULL_DECK.push(r + s);
+}
+
+/**
+ * Deterministic PRNG (mulberry32) for reproducible equity estimates.
+ *
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Monte Carlo equity of our hole cards against random opponent holdings.
+ *
+ * Deals the unknown board and `opponents` random hands `iterations` times.
+ * Ties count as a fractional share of the pot.
+ *
+ * @param {string[]} yourCards - Hole cards, e.g. ['As', 'Kh']
+ * @param {string[]} boardCards - Known community cards (0–5)
+ * @param {number} opponents - Number of live opponents
+ * @param {{iterations?: number, random?: () => number}} [options]
+ * @returns {{equity: number, win: number, tie: number, iterations: number}|null}
+ */
+export function estimateEquity(yourCards, boardCards, opponents, options = {}) {
+  const { iterations = 1500, random = Math.random } = options;
+  const hole = (yourCards || []).map(parseCard);
+  if (hole.length !== 2 || hole.some(c => !c) || opponents < 1) return null;
+  const board = (boardCards || []).map(parseCard).filter(Boolean);
+
+  const known = new Set([...yourCards, ...(boardCards || [])]);
+  const deck = FULL_DECK.filter(c => !known.has(c)).map(parseCard);
+  const missing = 5 - board.length;
+  const needed = missing + opponents * 2;
+  if (needed > deck.length) return null;
+
+  let wins = 0;
+  let ties = 0;
+  let share = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    // Partial Fisher-Yates: only shuffle the cards we actually deal
+    for (let j = 0; j < needed; j++) {
+      const k = j + Math.floor(random() * (deck.length - j));
+      [deck[j], deck[k]] = [deck[k], deck[j]];
+    }
+
+    const runout = board.concat(deck.slice(0, missing));
+    const ours = scoreCards(hole.concat(runout)).score;
+
+    let best = 0;
+    let tied = 0;
+    for (let o = 0; o < opponents; o++) {
+      const start = missing + o * 2;
+      const theirs = scoreCards([deck[start], deck[start + 1]].concat(runout)).score;
+      if (theirs > best) { best = theirs; tied = 0; }
+      if (theirs === best) tied++;
+    }
+
+    if (ours > best) {
+      wins++;
+      share += 1;
+    } else if (ours === best) {
+      ties++;
+      share += 1 / (tied + 1);
+    }
+  }
+
+  return {
+    equity: share / iterations,
+    win: wins / iterations,
+    tie: ties / iterations,
+    iterations,
+  };
+}
+
+// Every way to pick `k` cards from `cards`
+function combinations(cards, k, start = 0, picked = [], out = []) {
+  if (picked.length === k) {
+    out.push([...picked]);
+    return out;
+  }
+  for (let i = start; i <= cards.length - (k - picked.length); i++) {
+    picked.push(cards[i]);
+    combinations(cards, k, i + 1, picked, out);
+    picked.pop();
+  }
+  return out;
+}
+
+/**
+ * Equity of several known hands against each other, as when hole cards
+ * are turned up for an all-in. Exact with two cards or fewer to come,
+ * Monte Carlo over `iterations` runouts before the flop.
+ *
+ * @param {string[][]} hands - Hole cards per player
+ * @param {string[]} boardCards - Known community cards (0–5)
+ * @param {{iterations?: number, random?: () => number}} [options]
+ * @returns {number[]|null} Pot share per hand (0–1), in `hands` order
+ */
+export function showdownEquity(hands, boardCards, options = {}) {
+  const { iterations = 2000, random = Math.random } = options;
+  const holes = (hands || []).map(cards => (cards || []).map(parseCard));
+  if (holes.length < 2 || holes.some(h => h.length !== 2 || h.some(c => !c))) return null;
+  const board = (boardCards || []).map(parseCard).filter(Boolean);
+
+  const known = new Set([...hands.flat(), ...(boardCards || [])]);
+  const deck = FULL_DECK.filter(c => !known.has(c)).map(parseCard);
+  const missing = 5 - board.length;
+
+  const shares = holes.map(() => 0);
+  function settle(runout) {
+    const scores = holes.map(h => scoreCards(h.concat(runout)).score);
+    const best = Math.max(...scores);
+    const winners = scores.filter(s => s === best).length;
+    scores.forEach((s, i) => { if (s === best) shares[i] += 1 / winners; });
+  }
+
+  let runs;
+  if (missing <= 2) {
+    const runouts = combinations(deck, missing);
+    for (const cards of runouts) settle(board.concat(cards));
+    runs = runouts.length;
+  } else {
+    for (let i = 0; i < iterations; i++) {
+      for (let j = 0; j < missing; j++) {
+        const k = j + Math.floor(random() * (deck.length - j));
+        [deck[j], deck[k]] = [deck[k], deck[j]];
+      }
+      settle(board.concat(deck.slice(0, missing)));
+    }
+    runs = iterations;
+  }
+  return shares.map(share => share / runs);
+}
+
+/**
+ * Pot odds for calling `toCall` into `pot`.
+ *
+ * @param {number} pot - Current pot, including bets already made this street
+ * @param {number} toCall - Chips we must add to continue
+ * @returns {{pot: number, toCall: number, ratio: number, requiredEquity: number}|null}
+ */
+export function potOdds(pot, toCall) {
+  if (!toCall || toCall <= 0) return null;
+  return {
+    pot,
+    toCall,
+    ratio: pot / toCall,
+    requiredEquity: toCall / (pot + toCall),
+  };
+}
+
+/**
+ * Equity and pot-odds numbers for the decision in a PlayerView.
+ *
+ * @param {object} view - PlayerView
+ * @param {{iterations?: number, random?: () => number}} [options]
+ * @returns {{opponents: number, equity: number|null, odds: object|null}}
+ */
+export function computeDecisionMath(view, options = {}) {
+  const opponents = (view.players || []).filter(p =>
+    p.seat !== view.yourSeat && (p.status === 'active' || p.status === 'all_in')).length;
+  const result = estimateEquity(view.yourCards, view.boardCards, opponents, options);
+  const call = (view.availableActions || []).find(a => a.type?.toLowerCase() === 'call');
+  return {
+    opponents,
+    equity: result ? result.equity : null,
+    odds: call ? potOdds(view.pot, call.amount) : null,
+  };
+}
+
+export function formatPercent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+export function formatRatio(ratio) {
+  return `${Number(ratio.toFixed(1))}:1`;
+}
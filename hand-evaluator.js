@@ -0,0 +1,301 @@
+const RANKS = '23456789TJQKA';
+const RANK_NAMES = {
+  2: 'two', 3: 'three', 4: 'four', 5: 'five', 6: 'six', 7: 'seven', 8: 'eight',
+  9: 'nine', 10: 'ten', 11: 'jack', 12: 'queen', 13: 'king', 14: 'ace',
+};
+const RANK_PLURALS = {
+  2: 'twos', 3: 'threes', 4: 'fours', 5: 'fives', 6: 'sixes', 7: 'sevens', 8: 'eights',
+  9: 'nines', 10: 'tens', 11: 'jacks', 12: 'queens', 13: 'kings', 14: 'aces',
+};
+
+export const CATEGORIES = [
+  'high card', 'pair', 'two pair', 'three of a kind', 'straight',
+  'flush', 'full house', 'four of a kind', 'straight flush',
+];
+
+/**
+ * Parse a backend card string ("As", "Td") into { rank, suit }.
+ * Rank is numeric (2–14, ace high). Returns null for unknown cards like "??".
+ *
+ * @param {string} card
+ * @returns {{rank: number, suit: string}|null}
+ */
+export function parseCard(card) {
+  if (typeof card !== 'string' || card.length !== 2) return null;
+  const idx = RANKS.indexOf(card[0]);
+  if (idx < 0 || !'shdc'.includes(card[1])) return null;
+  return { rank: idx + 2, suit: card[1] };
+}
+
+export function rankChar(rank) {
+  return RANKS[rank - 2];
+}
+
+// Highest straight top card among a set of ranks, or 0. Handles the wheel.
+function straightHigh(rankSet) {
+  for (let high = 14; high >= 5; high--) {
+    let ok = true;
+    for (let r = high; r > high - 5; r--) {
+      const rr = r === 1 ? 14 : r;
+      if (!rankSet.has(rr)) { ok = false; break; }
+    }
+    if (ok) return high;
+  }
+  return 0;
+}
+
+function encode(category, tiebreak) {
+  let score = category;
+  for (let i = 0; i < 5; i++) score = score * 15 + (tiebreak[i] || 0);
+  return score;
+}
+
+/**
+ * Score the best five-card hand out of 5–7 parsed cards.
+ * Higher `score` always beats lower; equal scores split the pot.
+ *
+ * @param {{rank: number, suit: string}[]} cards
+ * @returns {{category: number, tiebreak: number[], score: number}}
+ */
+export function scoreCards(cards) {
+  const counts = new Map();
+  const bySuit = new Map();
+  for (const c of cards) {
+    counts.set(c.rank, (counts.get(c.rank) || 0) + 1);
+    if (!bySuit.has(c.suit)) bySuit.set(c.suit, []);
+    bySuit.get(c.suit).push(c.rank);
+  }
+
+  let flushRanks = null;
+  for (const ranks of bySuit.values()) {
+    if (ranks.length >= 5) flushRanks = ranks.sort((a, b) => b - a);
+  }
+
+  if (flushRanks) {
+    const sfHigh = straightHigh(new Set(flushRanks));
+    if (sfHigh) return result(8, [sfHigh]);
+  }
+
+  // Group ranks by count, highest count then highest rank first
+  const groups = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const desc = [...counts.keys()].sort((a, b) => b - a);
+
+  if (groups[0][1] === 4) {
+    const quad = groups[0][0];
+    return result(7, [quad, desc.find(r => r !== quad)]);
+  }
+
+  const trips = groups.filter(g => g[1] === 3).map(g => g[0]);
+  const pairs = groups.filter(g => g[1] === 2).map(g => g[0]);
+
+  if (trips.length && (trips.length > 1 || pairs.length)) {
+    const top = trips[0];
+    const fill = Math.max(trips[1] || 0, pairs[0] || 0);
+    return result(6, [top, fill]);
+  }
+
+  if (flushRanks) return result(5, flushRanks.slice(0, 5));
+
+  const high = straightHigh(new Set(desc));
+  if (high) return result(4, [high]);
+
+  if (trips.length) {
+    return result(3, [trips[0], ...desc.filter(r => r !== trips[0]).slice(0, 2)]);
+  }
+
+  if (pairs.length >= 2) {
+    const [hi, lo] = pairs;
+    return result(2, [hi, lo, desc.find(r => r !== hi && r !== lo)]);
+  }
+
+  if (pairs.length === 1) {
+    return result(1, [pairs[0], ...desc.filter(r => r !== pairs[0]).slice(0, 3)]);
+  }
+
+  return result(0, desc.slice(0, 5));
+
+  function result(category, tiebreak) {
+    return { category, tiebreak, score: encode(category, tiebreak) };
+  }
+}
+
+function describeMade(category, tiebreak) {
+  const [a, b] = tiebreak;
+  switch (category) {
+    case 8: return a === 14 ? 'royal flush' : `straight flush, ${RANK_NAMES[a]} high`;
+    case 7: return `four of a kind, ${RANK_PLURALS[a]}`;
+    case 6: return `full house, ${RANK_PLURALS[a]} full of ${RANK_PLURALS[b]}`;
+    case 5: return `flush, ${RANK_NAMES[a]} high`;
+    case 4: return `straight, ${RANK_NAMES[a]} high`;
+    case 3: return `three of a kind, ${RANK_PLURALS[a]}`;
+    case 2: return `two pair, ${RANK_PLURALS[a]} and ${RANK_PLURALS[b]}`;
+    case 1: return `pair of ${RANK_PLURALS[a]}`;
+    default: return `${RANK_NAMES[a]} high`;
+  }
+}
+
+// Position of a made pair/trips relative to the board, e.g. "top pair, good kicker".
+function relativeStrength(made, hole, board) {
+  const boardRanks = [...new Set(board.map(c => c.rank))].sort((a, b) => b - a);
+  const holeRanks = hole.map(c => c.rank);
+  const pocketPair = holeRanks[0] === holeRanks[1];
+  const [top] = made.tiebreak;
+
+  if (made.category === 3) {
+    if (pocketPair && holeRanks[0] === top) return `set of ${RANK_PLURALS[top]}`;
+    if (holeRanks.includes(top)) return `trips, ${RANK_PLURALS[top]}`;
+    return null;
+  }
+
+  if (made.category === 2) {
+    const usesHole = made.tiebreak.slice(0, 2).filter(r => holeRanks.includes(r)).length;
+    if (usesHole === 0) return 'two pair on board';
+    if (pocketPair && usesHole === 1 && holeRanks[0] > boardRanks[0]) return `overpair (${RANK_PLURALS[holeRanks[0]]})`;
+    return null;
+  }
+
+  if (made.category !== 1) return null;
+
+  if (pocketPair) {
+    if (top > boardRanks[0]) return `overpair (${RANK_PLURALS[top]})`;
+    if (top < boardRanks[boardRanks.length - 1]) return `underpair (${RANK_PLURALS[top]})`;
+    return `pocket ${RANK_PLURALS[top]} below top card`;
+  }
+
+  if (!holeRanks.includes(top)) return 'pair on board';
+
+  const kicker = holeRanks.find(r => r !== top);
+  const idx = boardRanks.indexOf(top);
+  if (idx === 0) {
+    // Kickers are ranked among the ones an opponent could hold: board ranks already play for everyone
+    let better = 0;
+    for (let r = kicker + 1; r <= 14; r++) if (r !== top && !boardRanks.includes(r)) better++;
+    let quality = 'weak kicker';
+    if (better === 0) quality = 'top kicker';
+    else if (better <= 3) quality = 'good kicker';
+    return `top pair, ${quality}`;
+  }
+  if (idx === boardRanks.length - 1) return 'bottom pair';
+  return 'middle pair';
+}
+
+function findDraws(made, hole, board) {
+  const draws = [];
+  const all = [...hole, ...board];
+
+  // Flush draws — need at least one hole card in the suit
+  if (made.category < 5) {
+    for (const suit of 'shdc') {
+      const suited = all.filter(c => c.suit === suit);
+      const holeSuited = hole.filter(c => c.suit === suit);
+      if (holeSuited.length === 0) continue;
+      if (suited.length === 4) {
+        const missing = [];
+        for (let r = 14; r >= 2; r--) if (!suited.some(c => c.rank === r)) missing.push(r);
+        const holeHigh = Math.max(...holeSuited.map(c => c.rank));
+        const nut = missing.every(r => r < holeHigh);
+        draws.push(nut ? 'nut flush draw' : 'flush draw');
+      } else if (suited.length === 3 && board.length === 3) {
+        draws.push('backdoor flush draw');
+      }
+    }
+  }
+
+  // Straight draws — count ranks that complete a straight using a hole card
+  if (made.category < 4) {
+    const ranks = new Set(all.map(c => c.rank));
+    const boardOnly = new Set(board.map(c => c.rank));
+    const outs = [];
+    for (let r = 2; r <= 14; r++) {
+      if (ranks.has(r)) continue;
+      const withOut = new Set(ranks).add(r);
+      const boardWithOut = new Set(boardOnly).add(r);
+      if (straightHigh(withOut) && !straightHigh(boardWithOut)) outs.push(r);
+    }
+    if (outs.length >= 2) draws.push('open-ended straight draw');
+    else if (outs.length === 1) draws.push('gutshot');
+    else if (board.length === 3 && hasBackdoorStraight(ranks, new Set(hole.map(c => c.rank)))) {
+      draws.push('backdoor straight draw');
+    }
+  }
+
+  return draws;
+}
+
+function hasBackdoorStraight(ranks, holeRanks) {
+  for (let high = 14; high >= 5; high--) {
+    const window = [];
+    for (let r = high; r > high - 5; r--) window.push(r === 1 ? 14 : r);
+    const hits = window.filter(r => ranks.has(r));
+    if (hits.length >= 3 && hits.some(r => holeRanks.has(r))) return true;
+  }
+  return false;
+}
+
+function describePreflop(hole) {
+  const [a, b] = [...hole].sort((x, y) => y.rank - x.rank);
+  if (a.rank === b.rank) return `pocket ${RANK_PLURALS[a.rank]}`;
+  return `${rankChar(a.rank)}${rankChar(b.rank)} ${a.suit === b.suit ? 'suited' : 'offsuit'}`;
+}
+
+/**
+ * Evaluate our hole cards against the board.
+ *
+ * Returns null when hole cards are missing or unreadable. Preflop (empty board)
+ * only `label` is meaningful — a description like "pocket aces" or "AK suited".
+ *
+ * @param {string[]} yourCards - Hole cards, e.g. ['As', 'Kh']
+ * @param {string[]} [boardCards] - Community cards (0–5)
+ * @returns {{category: string, description: string, strength: string|null, kickers: string[], draws: string[], score: number|null, label: string}|null}
+ */
+export function evaluateHand(yourCards, boardCards = []) {
+  const hole = (yourCards || []).map(parseCard);
+  if (hole.length !== 2 || hole.some(c => !c)) return null;
+  const board = (boardCards || []).map(parseCard).filter(Boolean);
+
+  if (board.length < 3) {
+    const label = describePreflop(hole);
+    return { category: null, description: label, strength: null, kickers: [], draws: [], score: null, label };
+  }
+
+  const made = scoreCards([...hole, ...board]);
+  const description = describeMade(made.category, made.tiebreak);
+  const strength = relativeStrength(made, hole, board);
+  const draws = board.length < 5 ? findDraws(made, hole, board) : [];
+  const kickers = kickerRanks(made).map(rankChar);
+
+  const base = strength || description;
+  const label = draws.length ? `${base} + ${draws.join(' + ')}` : base;
+
+  return {
+    category: CATEGORIES[made.category],
+    description,
+    strength,
+    kickers,
+    draws,
+    score: made.score,
+    label,
+  };
+}
+
+function kickerRanks(made) {
+  switch (made.category) {
+    case 0: return made.tiebreak.slice(1);
+    case 1: return made.tiebreak.slice(1);
+    case 2: return made.tiebreak.slice(2);
+    case 3: return made.tiebreak.slice(1);
+    case 7: return made.tiebreak.slice(1);
+    default: return [];
+  }
+}
+
+/**
+ * Short human-readable description of our hand, or '' when unknown.
+ *
+ * @param {string[]} yourCards
+ * @param {string[]} [boardCards]
+ * @returns {string}
+ */
+export function describeHand(yourCards, boardCards = []) {
+  return evaluateHand(yourCards, boardCards)?.label || '';
+}
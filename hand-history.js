@@ -0,0 +1,218 @@
+import { diffActions, shownHands } from './state-differ.js';
+import { potShares } from './hand-result.js';
+import { evaluateHand } from './hand-evaluator.js';
+
+const ACTIVE_PHASES = new Set(['PREFLOP', 'FLOP', 'TURN', 'RIVER']);
+const STREET_NAMES = { 3: 'FLOP', 4: 'TURN', 5: 'RIVER' };
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function formatTimestamp(date) {
+  return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} `
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+}
+
+/**
+ * Format one structured action (from `diffActions`) as a hand-history line.
+ *
+ * @param {object} action
+ * @returns {string}
+ */
+export function formatAction(action) {
+  const who = `${action.name}:`;
+  const added = action.bet - action.prevBet;
+
+  switch (action.type) {
+    case 'fold': return `${who} folds`;
+    case 'check': return `${who} checks`;
+    case 'call': return `${who} calls ${added}`;
+    case 'bet': return `${who} bets ${action.bet}`;
+    case 'raise': return `${who} raises ${action.bet - action.prevMaxBet} to ${action.bet}`;
+    case 'all_in':
+      if (added <= 0) return `${who} is all-in`;
+      if (action.bet <= action.prevMaxBet) return `${who} calls ${added} and is all-in`;
+      if (action.prevMaxBet === 0) return `${who} bets ${action.bet} and is all-in`;
+      return `${who} raises ${action.bet - action.prevMaxBet} to ${action.bet} and is all-in`;
+    default: return `${who} ${action.type}`;
+  }
+}
+
+function cardList(cards) {
+  return `[${cards.join(' ')}]`;
+}
+
+/**
+ * Render a recorded hand as PokerStars-style hand history text.
+ *
+ * @param {object} hand - Hand record built by `createHandRecorder`
+ * @returns {string}
+ */
+export function formatHandHistory(hand) {
+  const lines = [];
+  const { smallBlind, bigBlind } = hand.blinds;
+
+  lines.push(`PokerStars Hand #${hand.number}: Hold'em No Limit (${smallBlind}/${bigBlind}) - ${formatTimestamp(hand.startedAt)}`);
+  const button = hand.dealerSeat != null ? ` Seat #${hand.dealerSeat + 1} is the button` : '';
+  lines.push(`Table '${hand.tableId}' ${hand.numSeats || hand.seats.length}-max${button}`);
+  for (const s of hand.seats) {
+    lines.push(`Seat ${s.seat + 1}: ${s.name} (${s.stack} in chips)`);
+  }
+  lines.push(...hand.blindLines);
+
+  lines.push('*** HOLE CARDS ***');
+  const hero = hand.seats.find(s => s.seat === hand.yourSeat);
+  if (hero && hand.yourCards.length) {
+    lines.push(`Dealt to ${hero.name} ${cardList(hand.yourCards)}`);
+  }
+  lines.push(...hand.lines);
+
+  const result = hand.result;
+  // Cards seen on the table during the hand, then any the result adds
+  const shown = new Map(hand.shown);
+  for (const p of result?.players || []) {
+    const cards = p.cards || p.holeCards;
+    if (cards?.length && !shown.has(p.seat)) shown.set(p.seat, { name: p.name, cards });
+  }
+  if (hand.showdown || shown.size) {
+    lines.push('*** SHOW DOWN ***');
+    for (const { name, cards } of shown.values()) {
+      const made = hand.board.length >= 3 ? evaluateHand(cards, hand.board)?.description : null;
+      lines.push(`${name}: shows ${cardList(cards)}${made ? ` (${made})` : ''}`);
+    }
+  }
+
+  const names = new Map(hand.seats.map(s => [s.seat, s.name]));
+  for (const p of result?.players || []) names.set(p.seat, p.name);
+  const collected = [];
+  for (const pot of result?.potResults || []) {
+    const winners = pot.winners || result.winners || [];
+    if (!winners.length) continue;
+    for (const { seat, amount } of potShares(pot.amount, winners)) {
+      lines.push(`${names.get(seat)} collected ${amount} from pot`);
+      collected.push({ seat, amount });
+    }
+  }
+
+  lines.push('*** SUMMARY ***');
+  const total = result?.potResults?.length
+    ? result.potResults.reduce((sum, pot) => sum + pot.amount, 0)
+    : hand.pot;
+  lines.push(`Total pot ${total} | Rake 0`);
+  if (hand.board.length) lines.push(`Board ${cardList(hand.board)}`);
+  for (const s of hand.seats) {
+    const won = collected.filter(c => c.seat === s.seat).reduce((sum, c) => sum + c.amount, 0);
+    const folded = hand.folded.has(s.seat) ? ' folded' : '';
+    lines.push(`Seat ${s.seat + 1}: ${s.name}${folded}${won ? ` collected (${won})` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+function startHand(view, tableId) {
+  const forced = view.forcedBets || {};
+  const hand = {
+    number: view.handNumber,
+    tableId,
+    startedAt: new Date(),
+    blinds: { smallBlind: forced.smallBlind ?? 0, bigBlind: forced.bigBlind ?? 0, ante: forced.ante ?? 0 },
+    dealerSeat: view.dealerSeat,
+    numSeats: view.numSeats,
+    yourSeat: view.yourSeat,
+    yourCards: view.yourCards || [],
+    seats: (view.players || []).map(p => ({
+      seat: p.seat, name: p.name, stack: p.chips + (p.invested || 0),
+    })),
+    blindLines: [],
+    lines: [],
+    board: [],
+    pot: view.pot,
+    folded: new Set(),
+    shown: new Map(),
+    showdown: false,
+    result: null,
+  };
+
+  // Blinds — only recoverable from a fresh preflop state
+  if (view.phase === 'PREFLOP') {
+    for (const p of view.players || []) {
+      if (p.bet > 0 && p.bet === hand.blinds.smallBlind) hand.blindLines.push(`${p.name}: posts small blind ${p.bet}`);
+      else if (p.bet > 0 && p.bet === hand.blinds.bigBlind) hand.blindLines.push(`${p.name}: posts big blind ${p.bet}`);
+    }
+  }
+
+  addStreets(hand, view.boardCards || []);
+  return hand;
+}
+
+function addStreets(hand, boardCards) {
+  // Several streets can arrive in one state (all-in runouts) — head each one
+  for (let len = hand.board.length + 1; len <= boardCards.length; len++) {
+    const street = STREET_NAMES[len];
+    if (!street) continue;
+    const head = len === 3
+      ? cardList(boardCards.slice(0, 3))
+      : `${cardList(boardCards.slice(0, len - 1))} ${cardList([boardCards[len - 1]])}`;
+    hand.lines.push(`*** ${street} *** ${head}`);
+  }
+  hand.board = [...boardCards];
+}
+
+/**
+ * Track hands across successive PlayerView states and hand each finished
+ * hand to `write` as PokerStars-style text.
+ *
+ * A hand finishes when the phase leaves play (SHOWDOWN/WAITING) or when the
+ * hand number changes, in which case the new view's `lastHandResult`
+ * belongs to the hand that just ended.
+ *
+ * @param {string} tableId
+ * @param {(text: string, hand: object) => void} write
+ * @returns {{observe: (view: object) => void, current: () => object|null}}
+ */
+export function createHandRecorder(tableId, write) {
+  let hand = null;
+  let prev = null;
+  let lastFinished = null;
+
+  function finish(result, showdown) {
+    hand.result = result || null;
+    if (result?.boardCards?.length > hand.board.length) addStreets(hand, result.boardCards);
+    hand.showdown = showdown;
+    lastFinished = hand.number;
+    const done = hand;
+    hand = null;
+    write(formatHandHistory(done), done);
+  }
+
+  function observe(view) {
+    if (hand && view.handNumber !== hand.number) {
+      finish(view.lastHandResult, false);
+    }
+
+    if (!hand) {
+      if (view.handNumber !== lastFinished && ACTIVE_PHASES.has(view.phase)) {
+        hand = startHand(view, tableId);
+      }
+      prev = view;
+      return;
+    }
+
+    for (const action of diffActions(prev, view)) {
+      hand.lines.push(formatAction(action));
+      if (action.type === 'fold') hand.folded.add(action.seat);
+    }
+    if (!hand.yourCards.length && view.yourCards?.length) hand.yourCards = view.yourCards;
+    for (const { seat, name, cards } of shownHands(view, { includeResult: false })) hand.shown.set(seat, { name, cards });
+    addStreets(hand, view.boardCards || []);
+    hand.pot = view.pot;
+    prev = view;
+
+    if (view.phase === 'SHOWDOWN' || view.phase === 'WAITING') {
+      finish(view.lastHandResult, view.phase === 'SHOWDOWN');
+    }
+  }
+
+  return { observe, current: () => hand };
+}
@@ -0,0 +1,72 @@
+import { evaluateHand } from './hand-evaluator.js';
+import { defaultTranslator } from './messages.js';
+
+/**
+ * Read a PlayerView's `lastHandResult`: every pot with its winners and
+ * their shares, the hands shown down, and our stack change over the hand.
+ */
+
+/**
+ * Split a pot between its winners. Odd chips go one each to the winners
+ * listed first.
+ *
+ * @param {number} amount
+ * @param {number[]} winners - Seats
+ * @returns {{seat: number, amount: number}[]}
+ */
+export function potShares(amount, winners) {
+  if (!winners.length) return [];
+  const base = Math.floor(amount / winners.length);
+  const odd = amount - base * winners.length;
+  return winners.map((seat, i) => ({ seat, amount: base + (i < odd ? 1 : 0) }));
+}
+
+function shownCards(player) {
+  const cards = player.cards || player.holeCards;
+  return cards?.length ? cards : null;
+}
+
+/**
+ * @param {object} result - `lastHandResult`
+ * @param {object} [options]
+ * @param {number} [options.yourSeat]
+ * @param {string[]} [options.board] - Final board, when the result does not carry one
+ * @param {number|null} [options.fallbackStack] - Our stack if the result does not list us
+ * @param {Function} [options.t] - Translator for the pot labels and unnamed seats
+ * @returns {{pots: {amount: number, label: string|null, winners: {seat: number, name: string, amount: number, description: string|null}[]}[], shown: {seat: number, name: string, cards: string[], description: string|null, won: number}[], yourStack: number|null}}
+ */
+export function readHandResult(result, { yourSeat = null, board = [], fallbackStack = null, t = defaultTranslator } = {}) {
+  const players = result?.players || [];
+  const bySeat = new Map(players.map(p => [p.seat, p]));
+  const finalBoard = result?.boardCards || result?.board || board || [];
+
+  function describe(seat) {
+    const player = bySeat.get(seat);
+    if (!player) return null;
+    const given = player.handDescription || player.handName;
+    if (given) return given;
+    const cards = shownCards(player);
+    return cards && finalBoard.length >= 3 ? evaluateHand(cards, finalBoard)?.description ?? null : null;
+  }
+
+  const potResults = (result?.potResults || []).filter(pot => (pot.winners || result.winners || []).length);
+  const won = new Map();
+  const pots = potResults.map((pot, i) => {
+    let label = null;
+    if (potResults.length > 1) {
+      label = i === 0 ? t('result.mainPot') : potResults.length > 2 ? t('result.sidePotNumbered', { index: i }) : t('result.sidePot');
+    }
+    const winners = potShares(pot.amount, pot.winners || result.winners).map(({ seat, amount }) => {
+      won.set(seat, (won.get(seat) || 0) + amount);
+      return { seat, name: bySeat.get(seat)?.name ?? t('result.seat', { seat: seat + 1 }), amount, description: describe(seat) };
+    });
+    return { amount: pot.amount, label, winners };
+  });
+
+  const shown = players
+    .filter(p => shownCards(p))
+    .map(p => ({ seat: p.seat, name: p.name, cards: shownCards(p), description: describe(p.seat), won: won.get(p.seat) || 0 }));
+
+  const yourStack = bySeat.get(yourSeat)?.chips ?? fallbackStack ?? null;
+  return { pots, shown, yourStack };
+}
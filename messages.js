@@ -0,0 +1,50 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Message catalogue for everything the listener says in chat. Each locale
+ * is a flat JSON file in `locales/` mapping a key to a template with
+ * `{name}` placeholders, or to plural forms keyed by Intl.PluralRules
+ * category (`one`, `other`, …) and chosen by the `count` parameter.
+ * Keys missing from a locale fall back to English.
+ */
+
+export const LOCALES = ['en', 'es', 'de'];
+export const DEFAULT_LOCALE = 'en';
+
+/** Language names for instructions written to the agent, in English. */
+export const LANGUAGE_NAMES = { en: 'English', es: 'Spanish', de: 'German' };
+
+const CATALOGUES = Object.fromEntries(LOCALES.map(locale => [
+  locale,
+  JSON.parse(readFileSync(new URL(`./locales/${locale}.json`, import.meta.url), 'utf8')),
+]));
+
+/**
+ * @param {string} [locale] - One of LOCALES
+ * @returns {((key: string, params?: object) => string) & {locale: string, number: (n: number) => string, signed: (n: number) => string}}
+ */
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const messages = CATALOGUES[locale];
+  if (!messages) throw new Error(`Unknown locale "${locale}"`);
+  // Four-digit stacks stay ungrouped in every locale: 1030, but 12,500 / 12.500
+  const numbers = new Intl.NumberFormat(locale, { useGrouping: 'min2', maximumFractionDigits: 1 });
+  const plurals = new Intl.PluralRules(locale);
+
+  const number = n => numbers.format(n);
+  const format = value => (typeof value === 'number' ? number(value) : String(value));
+
+  /** Numbers in `params` are formatted for the locale; strings go in as they are. */
+  function t(key, params = {}) {
+    let message = messages[key] ?? CATALOGUES[DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') message = message[plurals.select(params.count ?? 0)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? format(params[name]) : match));
+  }
+
+  t.locale = locale;
+  t.number = number;
+  t.signed = n => (n > 0 ? `+${number(n)}` : n < 0 ? number(n) : '±0');
+  return t;
+}
+
+/** English, for callers that are not given a translator. */
+export const defaultTranslator = createTranslator(DEFAULT_LOCALE);
@@ -0,0 +1,369 @@
+import { createServer } from 'node:http';
+
+/**
+ * A local stand-in for the Agent Poker backend, for end-to-end tests and
+ * manual runs. It serves the endpoints the listener and SKILL.md use and
+ * plays a scripted scenario on every table's SSE stream.
+ *
+ * A scenario is a list of steps, run in order once the first stream
+ * connects:
+ *
+ * - `{ state: view }`      push a PlayerView
+ * - `{ expect: 'action', reject?: { status, reason }, timeoutMs? }`
+ *                          wait for an action POST; `reject` answers it
+ *                          with an error instead of accepting it
+ * - `{ wait: ms }`         pause
+ * - `{ closed: true }`     close the table
+ */
+
+export const MOCK_API_KEY = 'mock-api-key';
+
+const BIG_BLIND = 20;
+
+export const GAME_MODES = [
+  { id: 'nlh-10-20', name: "No-Limit Hold'em 10/20", buyIn: 1000, forcedBets: { smallBlind: 10, bigBlind: BIG_BLIND, ante: 0 } },
+  { id: 'nlh-25-50', name: "No-Limit Hold'em 25/50", buyIn: 2500, forcedBets: { smallBlind: 25, bigBlind: 50, ante: 0 } },
+];
+
+// ── Scenarios ────────────────────────────────────────────────────────
+
+function player(seat, name, chips, bet = 0, status = 'active', invested = bet) {
+  return { seat, name, chips, bet, invested, status };
+}
+
+/**
+ * Build a PlayerView with the fields the listener reads. Hero sits in
+ * seat 0; `players` lists everyone, Hero included.
+ */
+export function mockView({ handNumber = 1, phase = 'PREFLOP', pot = 30, boardCards = [], yourCards = ['As', 'Ad'],
+  players, dealerSeat = 0, isYourTurn = false, availableActions = [], lastHandResult = null, ...rest }) {
+  const hero = players.find(p => p.seat === 0);
+  return {
+    handNumber,
+    phase,
+    pot,
+    boardCards,
+    yourSeat: 0,
+    yourCards,
+    yourChips: hero.chips,
+    yourBet: hero.bet,
+    isYourTurn,
+    availableActions: isYourTurn ? availableActions : [],
+    players,
+    dealerSeat,
+    forcedBets: GAME_MODES[0].forcedBets,
+    timeoutAt: null,
+    lastHandResult,
+    ...rest,
+  };
+}
+
+function handResult(winners, players, amount) {
+  return { winners, players: players.map(({ seat, name, chips }) => ({ seat, name, chips })), potResults: [{ amount }] };
+}
+
+const facingBlinds = [
+  { type: 'fold' },
+  { type: 'call', amount: BIG_BLIND },
+  { type: 'raise', minAmount: 2 * BIG_BLIND, maxAmount: 1000 },
+  { type: 'all_in', amount: 1000 },
+];
+
+function threeHanded(heroChips, heroBet, aliceStatus = 'active', bobStatus = 'active') {
+  return [
+    player(0, 'Hero', heroChips, heroBet),
+    player(1, 'Alice', 990, 10, aliceStatus),
+    player(2, 'Bob', 980, 20, bobStatus),
+  ];
+}
+
+export const SCENARIOS = {
+  // We raise and both blinds fold, but the server jumps straight to the next
+  // hand: the folds are only visible through the hand transition.
+  'fast-transition': () => {
+    const nextHand = [player(0, 'Hero', 1010, 20), player(1, 'Alice', 990, 0), player(2, 'Bob', 970, 10)];
+    return [
+      { state: mockView({ yourCards: ['Kd', 'Kc'], players: threeHanded(1000, 0), isYourTurn: true, availableActions: facingBlinds }) },
+      { expect: 'action' },
+      { state: mockView({ handNumber: 2, yourCards: ['7h', '2c'], dealerSeat: 1, players: nextHand,
+        lastHandResult: handResult([0], [player(0, 'Hero', 1030), player(1, 'Alice', 990), player(2, 'Bob', 980)], 90) }) },
+      { wait: 50 },
+      { closed: true },
+    ];
+  },
+
+  // The first action is refused by a briefly overloaded server; the retry goes through.
+  'rejected-action': () => [
+    { state: mockView({ players: threeHanded(1000, 0), isYourTurn: true, availableActions: facingBlinds }) },
+    { expect: 'action', reject: { status: 503, reason: 'Server busy' } },
+    { expect: 'action' },
+    { state: mockView({ pot: 90, players: threeHanded(940, 60) }) },
+    { wait: 50 },
+    { closed: true },
+  ],
+
+  // Hero gets it in preflop against one caller, the hands are turned up
+  // and the board runs out.
+  'all-in-runout': () => {
+    const alice = { ...player(1, 'Alice', 0, 1000, 'all_in'), cards: ['Kh', 'Kc'] };
+    const allIn = [player(0, 'Hero', 0, 1000, 'all_in'), alice, player(2, 'Bob', 980, 20, 'folded')];
+    const street = (phase, boardCards) => ({ state: mockView({ phase, pot: 2020, boardCards, players: allIn }) });
+    const board = ['Ks', '7d', '2c', '9h', '3s'];
+    return [
+      { state: mockView({ players: threeHanded(1000, 0), isYourTurn: true, availableActions: facingBlinds }) },
+      { expect: 'action' },
+      { state: mockView({ pot: 2020, players: allIn }) },
+      street('FLOP', board.slice(0, 3)),
+      street('TURN', board.slice(0, 4)),
+      street('RIVER', board),
+      { state: mockView({ phase: 'SHOWDOWN', pot: 2020, boardCards: board,
+        players: [player(0, 'Hero', 2020, 0), player(1, 'Alice', 0, 0, 'busted'), player(2, 'Bob', 980)],
+        lastHandResult: handResult([0], [player(0, 'Hero', 2020), player(1, 'Alice', 0), player(2, 'Bob', 980)], 2020) }) },
+      { wait: 50 },
+      { closed: true },
+    ];
+  },
+
+  // A hand we sit out of, then the table closes.
+  'table-close': () => [
+    { state: mockView({ players: threeHanded(1000, 0) }) },
+    { state: mockView({ players: threeHanded(1000, 0, 'active', 'folded') }) },
+    { wait: 50 },
+    { closed: true },
+  ],
+};
+
+// ── Server ───────────────────────────────────────────────────────────
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        resolve(null);
+      }
+    });
+  });
+}
+
+/** Why the backend would refuse `body` on this view, or null if it is legal. */
+function actionError(view, body) {
+  if (!view?.isYourTurn) return 'Not your turn';
+  const action = (view.availableActions || []).find(a => a.type === body?.action);
+  if (!action) return `Invalid action: ${body?.action}`;
+  if (action.minAmount != null) {
+    if (body.amount == null || body.amount < action.minAmount || body.amount > action.maxAmount) {
+      return `Amount must be between ${action.minAmount} and ${action.maxAmount}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.scenario] - Key of SCENARIOS played on every table
+ * @param {object[]} [options.steps] - Custom steps instead of a named scenario
+ * @param {string} [options.apiKey]
+ * @param {number} [options.balance] - Chip balance reported by /api/chips/balance
+ * @param {number} [options.rebuyAmount]
+ * @returns {{listen: (port?: number) => Promise<string>, close: () => Promise<void>, requests: object[], actions: object[], url: string|null}}
+ */
+export function createMockBackend({ scenario = 'fast-transition', steps = null, apiKey = MOCK_API_KEY, balance = 1000, rebuyAmount = 1000 } = {}) {
+  if (!steps && !SCENARIOS[scenario]) throw new Error(`Unknown scenario "${scenario}" (known: ${Object.keys(SCENARIOS).join(', ')})`);
+
+  const tables = new Map();
+  const requests = [];
+  const actions = [];
+  let nextTableId = 1;
+
+  function getTable(tableId) {
+    if (!tables.has(tableId)) {
+      tables.set(tableId, {
+        id: tableId,
+        steps: steps ? structuredClone(steps) : SCENARIOS[scenario](),
+        started: false,
+        closed: false,
+        pendingLeave: false,
+        view: null,
+        streams: new Set(),
+        waiter: null,
+      });
+    }
+    return tables.get(tableId);
+  }
+
+  function broadcast(table, event, data) {
+    for (const res of table.streams) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function closeTable(table) {
+    table.closed = true;
+    broadcast(table, 'closed', {});
+    for (const res of table.streams) res.end();
+    table.streams.clear();
+  }
+
+  async function runScript(table) {
+    for (const step of table.steps) {
+      if (table.closed) return;
+      if (step.state) {
+        // A pending leave takes effect when the next hand would start
+        if (table.pendingLeave && table.view && step.state.handNumber !== table.view.handNumber) break;
+        table.view = step.state;
+        broadcast(table, 'state', step.state);
+      } else if (step.expect === 'action') {
+        await new Promise((resolve) => {
+          const timer = setTimeout(() => {
+            table.waiter = null;
+            actions.push({ tableId: table.id, timedOut: true });
+            resolve();
+          }, step.timeoutMs ?? 10000);
+          table.waiter = { step, resolve: () => { clearTimeout(timer); resolve(); } };
+        });
+      } else if (step.wait) {
+        await new Promise(resolve => setTimeout(resolve, step.wait));
+      } else if (step.closed) {
+        break;
+      }
+    }
+    if (!table.closed) closeTable(table);
+  }
+
+  function handleStream(req, res, table) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    table.streams.add(res);
+    req.on('close', () => table.streams.delete(res));
+    if (!table.started) {
+      table.started = true;
+      runScript(table);
+    } else if (table.view) {
+      // Reconnects resume from the latest state, like the real stream
+      res.write(`event: state\ndata: ${JSON.stringify(table.view)}\n\n`);
+    }
+  }
+
+  async function handleAction(req, res, table) {
+    const body = await readBody(req);
+    const waiter = table.waiter;
+    const record = { tableId: table.id, ...body };
+    actions.push(record);
+
+    if (waiter?.step.reject) {
+      // A scripted refusal consumes the step; the next one waits for the retry
+      table.waiter = null;
+      record.rejected = waiter.step.reject.reason;
+      res.writeHead(waiter.step.reject.status, { 'Content-Type': 'text/plain' });
+      res.end(waiter.step.reject.reason);
+      waiter.resolve();
+      return;
+    }
+    const error = actionError(table.view, body);
+    if (error || !waiter) {
+      record.rejected = error || 'Not your turn';
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(record.rejected);
+      return;
+    }
+    table.waiter = null;
+    sendJson(res, 200, { status: 'ok' });
+    waiter.resolve();
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname });
+
+    const key = req.headers['x-api-key'] || url.searchParams.get('token');
+    if (key !== apiKey) return sendJson(res, 401, { error: 'Invalid API key' });
+
+    if (req.method === 'GET' && url.pathname === '/api/chips/balance') return sendJson(res, 200, { balance });
+    if (req.method === 'GET' && url.pathname === '/api/game-modes') return sendJson(res, 200, { gameModes: GAME_MODES });
+    if (req.method === 'POST' && url.pathname === '/api/lobby/join') {
+      const body = await readBody(req);
+      if (!GAME_MODES.some(m => m.id === body?.gameModeId)) return sendJson(res, 400, { error: 'Unknown game mode' });
+      return sendJson(res, 200, { status: 'seated', tableId: `mock-${nextTableId++}` });
+    }
+
+    const match = url.pathname.match(/^\/api\/game\/([^/]+)\/(stream|action|rebuy|leave)$/);
+    if (!match) return sendJson(res, 404, { error: 'Not found' });
+    const [, tableId, endpoint] = match;
+    const table = getTable(tableId);
+    if (table.closed) return sendJson(res, 404, { error: 'Table not found' });
+
+    if (endpoint === 'stream' && req.method === 'GET') return handleStream(req, res, table);
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+    if (endpoint === 'action') return handleAction(req, res, table);
+    if (endpoint === 'rebuy') {
+      balance -= rebuyAmount;
+      return sendJson(res, 200, { status: 'ok', chips: rebuyAmount });
+    }
+    table.pendingLeave = true;
+    return sendJson(res, 200, { status: 'pending_leave' });
+  }
+
+  const server = createServer((req, res) => {
+    route(req, res).catch(err => sendJson(res, 500, { error: err.message }));
+  });
+
+  const backend = {
+    url: null,
+    requests,
+    actions,
+
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, '127.0.0.1', () => {
+          backend.url = `http://127.0.0.1:${server.address().port}`;
+          resolve(backend.url);
+        });
+      });
+    },
+
+    close() {
+      for (const table of tables.values()) {
+        table.closed = true;
+        for (const res of table.streams) res.end();
+        table.waiter?.resolve();
+      }
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+  };
+  return backend;
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────
+
+function emit(obj) {
+  process.stdout.write(JSON.stringify(obj) + '\n');
+}
+
+async function main() {
+  const argValue = (flag, fallback) => {
+    const idx = process.argv.indexOf(flag);
+    return idx >= 0 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+  };
+  let backend;
+  try {
+    backend = createMockBackend({ scenario: argValue('--scenario', 'fast-transition'), apiKey: argValue('--api-key', MOCK_API_KEY) });
+  } catch (err) {
+    emit({ type: 'MOCK_BACKEND_ERROR', error: err.message });
+    process.exit(1);
+  }
+  const url = await backend.listen(Number(argValue('--port', 0)));
+  emit({ type: 'MOCK_BACKEND', url, apiKey: argValue('--api-key', MOCK_API_KEY), scenarios: Object.keys(SCENARIOS) });
+}
+
+const isDirectRun =
+  process.argv[1] &&
+  import.meta.url.endsWith(process.argv[1].replace(/.*\//, ''));
+if (isDirectRun) {
+  main();
+}
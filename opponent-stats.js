@@ -0,0 +1,240 @@
+import { diffActions, shownHands } from './state-differ.js';
+import { handKey } from './ranges.js';
+
+const ACTIVE_PHASES = new Set(['PREFLOP', 'FLOP', 'TURN', 'RIVER']);
+// Shown hands kept per player, most recent last
+const SHOWN_LIMIT = 10;
+
+function emptyCounters() {
+  return {
+    hands: 0,
+    vpip: 0,
+    pfr: 0,
+    threeBetOpp: 0,
+    threeBet: 0,
+    bets: 0,
+    raises: 0,
+    calls: 0,
+    cbetFaced: 0,
+    cbetFolded: 0,
+    sawFlop: 0,
+    showdowns: 0,
+    shown: [],
+  };
+}
+
+function ratio(num, den) {
+  return den > 0 ? num / den : null;
+}
+
+/**
+ * Derive HUD statistics from raw per-player counters.
+ * Frequencies are fractions (0–1); null when there is no sample yet.
+ *
+ * @param {object} c - Counters as stored by the tracker
+ * @returns {{hands: number, vpip: number|null, pfr: number|null, threeBet: number|null, af: number|null, foldToCbet: number|null, wtsd: number|null}}
+ */
+export function summarizeStats(c) {
+  return {
+    hands: c.hands,
+    vpip: ratio(c.vpip, c.hands),
+    pfr: ratio(c.pfr, c.hands),
+    threeBet: ratio(c.threeBet, c.threeBetOpp),
+    af: c.calls > 0 ? (c.bets + c.raises) / c.calls : (c.bets + c.raises > 0 ? Infinity : null),
+    foldToCbet: ratio(c.cbetFolded, c.cbetFaced),
+    wtsd: ratio(c.showdowns, c.sawFlop),
+  };
+}
+
+function pct(value) {
+  return value == null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Compact one-line HUD for a player, e.g.
+ * "Alice (42 hands): VPIP 35% PFR 20% 3B 8% AF 2.5 FtCB 60% WTSD 30%".
+ *
+ * @param {string} name
+ * @param {object} counters
+ * @returns {string}
+ */
+export function formatStatsLine(name, counters) {
+  const s = summarizeStats(counters);
+  let af = '–';
+  if (s.af === Infinity) af = '∞';
+  else if (s.af != null) af = String(Number(s.af.toFixed(1)));
+  const shown = (counters.shown || []).slice(-3).map(h => (h.made ? `${h.hand} (${h.made})` : h.hand));
+  return `${name} (${s.hands} ${s.hands === 1 ? 'hand' : 'hands'}): VPIP ${pct(s.vpip)} PFR ${pct(s.pfr)} 3B ${pct(s.threeBet)} `
+    + `AF ${af} FtCB ${pct(s.foldToCbet)} WTSD ${pct(s.wtsd)}${shown.length ? ` | Showed: ${shown.join(', ')}` : ''}`;
+}
+
+/**
+ * Track opponent tendencies across hands from successive PlayerView states.
+ *
+ * `observe` returns true when a hand was committed to the counters, so the
+ * caller knows when to persist `toJSON()`. `forTable()` returns a tracker
+ * for another table that follows its own hands but shares the counters.
+ *
+ * @param {object} [initial] - Previously persisted counters keyed by player name
+ */
+export function createOpponentTracker(initial = {}) {
+  const players = {};
+  for (const [name, c] of Object.entries(initial || {})) {
+    players[name] = { ...emptyCounters(), ...c };
+  }
+
+  function countersFor(name) {
+    if (!players[name]) players[name] = emptyCounters();
+    return players[name];
+  }
+
+  // Per-hand bookkeeping; one per table, all sharing the counters above
+  function createObserver() {
+    let hand = null;
+    let prev = null;
+    let lastFinished = null;
+
+    function startHand(view) {
+      hand = {
+        number: view.handNumber,
+        preflopRaises: 0,
+        aggressor: null,
+        flopBetMade: false,
+        cbetActive: false,
+        flags: new Map(),
+        shown: new Map(),
+      };
+      for (const p of view.players || []) {
+        if (p.seat === view.yourSeat) continue;
+        if (p.status !== 'active' && p.status !== 'all_in') continue;
+        hand.flags.set(p.seat, {
+          name: p.name, vpip: false, pfr: false, threeBetOpp: false, threeBet: false,
+          sawFlop: false, cbetFaced: false, cbetFolded: false, folded: false,
+        });
+      }
+    }
+
+    // Hole cards seen this hand, keyed by seat; `view` may add the result's
+    function noteShown(view, options) {
+      for (const reveal of shownHands(view, options)) hand.shown.set(reveal.seat, reveal);
+    }
+
+    function finishHand(showdown) {
+      for (const { name, cards, hand: made } of hand.shown.values()) {
+        const c = countersFor(name);
+        c.shown = [...(c.shown || []), { hand: handKey(cards), made: made || null }].slice(-SHOWN_LIMIT);
+      }
+      for (const f of hand.flags.values()) {
+        const c = countersFor(f.name);
+        c.hands++;
+        if (f.vpip) c.vpip++;
+        if (f.pfr) c.pfr++;
+        if (f.threeBetOpp) c.threeBetOpp++;
+        if (f.threeBet) c.threeBet++;
+        if (f.sawFlop) c.sawFlop++;
+        if (f.cbetFaced) c.cbetFaced++;
+        if (f.cbetFolded) c.cbetFolded++;
+        if (showdown && f.sawFlop && !f.folded) c.showdowns++;
+      }
+      lastFinished = hand.number;
+      hand = null;
+    }
+
+    function applyPreflop(action, f) {
+      const aggressive = action.type === 'bet' || action.type === 'raise'
+        || (action.type === 'all_in' && action.bet > action.prevMaxBet);
+      if (f) {
+        if (hand.preflopRaises === 1 && !f.pfr) f.threeBetOpp = true;
+        if (aggressive || action.type === 'call' || action.type === 'all_in') f.vpip = true;
+        if (aggressive) {
+          f.pfr = true;
+          if (hand.preflopRaises === 1) f.threeBet = true;
+        }
+      }
+      if (aggressive) {
+        hand.preflopRaises++;
+        hand.aggressor = action.seat;
+      }
+    }
+
+    function applyPostflop(action, f, street) {
+      const aggressive = action.type === 'bet' || action.type === 'raise'
+        || (action.type === 'all_in' && action.bet > action.prevMaxBet);
+      const calling = action.type === 'call' || (action.type === 'all_in' && !aggressive);
+
+      if (street === 3) {
+        if (!hand.flopBetMade && aggressive) {
+          hand.flopBetMade = true;
+          hand.cbetActive = action.seat === hand.aggressor;
+        } else if (hand.cbetActive && f && action.seat !== hand.aggressor && !f.cbetFaced) {
+          f.cbetFaced = true;
+          if (action.type === 'fold') f.cbetFolded = true;
+        }
+      }
+
+      if (!f) return;
+      const c = countersFor(f.name);
+      if (action.type === 'bet' || (aggressive && action.prevMaxBet === 0)) c.bets++;
+      else if (aggressive) c.raises++;
+      else if (calling) c.calls++;
+    }
+
+    function observe(view) {
+      let committed = false;
+
+      if (hand && view.handNumber !== hand.number) {
+        // The new view's result is the finished hand's
+        noteShown({ yourSeat: view.yourSeat, lastHandResult: view.lastHandResult },
+          { includeResult: true, board: view.lastHandResult?.boardCards || prev.boardCards });
+        // Revealed cards mean it went to showdown even without a SHOWDOWN state
+        finishHand(hand.shown.size > 0);
+        committed = true;
+      }
+
+      if (!hand) {
+        if (view.handNumber !== lastFinished && ACTIVE_PHASES.has(view.phase)) startHand(view);
+        prev = view;
+        return committed;
+      }
+
+      // Actions in this diff happened on the street shown in the previous state
+      const street = prev.boardCards?.length || 0;
+      for (const action of diffActions(prev, view)) {
+        const f = action.isSelf ? null : hand.flags.get(action.seat);
+        if (street === 0) applyPreflop(action, f);
+        else applyPostflop(action, f, street);
+        if (f && action.type === 'fold') f.folded = true;
+      }
+
+      if ((view.boardCards?.length || 0) >= 3) {
+        const statusBySeat = new Map((view.players || []).map(p => [p.seat, p.status]));
+        for (const [seat, f] of hand.flags) {
+          if (!f.folded && statusBySeat.get(seat) !== 'folded') f.sawFlop = true;
+        }
+      }
+
+      noteShown(view);
+      prev = view;
+
+      if (view.phase === 'SHOWDOWN' || view.phase === 'WAITING') {
+        finishHand(view.phase === 'SHOWDOWN');
+        committed = true;
+      }
+      return committed;
+    }
+
+    return observe;
+  }
+
+  function tracker(observe) {
+    return {
+      observe,
+      forTable: () => tracker(createObserver()),
+      stats: (name) => (players[name] ? summarizeStats(players[name]) : null),
+      line: (name) => formatStatsLine(name, players[name] || emptyCounters()),
+      toJSON: () => players,
+    };
+  }
+
+  return tracker(createObserver());
+}
@@ -1,42 +1,126 @@
-import { execFile, exec } from 'node:child_process';
-import { readFileSync, writeFileSync, renameSync } from 'node:fs';
-import { dirname, join } from 'node:path';
+import { execFile } from 'node:child_process';
+import { EventEmitter } from 'node:events';
+import { readFileSync, writeFileSync, renameSync, appendFileSync, mkdirSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { diffStates } from './state-differ.js';
+import { diffStates, diffActions, shownHands, formatReveal, handHeader, runoutEvents, isAllInLocked } from './state-differ.js';
+import { describeHand } from './hand-evaluator.js';
+import { formatCards } from './card-format.js';
+import { readHandResult } from './hand-result.js';
+import { computeDecisionMath, formatPercent, formatRatio, seededRandom } from './equity.js';
+import { createHandRecorder } from './hand-history.js';
+import { createOpponentTracker } from './opponent-stats.js';
+import { createSessionStats, formatSessionRecap } from './session-stats.js';
+import { createReconnectSupervisor } from './sse-supervisor.js';
+import { createTransport, createStdoutTransport } from './transports.js';
+import { decideByRules } from './rules-engine.js';
+import { legalizeDecision, correctRejectedDecision } from './action-validator.js';
+import { describePosition, tablePositions, playersToActBehind } from './positions.js';
+import { resolveBigBlind, computeStackMetrics, toBB } from './stack-metrics.js';
+import { createStreamRecorder, readRecording, createReplaySource } from './replay.js';
+import { PROFILES, PROFILE_NAMES, DEFAULT_PROFILE, getProfile, describeProfile } from './strategy-profiles.js';
+import { loadConfig, deliveryOptions, agentOptions, turnDeadlineOptions, ENGINES } from './config.js';
+import { createTranslator, defaultTranslator, DEFAULT_LOCALE, LANGUAGE_NAMES } from './messages.js';
+
+export { ENGINES };
 
 const ACTIVE_PHASES = new Set(['PREFLOP', 'FLOP', 'TURN', 'RIVER']);
 
-export function buildSummary(view) {
+export function formatMath(math) {
+  if (!math) return '';
+  const parts = [];
+  if (math.equity != null) parts.push(`Equity:${formatPercent(math.equity)} vs ${math.opponents}`);
+  if (math.odds) parts.push(`Odds:${formatRatio(math.odds.ratio)} (need ${formatPercent(math.odds.requiredEquity)})`);
+  return parts.join(' | ');
+}
+
+export function buildSummary(view, math = null, metrics = null) {
   const cards = view.yourCards?.join(' ') || '??';
   const board = view.boardCards?.length ? view.boardCards.join(' ') : '';
+  const hand = describeHand(view.yourCards, view.boardCards);
+  const handPart = hand ? ` (${hand})` : '';
+  const position = describePosition(view);
+  const positionPart = position ? ` | Position: ${position}` : '';
   const phase = view.phase;
   const pot = view.pot;
   const stack = view.yourChips;
   const active = view.players?.filter(p => p.status === 'active').length || 0;
+  const bb = (chips) => (metrics ? ` (${toBB(chips, metrics.bigBlind)} BB)` : '');
   const actions = (view.availableActions || []).map(a => {
-    if (a.type === 'fold' || a.type === 'check' || a.type === 'call') return a.amount ? `${a.type} ${a.amount}` : a.type;
-    if (a.minAmount != null) return `${a.type} ${a.minAmount}-${a.maxAmount}`;
+    if (a.type === 'fold' || a.type === 'check' || a.type === 'call') return a.amount ? `${a.type} ${a.amount}${bb(a.amount)}` : a.type;
+    if (a.minAmount != null) {
+      const range = metrics ? ` (${toBB(a.minAmount, metrics.bigBlind)}-${toBB(a.maxAmount, metrics.bigBlind)} BB)` : '';
+      return `${a.type} ${a.minAmount}-${a.maxAmount}${range}`;
+    }
     return a.type;
   }).join(', ');
+  const depthPart = metrics
+    ? ` | Eff:${metrics.effectiveBB} BB${metrics.spr != null ? ` | SPR:${metrics.spr}` : ''}`
+    : '';
+  const mathText = formatMath(math);
+  const mathPart = mathText ? ` | ${mathText}` : '';
   return board
-    ? `${phase} | Board: ${board} | ${cards} | Pot:${pot} | Stack:${stack} | ${active} active | Actions: ${actions}`
-    : `${phase} | ${cards} | Pot:${pot} | Stack:${stack} | ${active} active | Actions: ${actions}`;
+    ? `${phase} | Board: ${board} | ${cards}${handPart}${positionPart} | Pot:${pot} | Stack:${stack}${bb(stack)}${depthPart} | ${active} active${mathPart} | Actions: ${actions}`
+    : `${phase} | ${cards}${handPart}${positionPart} | Pot:${pot} | Stack:${stack}${bb(stack)}${depthPart} | ${active} active${mathPart} | Actions: ${actions}`;
+}
+
+function joinNames(names, t) {
+  return names.length > 1 ? t('result.and', { first: names.slice(0, -1).join(', '), last: names.at(-1) }) : names[0];
 }
 
-export function buildHandResultSummary(state, handNumber) {
+function describePot(pot, t) {
+  const params = { amount: pot.amount, hand: pot.winners[0].description, pot: pot.label ? ` (${pot.label})` : '' };
+  if (pot.winners.length === 1) return t(params.hand ? 'result.wonWith' : 'result.won', { ...params, name: pot.winners[0].name });
+  const even = pot.winners.every(w => w.amount === pot.winners[0].amount);
+  const shares = even
+    ? t('result.each', { amount: pot.winners[0].amount })
+    : pot.winners.map(w => `${w.name} ${t.number(w.amount)}`).join(', ');
+  const names = joinNames(pot.winners.map(w => w.name), t);
+  return t(params.hand ? 'result.splitWith' : 'result.split', { ...params, names, shares });
+}
+
+/**
+ * Chat line for a finished hand: every pot with its winners and shares,
+ * the cards shown down and our stack with its change over the hand.
+ *
+ * @param {object} state - PlayerView carrying `lastHandResult`
+ * @param {number} handNumber
+ * @param {{board?: string[], stack?: number|null, delta?: number|null, t?: Function}} [hand] - From the HAND_RESULT output, plus the translator
+ * @returns {string|null}
+ */
+export function buildHandResultSummary(state, handNumber, { board = state.boardCards, stack = null, delta = null, t = defaultTranslator } = {}) {
   const result = state.lastHandResult;
-  const hdr = handNumber ? `**[Hand #${handNumber}]**` : '';
+  const hdr = handNumber ? handHeader(handNumber, t) : '';
   if (!result) return null;
-  const winners = result.players
-    ?.filter(p => result.winners?.includes(p.seat))
-    .map(p => p.name) || [];
-  const pot = result.potResults?.[0]?.amount || 0;
-  const myStack = result.players?.find(p => p.name)?.chips || state.yourChips;
-  return `${hdr} ${winners.join(', ')} won ${pot}. Stack: ${myStack}.`;
+  const { pots, shown, yourStack } = readHandResult(result, {
+    yourSeat: state.yourSeat, board, fallbackStack: state.yourChips, t,
+  });
+  const parts = [];
+  if (pots.length) parts.push(`${pots.map(pot => describePot(pot, t)).join('; ')}.`);
+  // Winners' hands are already named with their pots
+  const reveals = shown.map(p => `${p.name} ${formatCards(p.cards)}${p.description && !p.won ? ` (${p.description})` : ''}`);
+  if (reveals.length) parts.push(t('result.shown', { hands: reveals.join(', ') }));
+  parts.push(delta != null
+    ? t('result.stackChange', { stack: stack ?? yourStack, change: t.signed(delta) })
+    : t('result.stack', { stack: stack ?? yourStack }));
+  return `${hdr} ${parts.join(' ')}`;
+}
+
+/**
+ * Our stack and its change for a HAND_RESULT, from the hand session stats
+ * just finished. The stack alone when that hand began before `handNumber`.
+ */
+function stackChange(finished, handNumber) {
+  if (!finished || finished.number > handNumber) return { stack: null, delta: null };
+  return { stack: finished.endStack, delta: finished.number === handNumber ? finished.delta : null };
 }
 
 export function processStateEvent(view, context) {
   const outputs = [];
+  const t = context.t || defaultTranslator;
+
+  // Session stats track our stack through each hand; the result reports its change
+  const finished = context.sessionStats?.observe(view) ?? null;
 
   // ── Detect fast hand transition (hand N → N+1 without SHOWDOWN) ──
   const handChanged = context.prevState != null
@@ -45,31 +129,73 @@ export function processStateEvent(view, context) {
   if (handChanged) {
     const prevHandNum = context.prevState.handNumber;
     if (prevHandNum > (context.lastReportedHand || 0)) {
+      const prevHdr = handHeader(prevHandNum, t);
+      // The new view's result belongs to the previous hand, cards shown included
+      const board = view.lastHandResult?.boardCards || context.prevState.boardCards || [];
+      const alreadyShown = new Set(shownHands(context.prevState).map(r => r.seat));
+      const reveals = shownHands({ yourSeat: view.yourSeat, lastHandResult: view.lastHandResult }, { includeResult: true, board });
+      const showed = new Set(reveals.map(r => r.seat));
+
       // ── Detect folds from atomic hand transition ──
       // If prevPhase was active (not SHOWDOWN/WAITING), the hand ended
-      // without reaching showdown — meaning opponents folded.
+      // without reaching showdown — meaning opponents who neither won nor
+      // showed their cards folded.
       const prevPhase = context.prevState.phase;
       if (ACTIVE_PHASES.has(prevPhase)) {
-        const prevHdr = `**[Hand #${prevHandNum}]**`;
         const winners = new Set(view.lastHandResult?.winners || []);
         for (const p of context.prevState.players || []) {
           if (p.seat === context.prevState.yourSeat) continue;
-          if (p.status === 'active' && !winners.has(p.seat)) {
-            outputs.push({ type: 'EVENT', message: `${prevHdr} ${p.name} folded`, handNumber: prevHandNum });
+          if (p.status === 'active' && !winners.has(p.seat) && !showed.has(p.seat)) {
+            outputs.push({ type: 'EVENT', message: t('event.fold', { hdr: prevHdr, name: p.name }), handNumber: prevHandNum });
           }
         }
       }
 
-      outputs.push({ type: 'HAND_RESULT', state: view, handNumber: prevHandNum });
+      for (const reveal of reveals) {
+        if (alreadyShown.has(reveal.seat)) continue;
+        outputs.push({ type: 'EVENT', message: formatReveal(prevHdr, reveal, t), handNumber: prevHandNum });
+      }
+
+      // ── Streets run out after the last state we saw ──
+      const prev = context.prevState;
+      if (board.length > (prev.boardCards?.length || 0)) {
+        const me = prev.players?.find(p => p.seat === prev.yourSeat);
+        const yourCards = me && me.status !== 'folded' ? prev.yourCards : null;
+        const hands = [...(yourCards ? [{ name: me.name, isSelf: true, cards: yourCards }] : []), ...reveals];
+        const runout = runoutEvents(prevHdr, {
+          fromBoard: prev.boardCards || [],
+          board,
+          pot: prev.pot,
+          yourCards,
+          hands: hands.length >= 2 ? hands : null,
+          announce: !isAllInLocked(prev) && (prev.players || []).some(p => p.status === 'all_in'),
+        }, t);
+        for (const message of runout) outputs.push({ type: 'EVENT', message, handNumber: prevHandNum });
+      }
+
+      outputs.push({ type: 'HAND_RESULT', state: view, handNumber: prevHandNum, board, ...stackChange(finished, prevHandNum) });
       context.lastReportedHand = prevHandNum;
     }
   }
 
-  const newEvents = diffStates(context.prevState, view);
+  const newEvents = diffStates(context.prevState, view, t);
   for (const message of newEvents) {
     outputs.push({ type: 'EVENT', message, handNumber: view.handNumber });
   }
 
+  // ── Our own actions, as the server applied them ──
+  for (const action of diffActions(context.prevState, view)) {
+    if (!action.isSelf) continue;
+    outputs.push({
+      type: 'SELF_ACTION',
+      handNumber: view.handNumber,
+      phase: context.prevState.phase,
+      action: action.type,
+      amount: action.type === 'fold' || action.type === 'check' ? null : action.bet,
+      chips: action.chips,
+    });
+  }
+
   const prevPhase = context.prevPhase;
 
   context.prevState = view;
@@ -84,7 +210,9 @@ export function processStateEvent(view, context) {
     const turnKey = `${view.handNumber}:${view.phase}`;
     if (turnKey !== context.lastTurnKey) {
       context.lastTurnKey = turnKey;
-      outputs.push({ type: 'YOUR_TURN', state: view, summary: buildSummary(view) });
+      const math = computeDecisionMath(view, context.random ? { random: context.random } : {});
+      const metrics = computeStackMetrics(view, resolveBigBlind(view, context.gameMode));
+      outputs.push({ type: 'YOUR_TURN', state: view, summary: buildSummary(view, math, metrics), math, metrics });
       context.lastActionType = 'YOUR_TURN';
     }
     return outputs;
@@ -107,7 +235,8 @@ export function processStateEvent(view, context) {
           outputs.push({ type: 'REBUY_AVAILABLE', state: view, handNumber: handNum });
           context.lastActionType = 'REBUY_AVAILABLE';
         } else {
-          outputs.push({ type: 'HAND_RESULT', state: view, handNumber: handNum });
+          outputs.push({ type: 'HAND_RESULT', state: view, handNumber: handNum,
+            board: view.boardCards || [], ...stackChange(finished, handNum) });
           context.lastActionType = 'HAND_RESULT';
         }
         context.lastReportedHand = handNum;
@@ -116,7 +245,9 @@ export function processStateEvent(view, context) {
     }
   }
 
-  if (view.phase === 'WAITING' && view.players && view.players.length < 2) {
+  // Seats taken by players sitting out or out of chips don't start a hand
+  const ready = (view.players || []).filter(p => p.status !== 'sitting_out' && p.status !== 'busted');
+  if (view.phase === 'WAITING' && view.players && ready.length < 2) {
     if (context.lastActionType !== 'WAITING_FOR_PLAYERS') {
       outputs.push({ type: 'WAITING_FOR_PLAYERS', state: view });
       context.lastActionType = 'WAITING_FOR_PLAYERS';
@@ -131,27 +262,44 @@ export function processClosedEvent() {
   return [{ type: 'TABLE_CLOSED' }];
 }
 
-// ── Direct delivery args ─────────────────────────────────────────────
-
-const CHANNEL_ALIASES = new Set(['--channel']);
-const CHAT_ID_ALIASES = new Set(['--chat-id', '--target', '--to']);
-
-export function parseDirectArgs(argv) {
-  let channel = null;
-  let chatId = null;
+/**
+ * Reconcile the first state after an SSE reconnect with what we saw before
+ * the outage. Runs before `processStateEvent` on that state.
+ *
+ * - Several hands passed: report the gap, report the hand right before this
+ *   one (its result is in `lastHandResult`), and start fresh so the stale
+ *   previous hand is not reported with someone else's result.
+ * - Our turn may have fired while we were away, or fired before the drop
+ *   with no decision running: clear the turn key so it fires again.
+ */
+export function reconcileReconnect(view, context, { decisionPending = false } = {}) {
+  const outputs = [];
+  const prev = context.prevState;
+
+  if (prev && view.handNumber > prev.handNumber + 1) {
+    const lastHand = view.handNumber - 1;
+    outputs.push({ type: 'HANDS_MISSED', from: prev.handNumber, to: lastHand });
+    // Close the hand we last saw; its stats run through the hands we missed
+    const finished = context.sessionStats?.observe(view) ?? null;
+    if (view.lastHandResult && lastHand > (context.lastReportedHand || 0)) {
+      outputs.push({ type: 'HAND_RESULT', state: view, handNumber: lastHand,
+        board: view.lastHandResult.boardCards ?? [], ...stackChange(finished, lastHand) });
+    }
+    context.lastReportedHand = Math.max(context.lastReportedHand || 0, lastHand);
+    context.prevState = null;
+    context.prevPhase = null;
+  }
 
-  for (let i = 0; i < argv.length; i++) {
-    if (CHANNEL_ALIASES.has(argv[i]) && argv[i + 1]) channel = argv[i + 1];
-    if (CHAT_ID_ALIASES.has(argv[i]) && argv[i + 1]) chatId = argv[i + 1];
+  if (!decisionPending) {
+    context.lastTurnKey = null;
   }
 
-  const enabled = !!(channel && chatId);
-  return { enabled, channel, chatId };
+  return outputs;
 }
 
 // ── Event batcher ────────────────────────────────────────────────────
 
-export function createEventBatcher(channel, chatId, sendFn) {
+export function createEventBatcher(channel, chatId, sendFn, windowMs = 2000) {
   let buffer = [];
   let timer = null;
 
@@ -166,90 +314,477 @@ export function createEventBatcher(channel, chatId, sendFn) {
   function push(message) {
     buffer.push(message);
     if (!timer) {
-      timer = setTimeout(flush, 2000);
+      timer = setTimeout(flush, windowMs);
     }
   }
 
   return { push, flush };
 }
 
-// ── CLI send helpers ─────────────────────────────────────────────────
-
-let currentHandNumber = null;
-let currentPhase = null;
-let lastSend = Promise.resolve();
-let warmupDone = Promise.resolve();
-let decisionSeq = 0;
-let lastDecision = Promise.resolve();
-let decisionPending = false;
-let eventBuffer = [];
-let gameStartedEmitted = false;
-let recentEvents = [];
-let lastDecisionInfo = null;
-let foldedInHand = null;
-
-function doSend(channel, chatId, text) {
-  return new Promise(resolve => {
-    exec(
-      `openclaw message send --channel ${channel} --target ${chatId} --message "$POKER_MSG" --json`,
-      { env: { ...process.env, POKER_MSG: text }, timeout: 10000 },
-      (err) => {
-        if (err) emit({ type: 'SEND_ERROR', error: err.message });
-        resolve();
+// ── Outbox ───────────────────────────────────────────────────────────
+
+/**
+ * Ordered delivery through a transport: messages go out one at a time in
+ * the order they were queued. Failures are reported, never thrown.
+ *
+ * With `batchMs`, messages queued within that window are joined into one.
+ *
+ * @param {{name: string, send: (text: string) => Promise<void>}} transport
+ * @param {(err: Error) => void} [onError]
+ * @param {{batchMs?: number}} [options]
+ */
+export function createOutbox(transport, onError = () => {}, { batchMs = 0 } = {}) {
+  let last = Promise.resolve();
+  const deliver = (text) => {
+    last = last.then(() => transport.send(text).catch(onError));
+    return last;
+  };
+  const batcher = batchMs > 0
+    ? createEventBatcher(null, null, (_channel, _chatId, text) => deliver(text), batchMs)
+    : null;
+  return {
+    transport,
+    send(text) {
+      if (!batcher) return deliver(text);
+      batcher.push(text);
+      return Promise.resolve();
+    },
+    drained: () => {
+      batcher?.flush();
+      return last;
+    },
+  };
+}
+
+// ── Table sessions ───────────────────────────────────────────────────
+
+/**
+ * Per-table state. The CLI plays one session per table; sessions may share
+ * an outbox (one chat) but nothing else.
+ *
+ * @param {string} tableId
+ * @param {object} [options]
+ * @param {string} [options.backendUrl]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.engine] - agent | rules | hybrid
+ * @param {string|null} [options.label] - Tag for chat messages when multi-tabling ("T1")
+ * @param {object|null} [options.gameMode]
+ * @param {object} [options.opponentTracker]
+ * @param {string|null} [options.contextFile] - null to skip the context file
+ * @param {object} [options.outbox] - From createOutbox; defaults to stdout
+ * @param {(obj: object) => void} [options.emit] - Sink for typed output lines
+ * @param {Function|null} [options.decide] - Custom decision function, replaces the engine
+ * @param {{deadlineMs: number, safetyMarginMs: number}} [options.turnDeadline]
+ * @param {{thinking: string, timeoutSec: number, processTimeoutMs: number}} [options.agent] - openclaw agent settings
+ * @param {string} [options.verbosity] - quiet | normal | verbose chat narration
+ * @param {string} [options.profile] - Strategy profile used until the profile file names another
+ * @param {string} [options.locale] - Language of chat messages: en | es | de
+ */
+export function createTableSession(tableId, {
+  backendUrl = '',
+  apiKey = '',
+  engine = 'agent',
+  label = null,
+  gameMode = null,
+  opponentTracker = createOpponentTracker(),
+  contextFile = CONTEXT_FILE,
+  outbox = null,
+  emit: emitFn = emit,
+  decide = null,
+  turnDeadline = { deadlineMs: 30000, safetyMarginMs: 5000 },
+  agent = { thinking: 'low', timeoutSec: 45, processTimeoutMs: 55000 },
+  verbosity = 'normal',
+  profile = DEFAULT_PROFILE,
+  locale = DEFAULT_LOCALE,
+} = {}) {
+  const t = createTranslator(locale);
+  const sessionStats = createSessionStats();
+  return {
+    tableId,
+    backendUrl,
+    apiKey,
+    engine,
+    label,
+    contextFile,
+    opponentTracker,
+    sessionStats,
+    outbox: outbox || createOutbox(createStdoutTransport()),
+    emit: emitFn,
+    decide,
+    turnDeadline,
+    agent,
+    verbosity,
+    t,
+    defaultProfile: profile,
+    profile: null,
+    unknownProfile: null,
+    // processStateEvent context
+    context: { prevState: null, prevPhase: null, lastActionType: null, lastReportedHand: 0, gameMode, sessionStats, t },
+    currentHandNumber: null,
+    currentPhase: null,
+    currentIsYourTurn: false,
+    stopped: false,
+    warmupDone: Promise.resolve(),
+    decisionSeq: 0,
+    lastDecision: Promise.resolve(),
+    decisionPending: false,
+    eventBuffer: [],
+    gameStartedEmitted: false,
+    recentEvents: [],
+    lastDecisionInfo: null,
+    foldedInHand: null,
+    preflopRaiserHand: null,
+  };
+}
+
+/**
+ * Prefix a chat message with the session's table label, if it has one.
+ */
+export function tagMessage(session, text) {
+  return session.label ? `[${session.label}] ${text}` : text;
+}
+
+// Stdout lines carry the table id once more than one table is in play
+function emitFor(session, obj) {
+  session.emit(session.label ? { ...obj, tableId: session.tableId } : obj);
+}
+
+function rememberEvent(session, text) {
+  session.recentEvents.push(text);
+  if (session.recentEvents.length > 20) session.recentEvents.shift();
+}
+
+// ── Send helpers ─────────────────────────────────────────────────────
+
+const activeSessions = new Set();
+
+function queueSend(session, text) {
+  session.outbox.send(tagMessage(session, text));
+}
+
+function flushEventBuffer(session) {
+  for (const text of session.eventBuffer) queueSend(session, text);
+  session.eventBuffer = [];
+}
+
+export function sendMessage(session, text) {
+  if (session.decisionPending) {
+    session.eventBuffer.push(text);
+    return;
+  }
+  queueSend(session, text);
+}
+
+// ── Turn deadline ───────────────────────────────────────────────────
+
+/**
+ * Milliseconds until the deadline fallback should fire for this turn.
+ * Uses the server's `timeoutAt` when the view has one, otherwise the
+ * configured action deadline counted from now.
+ */
+export function deadlineDelay(view, { deadlineMs, safetyMarginMs }, now = Date.now()) {
+  const serverDeadline = view?.timeoutAt != null ? new Date(view.timeoutAt).getTime() : NaN;
+  const deadline = Number.isFinite(serverDeadline) ? serverDeadline : now + deadlineMs;
+  return Math.max(0, deadline - now - safetyMarginMs);
+}
+
+/**
+ * Safe default when the clock is about to run out: check if possible,
+ * otherwise fold.
+ */
+export function deadlineFallbackAction(view, t = defaultTranslator) {
+  const canCheck = (view?.availableActions || []).some(a => a.type?.toLowerCase() === 'check');
+  return canCheck
+    ? { action: 'check', narration: t('decision.deadlineCheck') }
+    : { action: 'fold', narration: t('decision.deadlineFold') };
+}
+
+// ── Self-action confirmation ─────────────────────────────────────────
+
+const CHIP_ACTIONS = new Set(['bet', 'raise', 'call', 'all_in']);
+
+/**
+ * Compare an action the server applied for us (a SELF_ACTION output) with
+ * the decision we submitted for that turn.
+ *
+ * Bet and raise are interchangeable, and any chip-committing decision may
+ * come back as all-in when it took our whole stack.
+ *
+ * @param {{action: string, amount: number|null}} applied
+ * @param {{action: string, amount: number|null}|null} submitted - Null when nothing was submitted
+ * @returns {'timeout'|'action'|'amount'|null} Why they differ, or null when they agree
+ */
+export function compareSelfAction(applied, submitted) {
+  if (!submitted) return 'timeout';
+  const aggressive = type => type === 'bet' || type === 'raise';
+  if (applied.action === 'all_in') return CHIP_ACTIONS.has(submitted.action) ? null : 'action';
+  if (aggressive(applied.action) && aggressive(submitted.action)) {
+    return submitted.amount != null && submitted.amount !== applied.amount ? 'amount' : null;
+  }
+  return applied.action === submitted.action ? null : 'action';
+}
+
+function describeApplied({ action, amount }, t) {
+  const name = t(`action.${action}`);
+  return amount != null && action !== 'all_in' ? `${name} ${t.number(amount)}` : name;
+}
+
+/**
+ * Match a SELF_ACTION against the decision submitted on that street, once.
+ * Returns a SELF_ACTION_MISMATCH output, or null when they agree.
+ */
+function confirmSelfAction(session, output) {
+  const info = session.lastDecisionInfo;
+  const submitted = info && !info.confirmed && !info.rejected
+    && info.handNumber === output.handNumber && info.phase === output.phase ? info : null;
+  if (submitted) submitted.confirmed = true;
+
+  const reason = compareSelfAction(output, submitted);
+  if (!reason) return null;
+  return {
+    type: 'SELF_ACTION_MISMATCH',
+    handNumber: output.handNumber,
+    phase: output.phase,
+    reason,
+    submitted: submitted ? { action: submitted.action, amount: submitted.amount } : null,
+    applied: { action: output.action, amount: output.amount },
+  };
+}
+
+/** Chat line telling the table what the server did in our place. */
+export function formatSelfActionMismatch(mismatch, t = defaultTranslator) {
+  const applied = describeApplied(mismatch.applied, t);
+  if (mismatch.reason === 'timeout') return t('decision.selfTimeout', { applied });
+  return t('decision.selfMismatch', { applied, submitted: describeApplied(mismatch.submitted, t) });
+}
+
+// ── Decisions ────────────────────────────────────────────────────────
+
+/**
+ * POST a decision to the poker server and narrate it once accepted.
+ * With a view, the decision is first fitted to its `availableActions`, and a
+ * rejected action is retried once with a more conservative legal one.
+ * Resolves when the request has settled (accepted, rejected or failed).
+ */
+function submitAction(session, decision, handNumber, phase, view = null, retried = false) {
+  if (view?.availableActions?.length) {
+    const legal = legalizeDecision(decision, view.availableActions);
+    if (legal.changes.length) {
+      emitFor(session, { type: 'ACTION_ADJUSTED', from: decision.action, to: legal.decision.action, amount: legal.decision.amount ?? null, changes: legal.changes });
+    }
+    decision = legal.decision;
+  }
+
+  session.lastDecisionInfo = {
+    action: decision.action,
+    amount: decision.amount || null,
+    narration: decision.narration || null,
+    handNumber,
+    phase,
+    confirmed: false,
+  };
+
+  if (decision.action === 'fold') {
+    session.foldedInHand = handNumber;
+  }
+
+  const body = decision.amount != null
+    ? { action: decision.action, amount: decision.amount }
+    : { action: decision.action };
+
+  return fetch(`${session.backendUrl}/api/game/${session.tableId}/action`, {
+    method: 'POST',
+    headers: { 'x-api-key': session.apiKey, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  }).then(resp => {
+    if (resp.ok) {
+      if (phase === 'PREFLOP' && ['raise', 'bet', 'all_in'].includes(decision.action)) {
+        session.preflopRaiserHand = handNumber;
+      }
+      // Send narration only after action is confirmed
+      if (decision.narration) {
+        queueSend(session, decision.narration);
+        rememberEvent(session, decision.narration);
       }
-    );
+    } else {
+      return resp.text().catch(() => null).then(reason => {
+        emitFor(session, { type: 'ACTION_REJECTED', status: resp.status, action: decision.action, reason });
+        if (session.lastDecisionInfo?.action === decision.action) session.lastDecisionInfo.rejected = true;
+        if (session.foldedInHand === handNumber && decision.action === 'fold') session.foldedInHand = null;
+
+        // One retry with a safer legal action while the turn is still ours
+        const corrected = !retried && view && session.currentHandNumber === handNumber && session.currentIsYourTurn
+          ? correctRejectedDecision(decision, view.availableActions)
+          : null;
+        if (corrected) {
+          emitFor(session, { type: 'ACTION_RETRY', rejected: decision.action, action: corrected.action, amount: corrected.amount ?? null });
+          const same = corrected.action === decision.action && corrected.amount === decision.amount;
+          const key = same ? 'decision.retrySame' : 'decision.retry';
+          const narration = session.t(reason ? `${key}Reason` : key,
+            { action: session.t(`action.${decision.action}`), retry: describeApplied(corrected, session.t), reason });
+          const retry = { ...corrected, narration };
+          return submitAction(session, retry, handNumber, phase, view, true);
+        }
+
+        queueSend(session, session.t(reason ? 'decision.rejected' : 'decision.rejectedNoReason', { status: String(resp.status), reason }));
+      });
+    }
+  }).catch(actionErr => {
+    emitFor(session, { type: 'ACTION_SUBMIT_ERROR', error: actionErr.message, action: decision.action });
   });
 }
 
-function flushEventBuffer() {
-  for (const evt of eventBuffer) {
-    lastSend = lastSend.then(() => doSend(evt.channel, evt.chatId, evt.text));
+function releaseEvents(session, decision) {
+  session.decisionPending = false;
+  if (decision?.action === 'fold') {
+    session.eventBuffer = [];
+  } else {
+    flushEventBuffer(session);
   }
-  eventBuffer = [];
 }
 
-export function sendMessage(channel, chatId, text) {
-  if (decisionPending) {
-    eventBuffer.push({ channel, chatId, text });
-    return;
+export function sendDecision(session, prompt, { view = null } = {}) {
+  const { engine, tableId } = session;
+  const mySeq = ++session.decisionSeq;
+  const myHandNumber = session.currentHandNumber;
+  const myPhase = session.currentPhase;
+  session.decisionPending = true;
+
+  // Whichever of the decision and the deadline fallback gets there first wins
+  const turn = { settled: false, timer: null };
+
+  if (view) {
+    turn.timer = setTimeout(() => {
+      if (turn.settled || session.stopped || mySeq !== session.decisionSeq) return;
+      if (session.currentHandNumber !== myHandNumber || !session.currentIsYourTurn) return;
+      turn.settled = true;
+      const decision = deadlineFallbackAction(view, session.t);
+      emitFor(session, { type: 'DECISION_DEADLINE_FALLBACK', action: decision.action, handNumber: myHandNumber });
+      submitAction(session, decision, myHandNumber, myPhase, view)
+        .finally(() => releaseEvents(session, decision));
+    }, deadlineDelay(view, session.turnDeadline));
+    turn.timer.unref?.();
   }
-  lastSend = lastSend.then(() => doSend(channel, chatId, text));
-}
 
-export function sendDecision(channel, chatId, tableId, prompt, backendUrl, apiKey) {
-  const mySeq = ++decisionSeq;
-  const myHandNumber = currentHandNumber;
-  decisionPending = true;
+  const rulesOptions = () => ({
+    wasPreflopRaiser: session.preflopRaiserHand === myHandNumber,
+    profile: session.profile,
+    bigBlind: resolveBigBlind(view, session.context.gameMode),
+    t: session.t,
+  });
 
-  lastDecision = lastDecision.then(() => warmupDone).then(() => {
-    if (mySeq !== decisionSeq) {
-      emit({ type: 'DECISION_STALE', skipped: mySeq, current: decisionSeq });
+  session.lastDecision = session.lastDecision.then(() => (engine === 'rules' ? null : session.warmupDone)).then(() => {
+    if (mySeq !== session.decisionSeq) {
+      emitFor(session, { type: 'DECISION_STALE', skipped: mySeq, current: session.decisionSeq });
       return;
     }
 
     return new Promise(resolve => {
+      function finish() {
+        session.decisionPending = false;
+        flushEventBuffer(session);
+        resolve();
+      }
+
+      // Hybrid mode: the rule engine stands in when the agent fails
+      function fallback(reason) {
+        if (engine !== 'hybrid' || !view) return false;
+        const decision = decideByRules(view, rulesOptions());
+        emitFor(session, { type: 'DECISION_FALLBACK', reason, action: decision.action, amount: decision.amount ?? null });
+        submit(decision);
+        return true;
+      }
+
+      function submit(decision) {
+        if (turn.settled) {
+          emitFor(session, { type: 'DECISION_TOO_LATE', action: decision.action, handNumber: myHandNumber });
+          resolve();
+          return;
+        }
+        turn.settled = true;
+        clearTimeout(turn.timer);
+
+        // Submit action to poker server — but first check if hand moved on
+        if (session.currentHandNumber !== myHandNumber) {
+          if (decision.action === 'fold') session.foldedInHand = myHandNumber;
+          emitFor(session, { type: 'DECISION_STALE_HAND', decidedHand: myHandNumber, currentHand: session.currentHandNumber, action: decision.action });
+          queueSend(session, session.t('decision.handMovedOn', { action: session.t(`action.${decision.action}`) }));
+          finish();
+          return;
+        }
+
+        submitAction(session, decision, myHandNumber, myPhase, view).finally(() => {
+          releaseEvents(session, decision);
+          resolve();
+        });
+      }
+
+      // A decision (or failure) from the agent or a custom decide function
+      function handleDecision(err, decision, raw = '') {
+        if (session.stopped) {
+          resolve();
+          return;
+        }
+        if (turn.settled) {
+          // Deadline fallback already acted for this turn
+          if (decision?.action) emitFor(session, { type: 'DECISION_TOO_LATE', action: decision.action, handNumber: myHandNumber });
+          resolve();
+          return;
+        }
+
+        if (mySeq !== session.decisionSeq) {
+          emitFor(session, { type: 'DECISION_STALE', skipped: mySeq, current: session.decisionSeq });
+          queueSend(session, session.t('decision.tooLate'));
+          finish();
+          return;
+        }
+
+        if (err) {
+          if (session.decide) emitFor(session, { type: 'DECISION_ERROR', error: err.message });
+          if (fallback('agent_error')) return;
+          if (view) {
+            // Play safe now rather than wait for the deadline fallback
+            const safe = deadlineFallbackAction(view, session.t);
+            submit({ ...safe, narration: session.t(safe.action === 'check' ? 'decision.failedCheck' : 'decision.failedFold') });
+            return;
+          }
+          finish();
+          return;
+        }
+
+        if (!decision?.action) {
+          emitFor(session, { type: 'DECISION_NO_ACTION', stdout: raw.slice(0, 300) });
+          if (fallback('no_action')) return;
+          finish();
+          return;
+        }
+
+        submit(decision);
+      }
+
+      if (engine === 'rules') {
+        submit(decideByRules(view, rulesOptions()));
+        return;
+      }
+
+      if (session.decide) {
+        Promise.resolve()
+          .then(() => session.decide(view, { prompt, tableId }))
+          .then(decision => handleDecision(null, decision), err => handleDecision(err));
+        return;
+      }
+
       execFile('openclaw', [
         'agent', '--local',
         '--session-id', `poker-${tableId}`,
         '--message', prompt,
-        '--thinking', 'low',
-        '--timeout', '45',
+        '--thinking', session.agent.thinking,
+        '--timeout', String(session.agent.timeoutSec),
         '--json',
-      ], { timeout: 55000 }, (err, stdout) => {
-        if (mySeq !== decisionSeq) {
-          emit({ type: 'DECISION_STALE', skipped: mySeq, current: decisionSeq });
-          lastSend = lastSend.then(() => doSend(channel, chatId, 'Took too long \u2014 timed out on that hand.'));
-          decisionPending = false;
-          flushEventBuffer();
-          resolve();
-          return;
-        }
-
+      ], { timeout: session.agent.processTimeoutMs }, (err, stdout) => {
         if (err) {
-          lastSend = lastSend.then(() => doSend(channel, chatId, 'Timed out deciding \u2014 auto-folded.'));
-          decisionPending = false;
-          flushEventBuffer();
-          resolve();
+          handleDecision(err);
           return;
         }
 
@@ -274,84 +809,16 @@ export function sendDecision(channel, chatId, tableId, prompt, backendUrl, apiKe
             decision = JSON.parse(agentText.slice(decStart, decEnd + 1));
           }
         } catch (e) {
-          emit({ type: 'DECISION_PARSE_ERROR', error: e.message, stdout: stdout.slice(0, 300) });
+          emitFor(session, { type: 'DECISION_PARSE_ERROR', error: e.message, stdout: stdout.slice(0, 300) });
         }
 
-        if (!decision?.action) {
-          emit({ type: 'DECISION_NO_ACTION', stdout: stdout.slice(0, 300) });
-          decisionPending = false;
-          flushEventBuffer();
-          resolve();
-          return;
-        }
-
-        lastDecisionInfo = {
-          action: decision.action,
-          amount: decision.amount || null,
-          narration: decision.narration || null,
-        };
-
-        if (decision.action === 'fold') {
-          foldedInHand = myHandNumber;
-        }
-
-        // Submit action to poker server — but first check if hand moved on
-        if (currentHandNumber !== myHandNumber) {
-          emit({ type: 'DECISION_STALE_HAND', decidedHand: myHandNumber, currentHand: currentHandNumber, action: decision.action });
-          lastSend = lastSend.then(() => doSend(channel, chatId,
-            `Hand moved on while deciding — skipped ${decision.action}.`));
-          decisionPending = false;
-          flushEventBuffer();
-          resolve();
-          return;
-        }
-
-        const body = decision.amount != null
-          ? { action: decision.action, amount: decision.amount }
-          : { action: decision.action };
-
-        fetch(`${backendUrl}/api/game/${tableId}/action`, {
-          method: 'POST',
-          headers: { 'x-api-key': apiKey, 'Content-Type': 'application/json' },
-          body: JSON.stringify(body),
-          signal: AbortSignal.timeout(5000),
-        }).then(resp => {
-          if (resp.ok) {
-            // Send narration only after action is confirmed
-            if (decision.narration) {
-              const narrationMsg = decision.narration;
-              lastSend = lastSend.then(() => doSend(channel, chatId, narrationMsg));
-              recentEvents.push(narrationMsg);
-              if (recentEvents.length > 20) recentEvents.shift();
-            }
-          } else {
-            resp.text().then(reason => {
-              emit({ type: 'ACTION_REJECTED', status: resp.status, action: decision.action, reason });
-              lastSend = lastSend.then(() => doSend(channel, chatId,
-                `Action rejected (${resp.status}): ${reason || 'unknown reason'}`));
-            }).catch(() => {
-              emit({ type: 'ACTION_REJECTED', status: resp.status, action: decision.action, reason: null });
-              lastSend = lastSend.then(() => doSend(channel, chatId,
-                `Action rejected (${resp.status}) — could not read reason.`));
-            });
-          }
-        }).catch(actionErr => {
-          emit({ type: 'ACTION_SUBMIT_ERROR', error: actionErr.message, action: decision.action });
-        }).finally(() => {
-          decisionPending = false;
-          if (decision.action === 'fold') {
-            eventBuffer = [];
-          } else {
-            flushEventBuffer();
-          }
-          resolve();
-        });
+        handleDecision(null, decision, stdout);
       });
     });
   }).catch(e => {
-    decisionPending = false;
-    flushEventBuffer();
-    emit({ type: 'DECISION_CHAIN_ERROR', error: e.message });
+    session.decisionPending = false;
+    flushEventBuffer(session);
+    emitFor(session, { type: 'DECISION_CHAIN_ERROR', error: e.message });
   });
 }
 
@@ -367,16 +834,72 @@ export function readStrategyOverride() {
   }
 }
 
+// ── Strategy profile ─────────────────────────────────────────────────
+
+/** Profile name written by the agent to switch profiles mid-session, or ''. */
+export function readStrategyProfile() {
+  try {
+    return readFileSync(join(__dirname, 'poker-strategy-profile.txt'), 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Resolve the profile for the next decision: the profile file if present,
+ * else the session's configured profile. A switch is announced in chat; an
+ * unknown name is reported once and the configured profile is kept.
+ */
+export function resolveStrategyProfile(session, requested = readStrategyProfile()) {
+  let profile = getProfile(requested || session.defaultProfile);
+  if (!profile) {
+    if (session.unknownProfile !== requested) {
+      emitFor(session, { type: 'STRATEGY_PROFILE_UNKNOWN', profile: requested, known: PROFILE_NAMES });
+      session.unknownProfile = requested;
+    }
+    profile = getProfile(session.defaultProfile) || PROFILES[DEFAULT_PROFILE];
+  } else {
+    session.unknownProfile = null;
+  }
+
+  const previous = session.profile;
+  session.profile = profile;
+  if (previous && previous.name !== profile.name) {
+    emitFor(session, { type: 'STRATEGY_PROFILE_CHANGED', from: previous.name, to: profile.name });
+    queueSend(session, session.t('control.profile', { profile: profile.name }));
+  }
+  return profile;
+}
+
 // ── Game context file ────────────────────────────────────────────────
 
-const CONTEXT_FILE = join(__dirname, 'poker-game-context.json');
-const CONTEXT_TMP  = join(__dirname, '.poker-game-context.json.tmp');
+// Runtime files live next to the skill unless POKER_STATE_DIR points elsewhere
+const STATE_DIR = process.env.POKER_STATE_DIR || __dirname;
+
+const CONTEXT_FILE = join(STATE_DIR, 'poker-game-context.json');
 
-export function writeGameContext(view, tableId, extraFields = {}) {
+/**
+ * Context file for a table. A single table keeps the well-known
+ * `poker-game-context.json`; when multi-tabling each table gets its own.
+ */
+export function contextFilePath(tableId, multiTable = false) {
+  return multiTable ? join(STATE_DIR, `poker-game-context-${tableId}.json`) : CONTEXT_FILE;
+}
+
+function writeContextFile(file, context) {
+  const tmp = join(dirname(file), `.${basename(file)}.tmp`);
+  writeFileSync(tmp, JSON.stringify(context, null, 2));
+  renameSync(tmp, file);
+}
+
+export function writeGameContext(session, view, extraFields = {}) {
+  if (!session.contextFile) return;
   const strategyOverride = readStrategyOverride() || null;
+  const positions = view ? tablePositions(view) : new Map();
   const context = {
     active: true,
-    tableId,
+    tableId: session.tableId,
+    label: session.label,
     lastUpdated: new Date().toISOString(),
     hand: view ? {
       number: view.handNumber,
@@ -385,209 +908,666 @@ export function writeGameContext(view, tableId, extraFields = {}) {
       board: view.boardCards || [],
       pot: view.pot,
       stack: view.yourChips,
+      position: positions.get(view.yourSeat) ?? null,
+      toActBehind: playersToActBehind(view).map(p => p.name),
       players: (view.players || []).map(p => ({
         name: p.name, seat: p.seat, chips: p.chips, status: p.status,
+        position: positions.get(p.seat) ?? null,
       })),
     } : null,
-    recentEvents: recentEvents.slice(-20),
-    lastDecision: lastDecisionInfo,
+    recentEvents: session.recentEvents.slice(-20),
+    lastDecision: session.lastDecisionInfo,
+    handHistoryFile: handHistoryPath(session.tableId),
+    opponents: Object.fromEntries((view?.players || [])
+      .filter(p => p.seat !== view.yourSeat)
+      .map(p => [p.name, session.opponentTracker.line(p.name)])),
     strategyOverride,
+    strategyProfile: (session.profile || getProfile(session.defaultProfile))?.name ?? DEFAULT_PROFILE,
+    strategyProfiles: PROFILE_NAMES,
+    session: session.sessionStats.snapshot(),
     ...extraFields,
   };
   try {
-    writeFileSync(CONTEXT_TMP, JSON.stringify(context, null, 2));
-    renameSync(CONTEXT_TMP, CONTEXT_FILE);
+    writeContextFile(session.contextFile, context);
   } catch (err) {
-    emit({ type: 'CONTEXT_WRITE_ERROR', error: err.message });
+    emitFor(session, { type: 'CONTEXT_WRITE_ERROR', error: err.message });
   }
 }
 
-// ── Crash handlers ──────────────────────────────────────────────────
+// ── Opponent stats file ──────────────────────────────────────────────
+
+const OPPONENT_STATS_FILE = join(STATE_DIR, 'poker-opponent-stats.json');
+const OPPONENT_STATS_TMP  = join(STATE_DIR, '.poker-opponent-stats.json.tmp');
 
-process.on('uncaughtException', (err) => {
+export function readOpponentStats() {
   try {
-    writeFileSync(CONTEXT_TMP, JSON.stringify({ active: false, error: err.message, lastUpdated: new Date().toISOString() }));
-    renameSync(CONTEXT_TMP, CONTEXT_FILE);
-  } catch { /* best effort */ }
-  emit({ type: 'CRASH', error: err.message });
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason) => {
-  const msg = reason instanceof Error ? reason.message : String(reason);
+    return JSON.parse(readFileSync(OPPONENT_STATS_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function writeOpponentStats(stats) {
   try {
-    writeFileSync(CONTEXT_TMP, JSON.stringify({ active: false, error: msg, lastUpdated: new Date().toISOString() }));
-    renameSync(CONTEXT_TMP, CONTEXT_FILE);
-  } catch { /* best effort */ }
-  emit({ type: 'CRASH', error: msg });
-  process.exit(1);
-});
+    writeFileSync(OPPONENT_STATS_TMP, JSON.stringify(stats, null, 2));
+    renameSync(OPPONENT_STATS_TMP, OPPONENT_STATS_FILE);
+  } catch (err) {
+    emit({ type: 'OPPONENT_STATS_WRITE_ERROR', error: err.message });
+  }
+}
+
+export function liveOpponents(view) {
+  return (view?.players || []).filter(p =>
+    p.seat !== view.yourSeat && (p.status === 'active' || p.status === 'all_in'));
+}
+
+// ── Hand history file ────────────────────────────────────────────────
+
+const HISTORY_DIR = join(STATE_DIR, 'hand-history');
+
+export function handHistoryPath(tableId) {
+  return join(HISTORY_DIR, `${tableId}.txt`);
+}
+
+export function appendHandHistory(tableId, text) {
+  try {
+    mkdirSync(HISTORY_DIR, { recursive: true });
+    appendFileSync(handHistoryPath(tableId), `${text}\n\n\n`);
+  } catch (err) {
+    emit({ type: 'HAND_HISTORY_WRITE_ERROR', error: err.message });
+  }
+}
+
+// ── Crash handlers ──────────────────────────────────────────────────
+
+function markCrashed(message) {
+  const files = activeSessions.size
+    ? [...activeSessions].map(session => session.contextFile)
+    : [CONTEXT_FILE];
+  for (const file of files) {
+    try {
+      writeContextFile(file, { active: false, error: message, lastUpdated: new Date().toISOString() });
+    } catch { /* best effort */ }
+  }
+}
+
+// CLI only: embedders keep control of their own process
+function installCrashHandlers() {
+  process.on('uncaughtException', (err) => {
+    markCrashed(err.message);
+    emit({ type: 'CRASH', error: err.message });
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason) => {
+    const msg = reason instanceof Error ? reason.message : String(reason);
+    markCrashed(msg);
+    emit({ type: 'CRASH', error: msg });
+    process.exit(1);
+  });
+}
 
 // ── Decision prompt builder ──────────────────────────────────────────
 
-export function buildDecisionPrompt(summary, backendUrl, apiKey, tableId, strategyOverride) {
+export function buildDecisionPrompt(summary, backendUrl, apiKey, tableId, strategyOverride, extras = {}) {
+  const { math = null, opponents = [], metrics = null, profile = PROFILES[DEFAULT_PROFILE], locale = DEFAULT_LOCALE } = extras;
   let strategySection = '';
   if (strategyOverride) {
     strategySection = `\n\nUser Strategy Override (prioritize this):\n${strategyOverride}`;
   }
 
+  const mathLines = [];
+  if (math?.equity != null) {
+    mathLines.push(`- Estimated equity: ${formatPercent(math.equity)} against ${math.opponents} random ${math.opponents === 1 ? 'hand' : 'hands'}.`);
+  }
+  if (math?.odds) {
+    const { toCall, pot, ratio, requiredEquity } = math.odds;
+    mathLines.push(`- Pot odds: call ${toCall} to win ${pot} (${formatRatio(ratio)}) — a call needs ${formatPercent(requiredEquity)} equity.`);
+  }
+  const mathSection = mathLines.length
+    ? `\n\nOdds (computed, use these instead of estimating):\n${mathLines.join('\n')}`
+    : '';
+
+  const depthLines = [];
+  if (metrics) {
+    const effective = metrics.effective.map(e => `${e.bb} BB vs ${e.name}`).join(', ');
+    depthLines.push(`- Your stack: ${metrics.stackBB} BB${effective ? `; effective ${effective}` : ''}.`);
+    if (metrics.spr != null) depthLines.push(`- Stack-to-pot ratio: ${metrics.spr}.`);
+    if (metrics.callBB != null) depthLines.push(`- To call: ${metrics.callBB} BB.`);
+    if (metrics.raiseBB) depthLines.push(`- Raise range: ${metrics.raiseBB.min}-${metrics.raiseBB.max} BB.`);
+  }
+  const depthSection = depthLines.length
+    ? `\n\nStack depth (big blind = ${metrics.bigBlind}):\n${depthLines.join('\n')}`
+    : '';
+
+  // The chat reads the narration, so it follows the listener's locale
+  const languageSection = locale !== DEFAULT_LOCALE
+    ? `\n\nWrite the narration in ${LANGUAGE_NAMES[locale]}; the table chat is in ${LANGUAGE_NAMES[locale]}. Keep the JSON keys and action names in English.`
+    : '';
+
+  const opponentSection = opponents.length
+    ? `\n\nOpponents (HUD stats across sessions — exploit clear tendencies, distrust small samples):\n${opponents.map(l => `- ${l}`).join('\n')}`
+    : '';
+
   return `You are playing No-Limit Hold'em poker. It is your turn to act.
 
-Situation: ${summary}
+Situation: ${summary}${mathSection}${depthSection}${opponentSection}
 
 Strategy:
-- Preflop: AA/KK/QQ raise 3x BB. JJ/TT/AKo/AKs/AQs/AJs/KQs/99/88 raise 2.5x BB. Small pairs/suited connectors: fold unless late position. Everything else: fold.
-- Facing a raise: 3-bet QQ+/AK, call JJ/TT/AK, fold rest.
-- Postflop: Strong hand (top pair good kicker+) bet 50-66% pot. Draw: call only if pot odds > 4:1. Nothing: check-fold. Monster (set+): bet for value.
-- Under 10 BB: shove or fold only.${strategySection}
+${describeProfile(profile)}${strategySection}
 
 IMPORTANT: If raising, your amount MUST be within the range shown in Actions (e.g., 'raise 40-970' means amount between 40 and 970). Never raise below the minimum or above the maximum.
 
 Respond with ONLY a JSON object, no other text:
 {"action": "fold|check|call|raise|all_in", "amount": <number if raise/bet, omit otherwise>, "narration": "<one sentence: what you did and why>"}
 
-Example: {"action": "raise", "amount": 25, "narration": "Raising to 25 — AK suited on the button."}`;
+Example: {"action": "raise", "amount": 25, "narration": "Raising to 25 — AK suited on the button."}${languageSection}`;
+}
+
+// ── Game mode ────────────────────────────────────────────────────────
+
+/**
+ * Look up one entry of /api/game-modes, used for the blind level when the
+ * PlayerView carries no forcedBets. Resolves null when it cannot be found.
+ */
+export async function fetchGameMode(backendUrl, apiKey, gameModeId, fetchFn = fetch) {
+  try {
+    const resp = await fetchFn(`${backendUrl}/api/game-modes`, {
+      headers: { 'x-api-key': apiKey },
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const body = await resp.json();
+    const modes = Array.isArray(body) ? body : body.gameModes || body.modes || [];
+    const mode = modes.find(m => String(m.id ?? m.gameModeId) === String(gameModeId));
+    if (!mode) emit({ type: 'GAME_MODE_NOT_FOUND', gameModeId });
+    return mode || null;
+  } catch (err) {
+    emit({ type: 'GAME_MODE_FETCH_ERROR', error: err.message });
+    return null;
+  }
+}
+
+// ── Table ids ────────────────────────────────────────────────────────
+
+/**
+ * Table ids from the third positional argument, comma-separated
+ * ("t1,t2"), deduplicated in order.
+ */
+export function parseTableIds(arg) {
+  return [...new Set(String(arg || '').split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+// ── Replay ───────────────────────────────────────────────────────────
+
+// Replays seed the equity simulation so the same recording gives the same output
+const REPLAY_SEED = 42;
+
+/**
+ * Run a parsed recording through the state pipeline without timing and
+ * return every typed output, for regression fixtures.
+ *
+ * @param {{event: string, data: string}[]} records - From parseRecording
+ * @param {{gameMode?: object, seed?: number}} [options]
+ */
+export function replayRecording(records, { gameMode = null, seed = REPLAY_SEED } = {}) {
+  const context = {
+    prevState: null, prevPhase: null, lastActionType: null, lastReportedHand: 0, gameMode,
+    sessionStats: createSessionStats(), random: seededRandom(seed),
+  };
+  const outputs = [];
+  for (const record of records) {
+    if (record.event === 'state') outputs.push(...processStateEvent(JSON.parse(record.data), context));
+    else if (record.event === 'closed') outputs.push(...processClosedEvent());
+  }
+  return outputs;
+}
+
+/**
+ * CLI `--replay`: play a recording through the full output pipeline with
+ * its original timing (scaled by `--replay-speed`). Narration goes to the
+ * selected transport, or every output to stdout; nothing is decided,
+ * submitted or written to disk.
+ */
+async function runReplay(config) {
+  const file = config.replay;
+  const speed = config.replaySpeed;
+  let records;
+  try {
+    records = readRecording(file);
+  } catch (err) {
+    emit({ type: 'CONNECTION_ERROR', error: `Cannot read recording: ${err.message}` });
+    process.exit(1);
+  }
+
+  const direct = deliveryOptions(config);
+  const outbox = createCliOutbox(config, direct);
+  const session = createTableSession('replay', { contextFile: null, outbox, verbosity: config.verbosity, locale: config.locale });
+  session.context.random = seededRandom(REPLAY_SEED);
+
+  emit({ type: 'REPLAY_STARTED', file, events: records.length, speed });
+  let table = null;
+  const EventSourceClass = createReplaySource(records, { speed, onDone: () => table?.stop() });
+  table = runTable(session, {
+    EventSourceClass,
+    autopilot: direct.enabled,
+    persist: false,
+    dryRun: true,
+    onOutput: output => {
+      // Nothing decides during a replay, so turns are printed even when narrated
+      if (!direct.enabled || !NARRATED_OUTPUTS.has(output.type) || output.type === 'YOUR_TURN') emit(output);
+    },
+    onEnd: code => outbox.drained().then(() => {
+      emit({ type: 'REPLAY_FINISHED', file });
+      process.exit(code);
+    }),
+  });
 }
 
 // ── Main SSE connection ──────────────────────────────────────────────
 
-async function main() {
-  const [, , backendUrl, apiKey, tableId] = process.argv;
+const USAGE = 'node poker-listener.js --backend-url <url> --tables <tableId>[,<tableId>...] [--api-key <key>] [--config <file>] [--transport openclaw|webhook|file|stdout] [--channel <name> --target <id>] [--webhook-url <url>] [--message-file <path>] [--engine agent|rules|hybrid] [--game-mode <id>] [--profile tight|standard|loose-aggressive|short-stack] [--thinking <level>] [--agent-timeout <sec>] [--agent-process-timeout <sec>] [--action-deadline <sec>] [--safety-margin <sec>] [--batch-window <sec>] [--verbosity quiet|normal|verbose] [--locale en|es|de] [--record <file.jsonl>]  |  node poker-listener.js --replay <file.jsonl> [--replay-speed <n>]';
 
-  if (!backendUrl || !apiKey || !tableId) {
-    emit({ type: 'CONNECTION_ERROR', error: 'Usage: node poker-listener.js <backendUrl> <apiKey> <tableId> [--channel <name> --chat-id <id>]' });
+/**
+ * Outbox for the CLI: the configured transport (stdout when none), with
+ * the configured batch window. Exits on an unusable transport.
+ */
+function createCliOutbox(config, direct) {
+  let transport = createStdoutTransport();
+  if (direct.enabled) {
+    try {
+      transport = createTransport(direct);
+    } catch (err) {
+      emit({ type: 'CONFIG_ERROR', errors: [err.message] });
+      process.exit(1);
+    }
+  }
+  return createOutbox(transport, err => emit({ type: 'SEND_ERROR', transport: transport.name, error: err.message }),
+    { batchMs: config.batchWindow * 1000 });
+}
+
+async function main() {
+  const { config, errors } = loadConfig();
+  if (errors.length) {
+    emit({ type: 'CONFIG_ERROR', errors, usage: USAGE });
     process.exit(1);
   }
 
-  const direct = parseDirectArgs(process.argv);
-  const mode = direct.enabled ? 'direct' : 'stdout';
+  if (config.replay) {
+    await runReplay(config);
+    return;
+  }
 
-  emit({ type: 'DELIVERY_MODE', mode, channel: direct.channel, chatId: direct.chatId ? '***' : null });
+  const { backendUrl, apiKey, engine } = config;
+  const tableIds = config.tables;
 
-  const sseUrl = `${backendUrl}/api/game/${tableId}/stream?token=${apiKey}`;
+  installCrashHandlers();
+
+  const direct = deliveryOptions(config);
+  const mode = direct.enabled ? 'direct' : 'stdout';
+  const turnDeadline = turnDeadlineOptions(config);
+  const outbox = createCliOutbox(config, direct);
 
   let EventSourceClass;
   try {
-    const mod = await import('eventsource');
-    EventSourceClass = mod.default || mod.EventSource;
+    EventSourceClass = await loadEventSource();
   } catch {
     emit({ type: 'CONNECTION_ERROR', error: 'eventsource package not available' });
     process.exit(1);
   }
 
-  const context = { prevState: null, prevPhase: null, lastActionType: null, lastReportedHand: 0 };
-  const es = new EventSourceClass(sseUrl);
+  const gameMode = config.gameMode ? await fetchGameMode(backendUrl, apiKey, config.gameMode) : null;
+
+  // One stats store across tables; each table observes its own hands
+  const statsStore = createOpponentTracker(readOpponentStats());
+  const multiTable = tableIds.length > 1;
+  const sessions = tableIds.map((tableId, i) => createTableSession(tableId, {
+    backendUrl,
+    apiKey,
+    engine,
+    label: multiTable ? `T${i + 1}` : null,
+    gameMode,
+    opponentTracker: statsStore.forTable(),
+    contextFile: contextFilePath(tableId, multiTable),
+    outbox,
+    turnDeadline,
+    agent: agentOptions(config),
+    verbosity: config.verbosity,
+    profile: config.strategyProfile,
+    locale: config.locale,
+  }));
+
+  emit({
+    type: 'DELIVERY_MODE', mode, engine, transport: direct.transport, channel: direct.channel, chatId: direct.chatId ? '***' : null,
+    ...(multiTable && { tables: sessions.map(s => ({ tableId: s.tableId, label: s.label })) }),
+  });
+
+  let exitCode = 0;
+  function endTable(session, code) {
+    if (!activeSessions.delete(session)) return;
+    exitCode = Math.max(exitCode, code);
+    if (activeSessions.size === 0) outbox.drained().then(() => process.exit(exitCode));
+  }
 
-  es.onopen = () => {
-    if (mode === 'direct') {
-      warmupDone = new Promise(resolve => {
+  // In direct mode the narrated outputs go to chat; the rest still print
+  const autopilot = mode === 'direct';
+  // --record captures the raw stream; with several tables, one file each
+  const recordPath = config.record;
+
+  for (const session of sessions) {
+    activeSessions.add(session);
+    runTable(session, {
+      EventSourceClass,
+      autopilot,
+      persist: true,
+      recorder: recordPath
+        ? createStreamRecorder(multiTable ? recordPath.replace(/(\.jsonl)?$/, `-${session.tableId}$1`) : recordPath)
+        : null,
+      onOutput: output => {
+        if (!autopilot || !NARRATED_OUTPUTS.has(output.type)) emitFor(session, output);
+      },
+      onEnd: code => endTable(session, code),
+    });
+  }
+}
+
+const NARRATED_OUTPUTS = new Set(['EVENT', 'YOUR_TURN', 'HAND_RESULT', 'WAITING_FOR_PLAYERS', 'REBUY_AVAILABLE', 'TABLE_CLOSED']);
+
+async function loadEventSource() {
+  const mod = await import('eventsource');
+  return mod.default || mod.EventSource;
+}
+
+/**
+ * Play one table: its SSE stream with reconnects, state processing and
+ * decisions.
+ *
+ * Every typed output goes to `onOutput`. With `autopilot`, events are also
+ * narrated to the session's outbox and turns are decided and submitted.
+ * `persist` writes the context file, hand history and opponent stats, and
+ * reads the strategy override and profile files before each decision.
+ * `recorder` captures the raw SSE payloads; `dryRun` narrates but leaves
+ * turns undecided (replays, and embedders that only want narration).
+ * `onEnd(exitCode)` is called once the table is over.
+ *
+ * @returns {{stop: () => void}}
+ */
+function runTable(session, { EventSourceClass, autopilot, persist, onOutput, onEnd, recorder = null, dryRun = false }) {
+  const { tableId, context, engine } = session;
+  const sseUrl = `${session.backendUrl}/api/game/${tableId}/stream?token=${session.apiKey}`;
+  const history = persist ? createHandRecorder(tableId, text => appendHandHistory(tableId, text)) : null;
+  let resyncPending = false;
+  let warmedUp = false;
+
+  const supervisor = createReconnectSupervisor({
+    connect: openStream,
+    onReconnecting: ({ attempt, delayMs }) => emitFor(session, { type: 'RECONNECTING', attempt, delayMs }),
+    onReconnected: ({ attempts, outageMs }) => {
+      emitFor(session, { type: 'RECONNECTED', attempts, outageMs });
+      resyncPending = true;
+    },
+    onGiveUp: ({ attempts, outageMs }) => {
+      const error = `SSE connection lost for ${Math.round(outageMs / 1000)}s after ${attempts} reconnect attempts`;
+      emitFor(session, { type: 'CONNECTION_ERROR', error });
+      if (persist) writeGameContext(session, context.prevState, { active: false, error });
+      end(1);
+    },
+  });
+
+  function end(code) {
+    if (session.stopped) return;
+    session.stopped = true;
+    supervisor.stop();
+    onEnd(code);
+  }
+
+  function openStream() {
+    const es = new EventSourceClass(sseUrl);
+    es.onopen = handleOpen;
+    es.addEventListener('state', event => {
+      recorder?.record('state', event.data);
+      handleState(event);
+    });
+    es.addEventListener('closed', event => {
+      recorder?.record('closed', event.data ?? '');
+      handleClosed();
+    });
+    es.onerror = (err) => {
+      emitFor(session, { type: 'CONNECTION_ERROR', error: `SSE connection error: ${err.message || 'unknown'}` });
+      supervisor.handleError();
+    };
+    return es;
+  }
+
+  function handleOpen() {
+    supervisor.handleOpen();
+    if (warmedUp) return;
+    warmedUp = true;
+    if (autopilot && !dryRun && engine !== 'rules' && !session.decide) {
+      session.warmupDone = new Promise(resolve => {
         execFile('openclaw', [
           'agent', '--local',
           '--session-id', `poker-${tableId}`,
           '--message', '(system: session warmup — no action needed)',
-          '--thinking', 'low',
+          '--thinking', session.agent.thinking,
           '--timeout', '15',
           '--json',
         ], { timeout: 20000 }, () => resolve());
       });
     }
-  };
+  }
 
-  es.addEventListener('state', (event) => {
+  function handleState(event) {
+    if (session.stopped) return;
     try {
       const view = JSON.parse(event.data);
-      const handJustChanged = view.handNumber !== currentHandNumber;
-      currentHandNumber = view.handNumber;
-      currentPhase = view.phase;
-      const outputs = processStateEvent(view, context);
+      const outputs = [];
+      if (resyncPending) {
+        resyncPending = false;
+        outputs.push(...reconcileReconnect(view, context, { decisionPending: session.decisionPending }));
+      }
+      const handJustChanged = view.handNumber !== session.currentHandNumber;
+      session.currentHandNumber = view.handNumber;
+      session.currentPhase = view.phase;
+      session.currentIsYourTurn = !!view.isYourTurn;
+      outputs.push(...processStateEvent(view, context));
+      history?.observe(view);
+      if (session.opponentTracker.observe(view) && persist) {
+        writeOpponentStats(session.opponentTracker.toJSON());
+      }
 
       for (const output of outputs) {
-        if (mode === 'direct') {
-          const outputHand = output.handNumber || currentHandNumber;
-          if (foldedInHand != null && outputHand === foldedInHand
-              && output.type !== 'YOUR_TURN' && output.type !== 'REBUY_AVAILABLE') {
+        onOutput(output);
+        if (autopilot) {
+          const outputHand = output.handNumber || session.currentHandNumber;
+          if (session.foldedInHand != null && outputHand === session.foldedInHand
+              && output.type !== 'YOUR_TURN' && output.type !== 'REBUY_AVAILABLE' && output.type !== 'SELF_ACTION') {
             continue;
           }
           switch (output.type) {
             case 'EVENT':
-              if (!gameStartedEmitted && output.message.includes('[Hand #')) {
-                emit({ type: 'GAME_STARTED' });
-                gameStartedEmitted = true;
+              if (!session.gameStartedEmitted && output.handNumber) {
+                emitFor(session, { type: 'GAME_STARTED' });
+                session.gameStartedEmitted = true;
               }
-              sendMessage(direct.channel, direct.chatId, output.message);
-              recentEvents.push(output.message);
-              if (recentEvents.length > 20) recentEvents.shift();
+              // Quiet narration keeps only our own plays, results and prompts
+              if (session.verbosity !== 'quiet') sendMessage(session, output.message);
+              rememberEvent(session, output.message);
               break;
 
             case 'YOUR_TURN': {
-              const override = readStrategyOverride();
-              const prompt = buildDecisionPrompt(output.summary, backendUrl, apiKey, tableId, override);
-              sendDecision(direct.channel, direct.chatId, tableId, prompt, backendUrl, apiKey);
+              if (session.verbosity === 'verbose') sendMessage(session, session.t('decision.thinking', { summary: output.summary }));
+              if (dryRun) break;
+              // The strategy files steer CLI runs only; embedders call setProfile
+              const override = persist ? readStrategyOverride() : '';
+              const profile = resolveStrategyProfile(session, persist ? readStrategyProfile() : '');
+              const opponents = liveOpponents(output.state).map(p => session.opponentTracker.line(p.name));
+              const prompt = buildDecisionPrompt(output.summary, session.backendUrl, session.apiKey, tableId, override,
+                { math: output.math, metrics: output.metrics, opponents, profile, locale: session.t.locale });
+              sendDecision(session, prompt, { view: output.state });
+              break;
+            }
+
+            case 'SELF_ACTION': {
+              // Replays submit nothing, so there is nothing to confirm
+              if (dryRun) break;
+              const mismatch = confirmSelfAction(session, output);
+              if (mismatch) {
+                onOutput(mismatch);
+                sendMessage(session, formatSelfActionMismatch(mismatch, session.t));
+              }
               break;
             }
 
             case 'HAND_RESULT': {
-              const summary = buildHandResultSummary(output.state, output.handNumber || currentHandNumber);
-              const msg = summary || 'Hand complete.';
-              sendMessage(direct.channel, direct.chatId, msg);
-              recentEvents.push(msg);
-              if (recentEvents.length > 20) recentEvents.shift();
+              const summary = buildHandResultSummary(output.state, output.handNumber || session.currentHandNumber, { ...output, t: session.t });
+              const msg = summary || session.t('result.complete');
+              sendMessage(session, msg);
+              rememberEvent(session, msg);
               break;
             }
 
             case 'WAITING_FOR_PLAYERS':
-              sendMessage(direct.channel, direct.chatId,
-                'All opponents left. Want me to keep waiting or leave?');
-              writeGameContext(output.state, tableId, { waitingForPlayers: true });
+              sendMessage(session, session.t('control.waiting'));
+              writeGameContext(session, output.state, { waitingForPlayers: true });
               break;
 
             case 'REBUY_AVAILABLE': {
-              const amt = output.state?.rebuyAmount || 'the default amount';
-              sendMessage(direct.channel, direct.chatId,
-                `Out of chips! Rebuy for ${amt}? Say "rebuy" or "leave".`);
-              writeGameContext(output.state, tableId, { rebuyAvailable: true });
+              const amount = output.state?.rebuyAmount;
+              sendMessage(session, amount ? session.t('control.rebuy', { amount }) : session.t('control.rebuyDefault'));
+              writeGameContext(session, output.state, { rebuyAvailable: true });
               break;
             }
 
-            default:
-              emit(output);
           }
-        } else {
-          emit(output);
         }
       }
 
       if (handJustChanged) {
-        foldedInHand = null;
+        session.foldedInHand = null;
       }
 
-      if (mode === 'direct') {
-        writeGameContext(view, tableId);
+      if (autopilot && persist) {
+        writeGameContext(session, view);
       }
     } catch (err) {
-      emit({ type: 'CONNECTION_ERROR', error: `Failed to process state event: ${err.message}` });
-      es.close();
-      process.exit(1);
+      emitFor(session, { type: 'CONNECTION_ERROR', error: `Failed to process state event: ${err.message}` });
+      end(1);
     }
-  });
+  }
 
-  es.addEventListener('closed', () => {
-    if (mode === 'direct') {
-      sendMessage(direct.channel, direct.chatId, 'Table closed.');
-      writeGameContext(context.prevState, tableId, { active: false, tableClosed: true });
-      lastSend.then(() => { es.close(); process.exit(0); });
-    } else {
-      const outputs = processClosedEvent();
-      for (const output of outputs) emit(output);
-      es.close();
-      process.exit(0);
+  function handleClosed() {
+    if (session.stopped) return;
+    for (const output of processClosedEvent()) onOutput(output);
+    if (autopilot) {
+      const recap = formatSessionRecap(session.sessionStats.snapshot(), session.t);
+      if (recap) sendMessage(session, recap);
+      sendMessage(session, session.t('control.closed'));
+      if (persist) writeGameContext(session, context.prevState, { active: false, tableClosed: true });
     }
+    end(0);
+  }
+
+  supervisor.start();
+  return { stop: () => end(0) };
+}
+
+// ── Embedding API ────────────────────────────────────────────────────
+
+/**
+ * Run the listener for one table inside another Node process.
+ *
+ * The returned EventEmitter emits every typed output under its `type`
+ * (EVENT, YOUR_TURN, HAND_RESULT, REBUY_AVAILABLE, WAITING_FOR_PLAYERS,
+ * TABLE_CLOSED, ...) along with diagnostics such as ACTION_REJECTED or
+ * RECONNECTING, and `end` with `{exitCode}` once the table is over.
+ *
+ * With `decide`, the listener plays on its own: `decide(view, {prompt, tableId})`
+ * returns (or resolves to) `{action, amount?, narration?}` and the result is
+ * validated and submitted. An explicit `engine` plays the same way with the
+ * agent or rule engine. Without either, act on YOUR_TURN yourself. Narration
+ * goes to `transport` when one is given.
+ *
+ * Nothing is written to disk, and no process-wide handlers are installed.
+ *
+ * @param {object} options
+ * @param {string} options.backendUrl
+ * @param {string} options.apiKey
+ * @param {string} options.tableId
+ * @param {{name: string, send: (text: string) => Promise<void>}} [options.transport]
+ * @param {(view: object, info: {prompt: string, tableId: string}) => any} [options.decide]
+ * @param {string} [options.engine] - Plays with agent | rules | hybrid when `decide` is not given
+ * @param {object} [options.gameMode]
+ * @param {{deadlineMs: number, safetyMarginMs: number}} [options.turnDeadline]
+ * @param {{thinking: string, timeoutSec: number, processTimeoutMs: number}} [options.agent]
+ * @param {string} [options.verbosity] - quiet | normal | verbose
+ * @param {string} [options.profile] - Strategy profile name (see strategy-profiles.js)
+ * @param {string} [options.locale] - Language of chat messages: en | es | de
+ * @param {Function} [options.EventSource] - EventSource implementation (defaults to the eventsource package)
+ */
+export function createPokerListener({
+  backendUrl,
+  apiKey,
+  tableId,
+  transport = null,
+  decide = null,
+  engine = null,
+  gameMode = null,
+  turnDeadline,
+  agent,
+  verbosity,
+  profile,
+  locale,
+  EventSource: EventSourceClass = null,
+}) {
+  const emitter = new EventEmitter();
+  const report = (obj) => emitter.emit(obj.type, obj);
+  const plays = !!(decide || engine);
+  const session = createTableSession(tableId, {
+    backendUrl,
+    apiKey,
+    engine: engine || undefined,
+    gameMode,
+    contextFile: null,
+    outbox: createOutbox(transport || { name: 'none', send: async () => {} },
+      err => report({ type: 'SEND_ERROR', transport: transport?.name, error: err.message })),
+    emit: report,
+    decide,
+    turnDeadline,
+    agent,
+    verbosity,
+    profile,
+    locale,
   });
+  let table = null;
+
+  emitter.session = session;
+
+  emitter.start = async () => {
+    if (table) return;
+    const Source = EventSourceClass || await loadEventSource();
+    table = runTable(session, {
+      EventSourceClass: Source,
+      autopilot: plays || !!transport,
+      dryRun: !plays,
+      persist: false,
+      onOutput: report,
+      onEnd: exitCode => session.outbox.drained().then(() => emitter.emit('end', { exitCode })),
+    });
+  };
+
+  // Switch profile from the next decision on; false for an unknown name
+  emitter.setProfile = (name) => {
+    const profile = getProfile(name);
+    if (profile) session.defaultProfile = profile.name;
+    return !!profile;
+  };
 
-  es.onerror = (err) => {
-    emit({ type: 'CONNECTION_ERROR', error: `SSE connection error: ${err.message || 'unknown'}` });
+  emitter.stop = () => {
+    table?.stop();
   };
 
+  return emitter;
 }
 
 function emit(obj) {
@@ -597,6 +1577,6 @@ function emit(obj) {
 const isDirectRun =
   process.argv[1] &&
   import.meta.url.endsWith(process.argv[1].replace(/.*\//, ''));
-if (isDirectRun && process.argv.length > 3) {
+if (isDirectRun) {
   main();
 }
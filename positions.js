@@ -0,0 +1,119 @@
+/**
+ * Table positions derived from the seat layout of a PlayerView.
+ *
+ * Seats are ordered clockwise from the button. Heads-up the button posts
+ * the small blind; otherwise the two seats after it are SB and BB and the
+ * rest are labelled backwards from the button: CO, HJ, then UTG, UTG+1, …
+ */
+
+/** Seats dealt into the hand, clockwise starting at the button. */
+function seatsFromButton(view) {
+  const seats = (view.players || [])
+    .filter(p => p.status !== 'sitting_out')
+    .map(p => p.seat)
+    .sort((a, b) => a - b);
+  const btn = seats.indexOf(view.dealerSeat);
+  if (btn < 0) return [];
+  return [...seats.slice(btn), ...seats.slice(0, btn)];
+}
+
+function middleLabels(count) {
+  if (count === 1) return ['CO'];
+  if (count === 2) return ['HJ', 'CO'];
+  const early = Array.from({ length: count - 2 }, (_, i) => (i === 0 ? 'UTG' : `UTG+${i}`));
+  return [...early, 'HJ', 'CO'];
+}
+
+/**
+ * Map every dealt-in seat to its position label.
+ *
+ * @param {object} view - PlayerView
+ * @returns {Map<number, string>} seat → 'BTN' | 'SB' | 'BB' | 'UTG' | 'UTG+n' | 'HJ' | 'CO'
+ */
+export function tablePositions(view) {
+  const order = seatsFromButton(view);
+  const labels = new Map();
+  if (order.length < 2) return labels;
+
+  if (order.length === 2) {
+    labels.set(order[0], 'BTN');
+    labels.set(order[1], 'BB');
+    return labels;
+  }
+
+  labels.set(order[0], 'BTN');
+  labels.set(order[1], 'SB');
+  labels.set(order[2], 'BB');
+  middleLabels(order.length - 3).forEach((label, i) => labels.set(order[3 + i], label));
+  return labels;
+}
+
+/**
+ * Small and big blind seats implied by the layout (heads-up the button is the SB).
+ *
+ * @param {object} view
+ * @returns {{button: number|null, smallBlind: number|null, bigBlind: number|null}}
+ */
+export function blindSeats(view) {
+  const order = seatsFromButton(view);
+  if (order.length < 2) return { button: order[0] ?? null, smallBlind: null, bigBlind: null };
+  if (order.length === 2) return { button: order[0], smallBlind: order[0], bigBlind: order[1] };
+  return { button: order[0], smallBlind: order[1], bigBlind: order[2] };
+}
+
+/**
+ * Position label for one seat, or null when it is not dealt in.
+ */
+export function positionOf(view, seat) {
+  return tablePositions(view).get(seat) ?? null;
+}
+
+/**
+ * Live opponents who act after us on the current street and can still
+ * put chips in (not folded, not all-in). Preflop the action starts left of
+ * the big blind; after the flop it starts left of the button.
+ *
+ * @param {object} view
+ * @returns {{seat: number, name: string, position: string}[]}
+ */
+export function playersToActBehind(view) {
+  const order = seatsFromButton(view);
+  if (order.length < 2) return [];
+
+  const preflop = !view.boardCards?.length;
+  let start;
+  if (order.length === 2) start = preflop ? 0 : 1;
+  else start = preflop ? 3 % order.length : 1;
+  const actionOrder = [...order.slice(start), ...order.slice(0, start)];
+
+  const me = actionOrder.indexOf(view.yourSeat);
+  if (me < 0) return [];
+
+  const positions = tablePositions(view);
+  const bySeat = new Map((view.players || []).map(p => [p.seat, p]));
+  return actionOrder.slice(me + 1)
+    .map(seat => bySeat.get(seat))
+    .filter(p => p && p.status === 'active')
+    .map(p => ({ seat: p.seat, name: p.name, position: positions.get(p.seat) }));
+}
+
+/**
+ * One-line position description: "CO · 2 to act behind (BTN, SB)".
+ *
+ * @param {object} view
+ * @returns {string} empty when our seat has no position
+ */
+export function describePosition(view) {
+  const position = positionOf(view, view.yourSeat);
+  if (!position) return '';
+  const behind = playersToActBehind(view);
+  if (!behind.length) return `${position} · last to act`;
+  return `${position} · ${behind.length} to act behind (${behind.map(p => p.position).join(', ')})`;
+}
+
+/**
+ * True on the button or cutoff — the "late position" of the SKILL.md chart.
+ */
+export function isLatePosition(view) {
+  return ['BTN', 'CO'].includes(positionOf(view, view.yourSeat));
+}
@@ -0,0 +1,166 @@
+import { parseCard, rankChar } from './hand-evaluator.js';
+
+/**
+ * Preflop ranges in standard notation ("77-22, ATs-A2s, KJs, QJs, T9s+,
+ * AKo"). A range is a Set of canonical hand keys: "AA" (pair), "AKs"
+ * (suited), "AKo" (offsuit).
+ *
+ * Supported tokens:
+ * - `AA`, `AKs`, `AKo`: one hand; `AK` is both suited and offsuit
+ * - `QQ+`: the pair and every higher pair
+ * - `ATs+`: the kicker up to one below the top card (ATs, AJs, AQs, AKs)
+ * - `77-22`, `ATs-A2s`, `K9o-K7o`: inclusive spans
+ */
+
+const RANKS = '23456789TJQKA';
+export const TOTAL_COMBOS = 1326;
+
+const rankOf = c => RANKS.indexOf(c) + 2;
+
+/**
+ * Canonical two-card hand key: "AA", "AKs", "T9o".
+ *
+ * @param {string[]} yourCards
+ * @returns {string|null}
+ */
+export function handKey(yourCards) {
+  const cards = (yourCards || []).map(parseCard);
+  if (cards.length !== 2 || cards.some(c => !c)) return null;
+  const [a, b] = cards.sort((x, y) => y.rank - x.rank);
+  if (a.rank === b.rank) return rankChar(a.rank) + rankChar(b.rank);
+  return rankChar(a.rank) + rankChar(b.rank) + (a.suit === b.suit ? 's' : 'o');
+}
+
+/** Number of card combinations a hand key stands for. */
+export function keyCombos(key) {
+  if (key.length === 2) return 6;
+  return key[2] === 's' ? 4 : 12;
+}
+
+// "AKs" → {high: 14, low: 13, suffix: 's'}; null when malformed
+function parseHand(text) {
+  const match = /^([2-9TJQKA])([2-9TJQKA])([so]?)$/.exec(text);
+  if (!match) return null;
+  let high = rankOf(match[1]);
+  let low = rankOf(match[2]);
+  if (high === low && match[3]) return null;
+  if (low > high) [high, low] = [low, high];
+  return { high, low, suffix: match[3] };
+}
+
+function keysFor(high, low, suffix) {
+  const base = rankChar(high) + rankChar(low);
+  if (high === low) return [base];
+  return suffix ? [base + suffix] : [base + 's', base + 'o'];
+}
+
+function expandToken(token) {
+  const invalid = () => new Error(`Invalid range token "${token}"`);
+
+  if (token.endsWith('+')) {
+    const hand = parseHand(token.slice(0, -1));
+    if (!hand) throw invalid();
+    const keys = [];
+    if (hand.high === hand.low) {
+      for (let r = hand.low; r <= 14; r++) keys.push(...keysFor(r, r));
+    } else {
+      for (let r = hand.low; r < hand.high; r++) keys.push(...keysFor(hand.high, r, hand.suffix));
+    }
+    return keys;
+  }
+
+  if (token.includes('-')) {
+    const [from, to] = token.split('-').map(parseHand);
+    if (!from || !to || from.suffix !== to.suffix) throw invalid();
+    const pairs = from.high === from.low && to.high === to.low;
+    if (!pairs && from.high !== to.high) throw invalid();
+    const [lo, hi] = from.low <= to.low ? [from.low, to.low] : [to.low, from.low];
+    const keys = [];
+    for (let r = lo; r <= hi; r++) keys.push(...(pairs ? keysFor(r, r) : keysFor(from.high, r, from.suffix)));
+    return keys;
+  }
+
+  const hand = parseHand(token);
+  if (!hand) throw invalid();
+  return keysFor(hand.high, hand.low, hand.suffix);
+}
+
+/**
+ * Parse range notation. Tokens are separated by commas and/or spaces.
+ * Throws on a token it cannot read.
+ *
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export function parseRange(text) {
+  const range = new Set();
+  for (const token of String(text ?? '').split(/[\s,]+/).filter(Boolean)) {
+    for (const key of expandToken(token)) range.add(key);
+  }
+  return range;
+}
+
+/** Whether the hole cards are in the range. */
+export function rangeContains(range, yourCards) {
+  const key = handKey(yourCards);
+  return key != null && range.has(key);
+}
+
+export function comboCount(range) {
+  let total = 0;
+  for (const key of range) total += keyCombos(key);
+  return total;
+}
+
+/** Share of all starting hands, 0..1. */
+export function rangePercent(range) {
+  return comboCount(range) / TOTAL_COMBOS;
+}
+
+// Join a run of consecutive ranks into one token; a lone hand stays as is
+function runToken(run, make, top) {
+  const first = run[0];
+  const last = run[run.length - 1];
+  if (run.length === 1) return make(first);
+  if (last === top) return `${make(first)}+`;
+  return `${make(last)}-${make(first)}`;
+}
+
+function runs(ranks) {
+  const out = [];
+  for (const r of ranks) {
+    const current = out[out.length - 1];
+    if (current && current[current.length - 1] === r - 1) current.push(r);
+    else out.push([r]);
+  }
+  return out;
+}
+
+/**
+ * Format a range back to compact notation: pairs first, then suited and
+ * offsuit hands by top card, highest first. `parseRange(formatRange(r))`
+ * gives back `r`.
+ *
+ * @param {Set<string>|string[]} range
+ * @returns {string}
+ */
+export function formatRange(range) {
+  const keys = new Set(range);
+  const tokens = [];
+
+  const pairRanks = [...keys].filter(k => k.length === 2).map(k => rankOf(k[0])).sort((a, b) => a - b);
+  const pairTokens = runs(pairRanks).map(run => runToken(run, r => rankChar(r) + rankChar(r), 14));
+  tokens.push(...pairTokens.reverse());
+
+  for (const suffix of ['s', 'o']) {
+    for (let high = 14; high >= 3; high--) {
+      const kickers = [];
+      for (let low = 2; low < high; low++) {
+        if (keys.has(rankChar(high) + rankChar(low) + suffix)) kickers.push(low);
+      }
+      const made = runs(kickers).map(run => runToken(run, r => rankChar(high) + rankChar(r) + suffix, high - 1));
+      tokens.push(...made.reverse());
+    }
+  }
+  return tokens.join(', ');
+}
@@ -0,0 +1,100 @@
+import { appendFileSync, readFileSync } from 'node:fs';
+
+/**
+ * Recorded SSE streams: one JSON line per event,
+ * `{"t": <ms since first event>, "event": "state"|"closed", "data": "<raw payload>"}`.
+ * `data` is kept as the raw string so a replay parses exactly what the
+ * server sent.
+ */
+
+/**
+ * Append every SSE event to a JSONL recording.
+ *
+ * @param {string} path
+ * @param {() => number} [now]
+ * @returns {{record: (event: string, data: string) => void}}
+ */
+export function createStreamRecorder(path, now = Date.now) {
+  let start = null;
+  return {
+    record(event, data) {
+      const at = now();
+      if (start == null) start = at;
+      appendFileSync(path, JSON.stringify({ t: at - start, event, data }) + '\n');
+    },
+  };
+}
+
+/**
+ * Parse a recording. Throws with the line number on malformed input.
+ *
+ * @param {string} text - JSONL contents
+ * @returns {{t: number, event: string, data: string}[]}
+ */
+export function parseRecording(text) {
+  const records = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Recording line ${i + 1}: ${err.message}`);
+    }
+    if (typeof record.event !== 'string') throw new Error(`Recording line ${i + 1}: missing "event"`);
+    // Hand-written fixtures may inline the view instead of a raw string
+    const data = typeof record.data === 'string' ? record.data : JSON.stringify(record.data ?? {});
+    records.push({ t: Number(record.t) || 0, event: record.event, data });
+  });
+  return records;
+}
+
+export function readRecording(path) {
+  return parseRecording(readFileSync(path, 'utf8'));
+}
+
+/**
+ * An EventSource stand-in that plays a recording back: it opens right away
+ * and dispatches each event at its recorded offset divided by `speed`
+ * (0 = no delays, in order). `onDone` runs after the last event.
+ *
+ * @param {{t: number, event: string, data: string}[]} records
+ * @param {{speed?: number, onDone?: () => void, schedule?: Function, cancel?: Function}} [options]
+ * @returns {Function} EventSource-compatible class
+ */
+export function createReplaySource(records, { speed = 1, onDone = () => {}, schedule = setTimeout, cancel = clearTimeout } = {}) {
+  return class ReplaySource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.timers = [];
+      this.onopen = null;
+      this.onerror = null;
+
+      this.timers.push(schedule(() => {
+        this.onopen?.();
+        records.forEach((record, i) => {
+          const delay = speed > 0 ? record.t / speed : 0;
+          this.timers.push(schedule(() => {
+            this.dispatch(record);
+            if (i === records.length - 1) onDone();
+          }, delay));
+        });
+        if (!records.length) onDone();
+      }, 0));
+    }
+
+    addEventListener(type, fn) {
+      (this.listeners[type] ||= []).push(fn);
+    }
+
+    dispatch(record) {
+      for (const fn of this.listeners[record.event] || []) fn({ data: record.data });
+    }
+
+    close() {
+      for (const timer of this.timers) cancel(timer);
+      this.timers = [];
+    }
+  };
+}
@@ -0,0 +1,156 @@
+import { CATEGORIES, evaluateHand, parseCard, scoreCards } from './hand-evaluator.js';
+import { potOdds, formatRatio } from './equity.js';
+import { isLatePosition } from './positions.js';
+import { PROFILES, DEFAULT_PROFILE } from './strategy-profiles.js';
+import { handKey } from './ranges.js';
+import { resolveBigBlind } from './stack-metrics.js';
+import { defaultTranslator } from './messages.js';
+
+export { isLatePosition, handKey };
+
+const STRONG_LABELS = ['overpair', 'top pair, top kicker', 'top pair, good kicker'];
+
+function actionMap(view) {
+  const map = new Map();
+  for (const a of view.availableActions || []) {
+    if (a.type) map.set(a.type.toLowerCase(), a);
+  }
+  return map;
+}
+
+// Postflop hand class: monster, strong, draw or nothing
+function classifyPostflop(view, evaluation) {
+  const board = (view.boardCards || []).map(parseCard).filter(Boolean);
+  const boardCategory = scoreCards(board).category;
+  const category = CATEGORIES.indexOf(evaluation.category);
+
+  if (category >= 3 && category > boardCategory) return 'monster';
+  if (category === 2 && category > boardCategory) return 'strong';
+  if (evaluation.strength && STRONG_LABELS.some(l => evaluation.strength.startsWith(l))) return 'strong';
+  if (evaluation.draws.some(d => d.includes('flush draw') && !d.startsWith('backdoor'))) return 'flush-draw';
+  if (evaluation.draws.includes('open-ended straight draw')) return 'straight-draw';
+  return 'nothing';
+}
+
+/**
+ * Decide an action for a PlayerView with a strategy profile (the
+ * SKILL.md chart by default).
+ *
+ * Always returns a legal action from `availableActions` (or fold when the
+ * list is empty). Amounts for bet/raise are "raise to" totals, clamped to
+ * the allowed range; a raise that reaches the maximum becomes all_in.
+ * `random` drives profiles that c-bet only part of the time. `bigBlind`
+ * is the table's big blind as resolved from the view and game mode.
+ *
+ * @param {object} view - PlayerView with isYourTurn
+ * @param {{wasPreflopRaiser?: boolean, latePosition?: boolean, profile?: object, random?: () => number, bigBlind?: number|null, t?: Function}} [options] - `t` translates the narration
+ * @returns {{action: string, amount?: number, narration: string}}
+ */
+export function decideByRules(view, options = {}) {
+  const profile = options.profile || PROFILES[DEFAULT_PROFILE];
+  const random = options.random || Math.random;
+  const t = options.t || defaultTranslator;
+  const actions = actionMap(view);
+  const bb = options.bigBlind || resolveBigBlind(view) || 20;
+  const evaluation = evaluateHand(view.yourCards, view.boardCards);
+  const label = evaluation?.label || t('rules.unknownHand');
+  const call = actions.get('call');
+  const toCall = call?.amount || 0;
+  const currentBet = Math.max(0, ...(view.players || []).map(p => p.bet || 0));
+  const stackBB = ((view.yourChips || 0) + (view.yourBet || 0)) / bb;
+
+  function check(reason) {
+    if (actions.has('check')) return { action: 'check', narration: t('rules.check', { reason }) };
+    return { action: 'fold', narration: t('rules.fold', { reason }) };
+  }
+
+  function doCall(reason) {
+    if (call) return { action: 'call', narration: t('rules.call', { amount: toCall, reason }) };
+    return check(reason);
+  }
+
+  function shove(reason) {
+    if (actions.has('all_in')) return { action: 'all_in', narration: t('rules.allIn', { reason }) };
+    const raise = actions.get('raise') || actions.get('bet');
+    if (raise?.maxAmount != null) return { action: raise.type.toLowerCase(), amount: raise.maxAmount, narration: t('rules.allInFor', { amount: raise.maxAmount, reason }) };
+    return doCall(reason);
+  }
+
+  function raiseTo(target, reason) {
+    const raise = actions.get('raise') || actions.get('bet');
+    if (!raise) return doCall(reason);
+    const min = raise.minAmount ?? target;
+    const max = raise.maxAmount ?? target;
+    const amount = Math.round(Math.min(max, Math.max(min, target)));
+    if (amount >= max && actions.has('all_in')) return shove(reason);
+    const key = raise.type.toLowerCase() === 'bet' || currentBet === 0 ? 'rules.bet' : 'rules.raise';
+    return { action: raise.type.toLowerCase(), amount, narration: t(key, { amount, reason }) };
+  }
+
+  if (!evaluation) return check(t('rules.unreadable'));
+
+  // ── Preflop ──
+  if (!view.boardCards?.length) {
+    const key = handKey(view.yourCards);
+    const late = options.latePosition ?? isLatePosition(view);
+    const facingRaise = currentBet > bb;
+    const { open } = profile;
+    const lateOpen = late && open.late.has(key);
+    const playable = open.premium.has(key) || open.standard.has(key) || lateOpen;
+    const short = t('rules.short', { hand: label, bb: profile.shoveBelowBB });
+
+    if (stackBB < profile.shoveBelowBB) {
+      return playable ? shove(short) : check(short);
+    }
+
+    if (facingRaise) {
+      if (profile.threeBet.has(key)) return raiseTo(currentBet * profile.threeBetSize, t('rules.threeBet', { hand: label }));
+      if (profile.flat.has(key)) return doCall(t('rules.flat', { hand: label }));
+      const odds = potOdds(view.pot, toCall);
+      if (profile.setMineOdds != null && key?.length === 2 && odds && odds.ratio > profile.setMineOdds) {
+        return doCall(t('rules.setMine', { hand: label, odds: formatRatio(odds.ratio) }));
+      }
+      return check(label);
+    }
+
+    if (open.premium.has(key)) return raiseTo(bb * profile.openSize.premium, t('rules.premium', { hand: label }));
+    if (open.standard.has(key) || lateOpen) {
+      return raiseTo(bb * profile.openSize.standard, lateOpen && !open.standard.has(key) ? t('rules.latePosition', { hand: label }) : label);
+    }
+    return check(label);
+  }
+
+  // ── Postflop ──
+  const kind = classifyPostflop(view, evaluation);
+  const pot = view.pot || 0;
+
+  if (stackBB < profile.shoveBelowBB) {
+    return kind === 'monster' || kind === 'strong' ? shove(t('rules.short', { hand: label, bb: profile.shoveBelowBB })) : check(label);
+  }
+
+  if (toCall > 0) {
+    const odds = potOdds(pot, toCall);
+    switch (kind) {
+      case 'monster': return raiseTo(currentBet * 3, label);
+      case 'strong': return doCall(label);
+      case 'flush-draw':
+      case 'straight-draw': {
+        const needed = kind === 'flush-draw' ? profile.drawOdds.flush : profile.drawOdds.straight;
+        return odds.ratio > needed
+          ? doCall(t('rules.drawOdds', { hand: label, odds: formatRatio(odds.ratio) }))
+          : check(t('rules.noOdds', { hand: label }));
+      }
+      default: return check(label);
+    }
+  }
+
+  if (kind === 'monster') return raiseTo(pot * profile.valueBet.monster, t('rules.value', { hand: label }));
+  if (kind === 'strong') return raiseTo(pot * profile.valueBet.strong, t('rules.value', { hand: label }));
+
+  const opponents = (view.players || []).filter(p =>
+    p.seat !== view.yourSeat && (p.status === 'active' || p.status === 'all_in')).length;
+  if (options.wasPreflopRaiser && opponents === 1 && view.boardCards.length === 3 && random() < profile.cbet.frequency) {
+    return raiseTo(pot * profile.cbet.size, t('rules.cbet', { hand: label }));
+  }
+  return check(label);
+}
@@ -0,0 +1,153 @@
+import { defaultTranslator } from './messages.js';
+
+/**
+ * Our own results over a listener session: profit and loss, hands played
+ * and won, biggest pots and pace. Fed the same PlayerView states as the
+ * hand recorder; a hand finishes when the phase leaves play or the hand
+ * number changes.
+ */
+
+const ACTIVE_PHASES = new Set(['PREFLOP', 'FLOP', 'TURN', 'RIVER']);
+
+function ourStack(player) {
+  return player ? player.chips + (player.invested || 0) : null;
+}
+
+function potTotal(result, fallback) {
+  return result?.potResults?.length
+    ? result.potResults.reduce((sum, pot) => sum + pot.amount, 0)
+    : fallback || 0;
+}
+
+/**
+ * @param {object} [options]
+ * @param {() => number} [options.now] - Clock in ms
+ * @returns {{observe: (view: object) => object|null, snapshot: () => object}}
+ */
+export function createSessionStats({ now = Date.now } = {}) {
+  const totals = {
+    startedAt: null,
+    startingStack: null,
+    currentStack: null,
+    rebuys: 0,
+    rebuyTotal: 0,
+    handsPlayed: 0,
+    handsWon: 0,
+    showdownsWon: 0,
+    biggestPotWon: 0,
+    biggestPotLost: 0,
+  };
+  let hand = null;
+  let lastFinished = null;
+
+  function startHand(view) {
+    const me = view.players?.find(p => p.seat === view.yourSeat);
+    if (!me || (me.status !== 'active' && me.status !== 'all_in')) return;
+    const stack = ourStack(me);
+    if (totals.startingStack == null) {
+      totals.startingStack = stack;
+      totals.startedAt = now();
+    } else if (totals.currentStack != null && stack > totals.currentStack) {
+      // Chips only grow between hands through a rebuy or top-up
+      totals.rebuys++;
+      totals.rebuyTotal += stack - totals.currentStack;
+    }
+    totals.currentStack = stack;
+    hand = { number: view.handNumber, seat: view.yourSeat, startStack: stack, pot: view.pot };
+  }
+
+  /** Close the current hand. `view` is the state that ended it. */
+  function finish(view, changed) {
+    const result = view.lastHandResult;
+    const reported = result?.players?.find(p => p.seat === hand.seat);
+    let endStack;
+    if (reported) endStack = reported.chips;
+    else if (changed) endStack = ourStack(view.players?.find(p => p.seat === hand.seat)) ?? hand.startStack;
+    else endStack = view.yourChips ?? hand.startStack;
+
+    const delta = endStack - hand.startStack;
+    const won = result?.winners ? result.winners.includes(hand.seat) : delta > 0;
+    const shown = (result?.players || []).filter(p => (p.cards || p.holeCards)?.length).length;
+    const showdown = (!changed && view.phase === 'SHOWDOWN') || shown >= 2;
+    const pot = potTotal(result, hand.pot);
+
+    totals.handsPlayed++;
+    totals.currentStack = endStack;
+    if (won) {
+      totals.handsWon++;
+      if (showdown) totals.showdownsWon++;
+      totals.biggestPotWon = Math.max(totals.biggestPotWon, pot);
+    } else if (delta < 0) {
+      totals.biggestPotLost = Math.max(totals.biggestPotLost, pot);
+    }
+
+    const finished = { number: hand.number, endStack, delta, won, showdown, pot };
+    lastFinished = hand.number;
+    hand = null;
+    return finished;
+  }
+
+  /**
+   * Feed one state. Returns the hand that just finished, as
+   * `{number, endStack, delta, won, showdown, pot}`, or null.
+   * `endStack` counts chips plus anything still invested.
+   */
+  function observe(view) {
+    let finished = null;
+    if (hand && view.handNumber !== hand.number) finished = finish(view, true);
+
+    if (!hand) {
+      if (view.handNumber !== lastFinished && ACTIVE_PHASES.has(view.phase)) startHand(view);
+      return finished;
+    }
+
+    hand.pot = view.pot;
+    if (view.phase === 'SHOWDOWN' || view.phase === 'WAITING') finished = finish(view, false);
+    return finished;
+  }
+
+  /** Totals for the context file; `net` excludes chips added by rebuys. */
+  function snapshot() {
+    const elapsedMs = totals.startedAt != null ? now() - totals.startedAt : 0;
+    const hours = elapsedMs / 3600000;
+    return {
+      ...totals,
+      startedAt: totals.startedAt != null ? new Date(totals.startedAt).toISOString() : null,
+      net: totals.startingStack != null ? totals.currentStack - totals.startingStack - totals.rebuyTotal : 0,
+      durationMinutes: Math.round(elapsedMs / 60000),
+      // Pace means little over the first minute
+      handsPerHour: elapsedMs >= 60000 && totals.handsPlayed ? Math.round((totals.handsPlayed / hours) * 10) / 10 : null,
+    };
+  }
+
+  return { observe, snapshot };
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * One chat message summing up the session, or null if no hand was played.
+ *
+ * @param {object} stats - From `snapshot()`
+ * @param {Function} [t] - Translator from `createTranslator`
+ * @returns {string|null}
+ */
+export function formatSessionRecap(stats, t = defaultTranslator) {
+  if (!stats.handsPlayed) return null;
+  return t('recap.summary', {
+    hands: t('recap.hands', { count: stats.handsPlayed }),
+    duration: formatDuration(stats.durationMinutes),
+    pace: stats.handsPerHour != null ? `, ${t.number(stats.handsPerHour)}/h` : '',
+    net: stats.net ? t.signed(stats.net) : '0',
+    start: stats.startingStack,
+    end: stats.currentStack,
+    rebuys: stats.rebuys ? `, ${t('recap.rebuys', { count: stats.rebuys, amount: stats.rebuyTotal })}` : '',
+    won: stats.handsWon,
+    showdowns: stats.showdownsWon,
+    biggestWon: stats.biggestPotWon,
+    biggestLost: stats.biggestPotLost,
+  });
+}
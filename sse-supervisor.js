@@ -0,0 +1,101 @@
+/**
+ * Exponential backoff delay for the given reconnect attempt (1-based).
+ *
+ * @param {number} attempt
+ * @param {number} baseDelayMs
+ * @param {number} maxDelayMs
+ * @returns {number}
+ */
+export function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+/**
+ * Own the SSE connection lifecycle: open it, and on error close it and
+ * reconnect with exponential backoff until it opens again or the outage
+ * exceeds `maxOutageMs`.
+ *
+ * `connect` must return an object with `close()` (an EventSource) and wire
+ * the source's open/error callbacks to `handleOpen`/`handleError`.
+ *
+ * @param {object} options
+ * @param {() => {close: () => void}} options.connect
+ * @param {(info: {attempt: number, delayMs: number}) => void} [options.onReconnecting]
+ * @param {(info: {attempts: number, outageMs: number}) => void} [options.onReconnected]
+ * @param {(info: {attempts: number, outageMs: number}) => void} [options.onGiveUp]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.maxOutageMs]
+ * @param {() => number} [options.now]
+ * @param {(fn: () => void, ms: number) => any} [options.schedule]
+ * @param {(handle: any) => void} [options.cancel]
+ */
+export function createReconnectSupervisor({
+  connect,
+  onReconnecting = () => {},
+  onReconnected = () => {},
+  onGiveUp = () => {},
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  maxOutageMs = 120000,
+  now = Date.now,
+  schedule = setTimeout,
+  cancel = clearTimeout,
+}) {
+  let source = null;
+  let outageStart = null;
+  let attempts = 0;
+  let timer = null;
+  let stopped = false;
+
+  function open() {
+    source = connect();
+  }
+
+  function handleOpen() {
+    if (outageStart == null) return;
+    const info = { attempts, outageMs: now() - outageStart };
+    outageStart = null;
+    attempts = 0;
+    onReconnected(info);
+  }
+
+  function handleError() {
+    if (stopped || timer) return;
+    if (outageStart == null) outageStart = now();
+
+    // Take over from the client's own retry loop so backoff is ours
+    source?.close();
+    source = null;
+
+    const outageMs = now() - outageStart;
+    if (outageMs >= maxOutageMs) {
+      stopped = true;
+      onGiveUp({ attempts, outageMs });
+      return;
+    }
+
+    attempts++;
+    const delayMs = Math.min(backoffDelay(attempts, baseDelayMs, maxDelayMs), maxOutageMs - outageMs);
+    onReconnecting({ attempt: attempts, delayMs });
+    timer = schedule(() => {
+      timer = null;
+      if (!stopped) open();
+    }, delayMs);
+  }
+
+  function stop() {
+    stopped = true;
+    if (timer) { cancel(timer); timer = null; }
+    source?.close();
+    source = null;
+  }
+
+  return {
+    start: open,
+    handleOpen,
+    handleError,
+    stop,
+    isReconnecting: () => outageStart != null,
+  };
+}
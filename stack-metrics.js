@@ -0,0 +1,64 @@
+/**
+ * Stack depth in big blinds: our stack, effective stacks against each live
+ * opponent, stack-to-pot ratio and the call/raise amounts on offer.
+ */
+
+/**
+ * Big blind for a hand: the view's forced bets, else the game mode's blinds.
+ * Game modes are read loosely since only the blind level is needed.
+ *
+ * @param {object} view - PlayerView
+ * @param {object|null} [gameMode] - Entry from /api/game-modes
+ * @returns {number|null}
+ */
+export function resolveBigBlind(view, gameMode = null) {
+  const candidates = [
+    view?.forcedBets?.bigBlind,
+    gameMode?.forcedBets?.bigBlind,
+    gameMode?.bigBlind,
+    gameMode?.blinds?.bigBlind,
+    gameMode?.blinds?.big,
+  ];
+  const bb = candidates.find(v => Number.isFinite(v) && v > 0);
+  return bb ?? null;
+}
+
+/** Chips → big blinds, one decimal. */
+export function toBB(chips, bigBlind) {
+  return Math.round((chips / bigBlind) * 10) / 10;
+}
+
+/**
+ * @param {object} view - PlayerView
+ * @param {number|null} bigBlind
+ * @returns {{bigBlind: number, stackBB: number, effective: {name: string, chips: number, bb: number}[], effectiveBB: number, spr: number|null, callBB: number|null, raiseBB: {min: number, max: number}|null}|null}
+ */
+export function computeStackMetrics(view, bigBlind) {
+  if (!bigBlind) return null;
+  const stack = view.yourChips || 0;
+
+  // Effective stack = the smaller of the two stacks still behind
+  const effective = (view.players || [])
+    .filter(p => p.seat !== view.yourSeat && (p.status === 'active' || p.status === 'all_in'))
+    .map(p => {
+      const chips = Math.min(stack, p.chips || 0);
+      return { name: p.name, chips, bb: toBB(chips, bigBlind) };
+    });
+  const deepest = effective.reduce((max, e) => Math.max(max, e.chips), 0);
+
+  const actions = new Map((view.availableActions || []).map(a => [a.type?.toLowerCase(), a]));
+  const call = actions.get('call');
+  const raise = actions.get('raise') || actions.get('bet');
+
+  return {
+    bigBlind,
+    stackBB: toBB(stack, bigBlind),
+    effective,
+    effectiveBB: toBB(deepest, bigBlind),
+    spr: view.pot > 0 ? Math.round((deepest / view.pot) * 10) / 10 : null,
+    callBB: call?.amount ? toBB(call.amount, bigBlind) : null,
+    raiseBB: raise?.minAmount != null
+      ? { min: toBB(raise.minAmount, bigBlind), max: toBB(raise.maxAmount, bigBlind) }
+      : null,
+  };
+}
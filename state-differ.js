@@ -1,119 +1,356 @@
 import { formatCard, formatCards } from './card-format.js';
+import { describeHand } from './hand-evaluator.js';
+import { showdownEquity, formatPercent, seededRandom } from './equity.js';
+import { positionOf } from './positions.js';
+import { defaultTranslator } from './messages.js';
 
 /**
- * Compare two successive PlayerView states and return an array of
- * human-readable event strings describing what changed.
+ * Compare the players in two successive PlayerView states of the same hand
+ * and classify what each one did.
  *
- * @param {object|null|undefined} prev - Previous PlayerView (null/undefined for first state)
+ * Includes our own seat (flagged `isSelf`). Returns an empty array when
+ * there is no previous state or the hand number changed.
+ *
+ * @param {object|null|undefined} prev - Previous PlayerView
  * @param {object} next - Current PlayerView
- * @returns {string[]} Array of event description strings
+ * @returns {{type: string, seat: number, name: string, isSelf: boolean, bet: number, prevBet: number, prevMaxBet: number, invested: number, chips: number}[]}
  */
-export function diffStates(prev, next) {
-  const events = [];
-  const hdr = `**[Hand #${next.handNumber}]**`;
-
-  // ── 1. New hand (prev is null/undefined, or handNumber changed) ──
-  if (!prev || prev.handNumber !== next.handNumber) {
-    if (next.yourCards && next.yourCards.length > 0) {
-      const cards = formatCards(next.yourCards);
-      const me = next.players?.find(p => p.seat === next.yourSeat);
-      const stack = me?.chips ?? next.yourChips;
-      events.push(`${hdr} Your cards: ${cards} · Stack: ${stack}`);
-    }
-    return events;
-  }
+export function diffActions(prev, next) {
+  if (!prev || prev.handNumber !== next.handNumber) return [];
 
-  // ── Player action diffs (opponents only) ──
+  const actions = [];
   const prevPlayerMap = new Map(prev.players.map((p) => [p.seat, p]));
+  // Highest bet among all players in the PREVIOUS state
+  const prevMaxBet = Math.max(0, ...prev.players.map((p) => p.bet));
 
   for (const nextPlayer of next.players) {
-    // Skip our own seat
-    if (nextPlayer.seat === next.yourSeat) continue;
-
     const prevPlayer = prevPlayerMap.get(nextPlayer.seat);
     if (!prevPlayer) continue;
 
-    // 10. All-in (status changed to all_in) — takes priority over bet/raise/call
+    const base = {
+      seat: nextPlayer.seat,
+      name: nextPlayer.name,
+      isSelf: nextPlayer.seat === next.yourSeat,
+      bet: nextPlayer.bet,
+      prevBet: prevPlayer.bet,
+      prevMaxBet,
+      invested: nextPlayer.invested,
+      chips: nextPlayer.chips,
+    };
+
+    // All-in (status changed to all_in) — takes priority over bet/raise/call
     if (prevPlayer.status !== 'all_in' && nextPlayer.status === 'all_in') {
-      events.push(`${hdr} ${nextPlayer.name} went all-in (${nextPlayer.invested} invested · ${nextPlayer.chips} behind)`);
+      actions.push({ type: 'all_in', ...base });
       continue;
     }
 
-    // 5. Folded (status changed to folded)
+    // Folded (status changed to folded)
     if (prevPlayer.status !== 'folded' && nextPlayer.status === 'folded') {
-      events.push(`${hdr} ${nextPlayer.name} folded`);
+      actions.push({ type: 'fold', ...base });
       continue;
     }
 
-    // Bet changed — classify as bet, raise, or call
+    // A call that closes the street: bets are swept into the pot, so only
+    // the invested total shows it
+    if (next.phase !== prev.phase && nextPlayer.invested > prevPlayer.invested) {
+      actions.push({ type: 'call', ...base, bet: prevMaxBet });
+      continue;
+    }
+
+    // Bet changed — first bet of the street, raise above the max, or call
     if (nextPlayer.bet > prevPlayer.bet) {
-      const betAmount = nextPlayer.bet;
-      const chipInfo = ` (${nextPlayer.invested} invested · ${nextPlayer.chips} behind)`;
-
-      // Find the highest bet among all players in the PREVIOUS state
-      const prevMaxBet = Math.max(...prev.players.map((p) => p.bet));
-
-      if (prevMaxBet === 0 || prevPlayer.bet === prevMaxBet) {
-        // No prior bet existed, or this player was already at max — it's a new bet
-        // But if others had a bet and this player raised above it, it's a raise
-        if (prevMaxBet > 0 && betAmount > prevMaxBet) {
-          events.push(`${hdr} ${nextPlayer.name} raised to ${betAmount}${chipInfo}`);
-        } else if (prevMaxBet === 0) {
-          events.push(`${hdr} ${nextPlayer.name} bet ${betAmount}${chipInfo}`);
-        } else {
-          // Was at max and stayed at max — this is a call (shouldn't normally happen)
-          events.push(`${hdr} ${nextPlayer.name} called ${betAmount}${chipInfo}`);
-        }
-      } else if (betAmount > prevMaxBet) {
-        // Raised above the previous max
-        events.push(`${hdr} ${nextPlayer.name} raised to ${betAmount}${chipInfo}`);
-      } else {
-        // Matched the existing bet — call
-        events.push(`${hdr} ${nextPlayer.name} called ${betAmount}${chipInfo}`);
-      }
+      let type = 'call';
+      if (prevMaxBet === 0) type = 'bet';
+      else if (nextPlayer.bet > prevMaxBet) type = 'raise';
+      actions.push({ type, ...base });
       continue;
     }
 
-    // 9. Checked (was current actor, no longer is, bet unchanged, still active)
+    // Checked (was current actor, no longer is, bet unchanged, still active)
     if (
       prevPlayer.isCurrentActor &&
       !nextPlayer.isCurrentActor &&
       nextPlayer.bet === prevPlayer.bet &&
       nextPlayer.status === 'active'
     ) {
-      events.push(`${hdr} ${nextPlayer.name} checked`);
-      continue;
+      actions.push({ type: 'check', ...base });
     }
   }
 
-  // ── Board card diffs ──
-  const prevBoardLen = prev.boardCards.length;
-  const nextBoardLen = next.boardCards.length;
+  return actions;
+}
+
+/**
+ * Opponents' hole cards visible in a state: on `players` (as `cards` or
+ * `holeCards`) and, with `includeResult`, in `lastHandResult`. Each comes
+ * with a description of the hand on `board`.
+ *
+ * @param {object|null|undefined} view - PlayerView
+ * @param {object} [options]
+ * @param {boolean} [options.includeResult] - Defaults to true once the hand is over (SHOWDOWN/WAITING)
+ * @param {string[]} [options.board] - Board to describe hands on, when not the view's own
+ * @returns {{seat: number, name: string, cards: string[], hand: string}[]}
+ */
+export function shownHands(view, { includeResult = view?.phase === 'SHOWDOWN' || view?.phase === 'WAITING', board } = {}) {
+  if (!view) return [];
+  const sources = [...(view.players || []), ...(includeResult ? view.lastHandResult?.players || [] : [])];
+  const finalBoard = board || (includeResult && view.lastHandResult?.boardCards) || view.boardCards || [];
+  const shown = new Map();
+  for (const p of sources) {
+    const cards = p.cards || p.holeCards;
+    if (p.seat === view.yourSeat || !cards?.length || shown.has(p.seat)) continue;
+    shown.set(p.seat, { seat: p.seat, name: p.name, cards, hand: describeHand(cards, finalBoard) });
+  }
+  return [...shown.values()];
+}
+
+/** Chat line for a shown hand: "Bob shows Q♠ Q♦ (set of queens)". */
+export function formatReveal(hdr, reveal, t = defaultTranslator) {
+  const params = { hdr, name: reveal.name, cards: formatCards(reveal.cards), hand: reveal.hand };
+  return t(reveal.hand ? 'event.revealHand' : 'event.reveal', params);
+}
+
+/** Chat prefix naming the hand: "**[Hand #12]**". */
+export function handHeader(handNumber, t = defaultTranslator) {
+  return t('hand.header', { number: String(handNumber) });
+}
+
+const inHand = p => p.status === 'active' || p.status === 'all_in';
+
+/**
+ * No more betting is possible: two or more players are still in, and at
+ * most one of them has chips behind and that one has already matched
+ * the bet.
+ */
+export function isAllInLocked(view) {
+  const contenders = (view?.players || []).filter(inHand);
+  if (contenders.length < 2) return false;
+  const live = contenders.filter(p => p.status === 'active' && p.chips > 0);
+  if (live.length !== 1) return live.length === 0;
+  const maxBet = Math.max(...contenders.map(p => p.bet || 0));
+  return live[0].bet >= maxBet && !live[0].isCurrentActor;
+}
+
+/**
+ * Hole cards of every player still in, ours from `yourCards`, or null
+ * while any of them is unknown.
+ *
+ * @returns {{name: string, isSelf: boolean, cards: string[]}[]|null}
+ */
+export function contenderHands(view) {
+  const shown = new Map(shownHands(view).map(r => [r.seat, r.cards]));
+  const hands = [];
+  for (const p of (view.players || []).filter(inHand)) {
+    const cards = p.seat === view.yourSeat ? view.yourCards : shown.get(p.seat);
+    if (!cards?.length) return null;
+    hands.push({ name: p.name, isSelf: p.seat === view.yourSeat, cards });
+  }
+  return hands.length >= 2 ? hands : null;
+}
+
+// Equity is seeded so the same runout always narrates the same numbers
+const EQUITY_SEED = 7;
+
+function equityPart(hands, board, t) {
+  if (!hands || board.length >= 5) return '';
+  const equity = showdownEquity(hands.map(h => h.cards), board, { random: seededRandom(EQUITY_SEED) });
+  if (!equity) return '';
+  const shares = hands.map((h, i) => `${h.isSelf ? t('hand.you') : h.name} ${formatPercent(equity[i])}`).join(', ');
+  return t('street.equity', { shares });
+}
 
-  // 2. Flop dealt (0 -> 3)
-  if (prevBoardLen === 0 && nextBoardLen >= 3) {
-    const flopCards = formatCards(next.boardCards.slice(0, 3));
-    events.push(`${hdr} Flop: ${flopCards} | Pot: ${next.pot}`);
+/**
+ * Narrate the streets dealt between `fromBoard` and `board`, each with
+ * our hand on that street and, when every live hand is known, each
+ * player's equity. With `announce`, first say the hand is being run out.
+ *
+ * @param {string} hdr - Hand prefix
+ * @param {object} runout
+ * @param {string[]} runout.fromBoard - Board already narrated
+ * @param {string[]} runout.board - Board now
+ * @param {number} runout.pot
+ * @param {string[]|null} [runout.yourCards] - Null once we've folded
+ * @param {{name: string, isSelf?: boolean, cards: string[]}[]|null} [runout.hands] - From `contenderHands`
+ * @param {boolean} [runout.announce]
+ * @param {Function} [t] - Translator from `createTranslator`
+ * @returns {string[]}
+ */
+export function runoutEvents(hdr, { fromBoard = [], board = [], pot, yourCards = null, hands = null, announce = false }, t = defaultTranslator) {
+  const events = [];
+  if (announce) events.push(t('street.runout', { hdr, details: equityPart(hands, fromBoard, t) }));
+
+  const streetKeys = { 3: 'street.flop', 4: 'street.turn', 5: 'street.river' };
+  for (let len = Math.max(fromBoard.length + 1, 3); len <= Math.min(board.length, 5); len++) {
+    const street = board.slice(0, len);
+    const hand = yourCards ? describeHand(yourCards, street) : '';
+    const details = `${hand ? t('street.yourHand', { hand }) : ''}${equityPart(hands, street, t)}`;
+    events.push(t(streetKeys[len], { hdr, card: formatCard(street[len - 1]), board: formatCards(street), pot, details }));
   }
+  return events;
+}
 
-  // 3. Turn dealt (3 -> 4)
-  if (prevBoardLen <= 3 && nextBoardLen >= 4 && prevBoardLen < nextBoardLen) {
-    // Only report if we hadn't already reported it as part of flop
-    if (prevBoardLen === 3) {
-      const turnCard = formatCard(next.boardCards[3]);
-      const board = formatCards(next.boardCards.slice(0, 4));
-      events.push(`${hdr} Turn: ${turnCard} → ${board} | Pot: ${next.pot}`);
+// ── Roster ──
+
+const FINISHED_PHASES = new Set(['SHOWDOWN', 'WAITING']);
+
+/**
+ * Stacks as the previous hand ended, when known: from the result the new
+ * view carries, or from a previous state taken after the pot was paid.
+ */
+function endingStacks(prev, next) {
+  const stacks = new Map();
+  if (FINISHED_PHASES.has(prev.phase)) {
+    for (const p of prev.players || []) stacks.set(p.seat, p.chips + (p.invested || 0));
+  }
+  for (const p of next.lastHandResult?.players || []) {
+    if (p.chips != null) stacks.set(p.seat, p.chips);
+  }
+  return stacks;
+}
+
+/** Blinds and antes posted in the first preflop state of a hand. */
+function forcedPosts(view) {
+  const { smallBlind, bigBlind, ante } = view.forcedBets || {};
+  if (view.phase !== 'PREFLOP' || !bigBlind) return [];
+  const posts = [];
+  for (const [blind, amount] of [['small', smallBlind], ['big', bigBlind]]) {
+    for (const p of view.players || []) {
+      if (amount > 0 && p.bet === amount) {
+        posts.push({ type: 'post', seat: p.seat, name: p.name, isSelf: p.seat === view.yourSeat, blind, amount });
+      }
+    }
+  }
+  if (ante > 0) {
+    const count = (view.players || []).filter(inHand).length;
+    posts.push({ type: 'antes', amount: ante, count });
+  }
+  return posts;
+}
+
+/**
+ * Changes to who is at the table, as opposed to what they bet: players
+ * sitting down, leaving, sitting out or coming back, and — when the hand
+ * number changes — rebuys, the button moving and the forced bets posted.
+ *
+ * A rebuy is a stack that grew between hands; it is only reported when
+ * the stack the previous hand ended with is known. Returns an empty array
+ * when there is no previous state.
+ *
+ * @param {object|null|undefined} prev - Previous PlayerView
+ * @param {object} next - Current PlayerView
+ * @returns {{type: string, seat?: number, name?: string, isSelf?: boolean, chips?: number, amount?: number, blind?: string, count?: number}[]}
+ */
+export function diffRoster(prev, next) {
+  if (!prev) return [];
+  const changes = [];
+  const prevBySeat = new Map((prev.players || []).map(p => [p.seat, p]));
+  const nextBySeat = new Map((next.players || []).map(p => [p.seat, p]));
+  const newHand = prev.handNumber !== next.handNumber;
+  const endStacks = newHand ? endingStacks(prev, next) : new Map();
+
+  for (const p of prev.players || []) {
+    // A different name in the same seat is someone else sitting down
+    if (nextBySeat.get(p.seat)?.name !== p.name && p.seat !== prev.yourSeat) {
+      changes.push({ type: 'leave', seat: p.seat, name: p.name, isSelf: false });
+    }
+  }
+
+  for (const p of next.players || []) {
+    const base = { seat: p.seat, name: p.name, isSelf: p.seat === next.yourSeat };
+    const before = prevBySeat.get(p.seat);
+    if (!before || before.name !== p.name) {
+      if (!base.isSelf) changes.push({ type: 'join', ...base, chips: p.chips + (p.invested || 0) });
+      continue;
     }
+    if (before.status !== 'sitting_out' && p.status === 'sitting_out') changes.push({ type: 'sit_out', ...base });
+    else if (before.status === 'sitting_out' && p.status !== 'sitting_out') changes.push({ type: 'return', ...base });
+
+    const ended = endStacks.get(p.seat);
+    const stack = p.chips + (p.invested || 0);
+    if (ended != null && stack > ended) changes.push({ type: 'rebuy', ...base, amount: stack - ended, chips: stack });
   }
 
-  // 4. River dealt (4 -> 5)
-  if (prevBoardLen <= 4 && nextBoardLen >= 5 && prevBoardLen < nextBoardLen) {
-    if (prevBoardLen === 4) {
-      const riverCard = formatCard(next.boardCards[4]);
-      const board = formatCards(next.boardCards);
-      events.push(`${hdr} River: ${riverCard} → ${board} | Pot: ${next.pot}`);
+  if (newHand) {
+    if (next.dealerSeat != null && next.dealerSeat !== prev.dealerSeat) {
+      const dealer = nextBySeat.get(next.dealerSeat);
+      if (dealer) changes.push({ type: 'button', seat: dealer.seat, name: dealer.name, isSelf: dealer.seat === next.yourSeat });
     }
+    changes.push(...forcedPosts(next));
   }
 
+  return changes;
+}
+
+const ROSTER_KEYS = { join: 'roster.join', leave: 'roster.leave', sit_out: 'roster.sitOut', return: 'roster.return', rebuy: 'roster.rebuy', button: 'roster.button' };
+
+function formatRoster(hdr, changes, t) {
+  const events = [];
+  const posts = [];
+  for (const c of changes) {
+    // Our own seat reads in the second person: "You are back"
+    const self = c.isSelf ? 'Self' : '';
+    if (c.type === 'post') posts.push(t(`roster.${c.blind}Blind${self}`, { name: c.name, amount: c.amount }));
+    else if (c.type === 'antes') posts.push(t('roster.antes', { count: c.count, amount: c.amount }));
+    else events.push(t(`${ROSTER_KEYS[c.type]}${self}`, { hdr, name: c.name, seat: c.seat + 1, chips: c.chips, amount: c.amount }));
+  }
+  if (posts.length) events.push(`${hdr} ${posts.join(' · ')}`);
+  return events;
+}
+
+const ACTION_KEYS = { all_in: 'event.allIn', fold: 'event.fold', bet: 'event.bet', raise: 'event.raise', call: 'event.call', check: 'event.check' };
+
+/**
+ * Compare two successive PlayerView states and return an array of
+ * human-readable event strings describing what changed.
+ *
+ * @param {object|null|undefined} prev - Previous PlayerView (null/undefined for first state)
+ * @param {object} next - Current PlayerView
+ * @returns {string[]} Array of event description strings
+ */
+export function diffStates(prev, next, t = defaultTranslator) {
+  const events = [];
+  const hdr = handHeader(next.handNumber, t);
+
+  // ── Seats, sit-outs, rebuys, button and blinds ──
+  events.push(...formatRoster(hdr, diffRoster(prev, next), t));
+
+  // ── 1. New hand (prev is null/undefined, or handNumber changed) ──
+  if (!prev || prev.handNumber !== next.handNumber) {
+    if (next.yourCards && next.yourCards.length > 0) {
+      const cards = formatCards(next.yourCards);
+      const me = next.players?.find(p => p.seat === next.yourSeat);
+      const stack = me?.chips ?? next.yourChips;
+      const position = positionOf(next, next.yourSeat);
+      events.push(t(position ? 'event.yourCardsAt' : 'event.yourCards', { hdr, cards, stack, position }));
+    }
+    return events;
+  }
+
+  // ── Player action diffs (opponents only) ──
+  for (const action of diffActions(prev, next)) {
+    if (action.isSelf) continue;
+    const chipInfo = t('event.chipInfo', { invested: action.invested, chips: action.chips });
+    events.push(t(ACTION_KEYS[action.type], { hdr, name: action.name, amount: action.bet, chipInfo }));
+  }
+
+  // ── Showdown reveals ──
+  const alreadyShown = new Set(shownHands(prev).map(r => r.seat));
+  for (const reveal of shownHands(next)) {
+    if (!alreadyShown.has(reveal.seat)) events.push(formatReveal(hdr, reveal, t));
+  }
+
+  // ── Board card diffs ──
+  // Several streets can arrive in one state when players are all-in
+  const me = next.players?.find(p => p.seat === next.yourSeat);
+  events.push(...runoutEvents(hdr, {
+    fromBoard: prev.boardCards,
+    board: next.boardCards,
+    pot: next.pot,
+    // Our hand strength on each street — skipped once we've folded
+    yourCards: me?.status !== 'folded' ? next.yourCards : null,
+    hands: contenderHands(next),
+    announce: isAllInLocked(next) && !isAllInLocked(prev) && prev.boardCards.length < 5,
+  }, t));
+
   return events;
 }
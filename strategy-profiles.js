@@ -0,0 +1,130 @@
+import { parseRange, formatRange } from './ranges.js';
+
+/**
+ * Named strategy profiles. Each profile holds the parameters the rule
+ * engine plays by and the prompt renders for the agent, so switching
+ * profile changes both.
+ *
+ * Ranges are written in range notation and held as Sets of canonical hand
+ * keys ("AA", "AKs", "T9o"); see ranges.js.
+ * Sizes are multiples of the big blind (opens), of the raise faced
+ * (3-bets) or fractions of the pot (postflop).
+ */
+
+export const DEFAULT_PROFILE = 'standard';
+
+export const PROFILES = {
+  tight: {
+    name: 'tight',
+    description: 'Fewer, stronger hands; bigger value bets and fewer bluffs.',
+    open: {
+      premium: parseRange('JJ+'),
+      standard: parseRange('TT-99, AKs, AQs, AKo'),
+      late: parseRange('88-77, AJs, ATs, KQs, AQo'),
+    },
+    openSize: { premium: 3, standard: 2.5 },
+    threeBet: parseRange('KK+, AKs'),
+    threeBetSize: 3,
+    flat: parseRange('QQ-JJ, AKo'),
+    setMineOdds: 5,
+    cbet: { frequency: 0.5, size: 0.33 },
+    valueBet: { strong: 0.6, monster: 0.75 },
+    drawOdds: { flush: 4, straight: 5 },
+    shoveBelowBB: 10,
+  },
+
+  // The chart in SKILL.md
+  standard: {
+    name: 'standard',
+    description: 'The default chart: solid ranges, position-aware, value-heavy postflop.',
+    open: {
+      premium: parseRange('QQ+'),
+      standard: parseRange('JJ-88, AKs, AQs, AJs, KQs, AKo'),
+      late: parseRange('77-22, ATs-A2s, KJs, QJs, JTs, T9s, 98s, 87s, 76s'),
+    },
+    openSize: { premium: 3, standard: 2.5 },
+    threeBet: parseRange('QQ+, AKs, AKo'),
+    threeBetSize: 3,
+    flat: parseRange('JJ-TT'),
+    setMineOdds: 4,
+    cbet: { frequency: 1, size: 0.33 },
+    valueBet: { strong: 0.5, monster: 0.66 },
+    drawOdds: { flush: 4, straight: 5 },
+    shoveBelowBB: 10,
+  },
+
+  'loose-aggressive': {
+    name: 'loose-aggressive',
+    description: 'Wide opens, frequent 3-bets and c-bets; pressure over pot control.',
+    open: {
+      premium: parseRange('JJ+'),
+      standard: parseRange('TT-77, ATs+, KJs+, QJs, JTs, AJo+, KQo'),
+      late: parseRange('66-22, A9s-A2s, KTs-K9s, QTs-Q9s, J9s, T9s-T8s, 98s-97s, 87s-86s, 76s, 65s, 54s, ATo, KJo, QJo, JTo'),
+    },
+    openSize: { premium: 3, standard: 2.5 },
+    threeBet: parseRange('JJ+, AQs+, A5s-A4s, KQs, AKo'),
+    threeBetSize: 3,
+    flat: parseRange('TT-77, AJs, KJs, QJs, JTs, T9s, AQo'),
+    setMineOdds: 3,
+    cbet: { frequency: 0.8, size: 0.5 },
+    valueBet: { strong: 0.66, monster: 0.75 },
+    drawOdds: { flush: 3, straight: 4 },
+    shoveBelowBB: 10,
+  },
+
+  'short-stack': {
+    name: 'short-stack',
+    description: 'For 15-40 BB: small opens, shove-or-fold earlier, no set-mining.',
+    open: {
+      premium: parseRange('JJ+'),
+      standard: parseRange('TT-77, AJs+, KQs, AQo+'),
+      late: parseRange('66-22, ATs-A2s, KJs, QJs, JTs, AJo, KQo'),
+    },
+    openSize: { premium: 2.5, standard: 2 },
+    threeBet: parseRange('JJ+, AQs+, AKo'),
+    threeBetSize: 3,
+    flat: parseRange('TT-99'),
+    setMineOdds: null,
+    cbet: { frequency: 1, size: 0.33 },
+    valueBet: { strong: 0.5, monster: 0.66 },
+    drawOdds: { flush: 4, straight: 5 },
+    shoveBelowBB: 15,
+  },
+};
+
+export const PROFILE_NAMES = Object.keys(PROFILES);
+
+/**
+ * Look a profile up by name, case- and space-insensitively
+ * ("Loose Aggressive" → loose-aggressive). Null when unknown.
+ */
+export function getProfile(name) {
+  const key = String(name ?? '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  return PROFILES[key] || null;
+}
+
+const percent = fraction => `${Math.round(fraction * 100)}%`;
+
+/**
+ * The profile as prompt lines, in the same shape as the old fixed
+ * strategy block.
+ *
+ * @param {object} profile
+ * @returns {string}
+ */
+export function describeProfile(profile) {
+  const { open, openSize, cbet, valueBet, drawOdds } = profile;
+  const setMine = profile.setMineOdds != null
+    ? ` Pocket pairs may set-mine when pot odds are better than ${profile.setMineOdds}:1.`
+    : ' No set-mining.';
+  const cbetLine = cbet.frequency >= 1
+    ? `always c-bet ${percent(cbet.size)} pot heads-up on the flop as the preflop raiser`
+    : `c-bet ${percent(cbet.size)} pot about ${percent(cbet.frequency)} of the time heads-up on the flop as the preflop raiser`;
+  return [
+    `Profile: ${profile.name} — ${profile.description}`,
+    `- Preflop: ${formatRange(open.premium)} raise ${openSize.premium}x BB. ${formatRange(open.standard)} raise ${openSize.standard}x BB. Late position (BTN/CO) also opens ${formatRange(open.late)}. Everything else: fold.`,
+    `- Facing a raise: 3-bet ${formatRange(profile.threeBet)} to ${profile.threeBetSize}x the raise, call ${formatRange(profile.flat)}, fold the rest.${setMine}`,
+    `- Postflop: Strong hand (top pair good kicker+) bet ${percent(valueBet.strong)} pot. Monster (set+) bet ${percent(valueBet.monster)} pot. Draws: call only with pot odds better than ${drawOdds.flush}:1 (flush) or ${drawOdds.straight}:1 (straight). Nothing: check-fold; ${cbetLine}.`,
+    `- Under ${profile.shoveBelowBB} BB: shove or fold only.`,
+  ].join('\n');
+}
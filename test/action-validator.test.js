@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { legalizeDecision, correctRejectedDecision } from '../action-validator.js';
+
+const FACING_BET = [
+  { type: 'fold' },
+  { type: 'call', amount: 40 },
+  { type: 'raise', minAmount: 80, maxAmount: 500 },
+  { type: 'all_in', amount: 500 },
+];
+
+const UNOPENED = [
+  { type: 'fold' },
+  { type: 'check' },
+  { type: 'bet', minAmount: 20, maxAmount: 500 },
+  { type: 'all_in', amount: 500 },
+];
+
+describe('legalizeDecision', () => {
+  it('leaves a legal decision untouched', () => {
+    const { decision, changes } = legalizeDecision({ action: 'raise', amount: 120, narration: 'Raise' }, FACING_BET);
+    assert.deepEqual(decision, { action: 'raise', amount: 120, narration: 'Raise' });
+    assert.deepEqual(changes, []);
+  });
+
+  it('maps bet to raise and raise to bet', () => {
+    assert.equal(legalizeDecision({ action: 'bet', amount: 120 }, FACING_BET).decision.action, 'raise');
+    assert.equal(legalizeDecision({ action: 'raise', amount: 60 }, UNOPENED).decision.action, 'bet');
+  });
+
+  it('normalises upper-case actions', () => {
+    assert.equal(legalizeDecision({ action: 'CALL' }, FACING_BET).decision.action, 'call');
+  });
+
+  it('clamps amounts into the allowed range', () => {
+    const low = legalizeDecision({ action: 'raise', amount: 50 }, FACING_BET);
+    assert.equal(low.decision.amount, 80);
+    assert.match(low.changes.join(), /clamped to 80/);
+
+    const missing = legalizeDecision({ action: 'bet' }, UNOPENED);
+    assert.equal(missing.decision.amount, 20);
+  });
+
+  it('turns a raise to the maximum into all_in', () => {
+    const { decision } = legalizeDecision({ action: 'raise', amount: 9000 }, FACING_BET);
+    assert.deepEqual(decision, { action: 'all_in' });
+  });
+
+  it('turns all_in into a max raise when all_in is not offered', () => {
+    const actions = FACING_BET.filter(a => a.type !== 'all_in');
+    assert.deepEqual(legalizeDecision({ action: 'all_in' }, actions).decision, { action: 'raise', amount: 500 });
+  });
+
+  it('turns check into call 0 when that is what the server offers', () => {
+    const actions = [{ type: 'fold' }, { type: 'call', amount: 0 }];
+    assert.equal(legalizeDecision({ action: 'check' }, actions).decision.action, 'call');
+  });
+
+  it('turns a free call into check', () => {
+    assert.equal(legalizeDecision({ action: 'call' }, UNOPENED).decision.action, 'check');
+  });
+
+  it('never calls a bet the agent meant to check — folds instead', () => {
+    const { decision, changes } = legalizeDecision({ action: 'check' }, FACING_BET);
+    assert.equal(decision.action, 'fold');
+    assert.match(changes.join(), /check unavailable/);
+  });
+
+  it('drops amounts from actions that take none', () => {
+    assert.deepEqual(legalizeDecision({ action: 'call', amount: 40 }, FACING_BET).decision, { action: 'call' });
+  });
+
+  it('leaves the decision alone when nothing is known about the legal actions', () => {
+    assert.deepEqual(legalizeDecision({ action: 'raise', amount: 60 }, []).decision, { action: 'raise', amount: 60 });
+  });
+});
+
+describe('correctRejectedDecision', () => {
+  it('retries an offered raise with its amount clamped into range', () => {
+    assert.deepEqual(correctRejectedDecision({ action: 'raise', amount: 120 }, FACING_BET), { action: 'raise', amount: 120 });
+    assert.deepEqual(correctRejectedDecision({ action: 'raise', amount: 60 }, FACING_BET), { action: 'raise', amount: 80 });
+    assert.deepEqual(correctRejectedDecision({ action: 'bet', amount: 900 }, UNOPENED), { action: 'bet', amount: 500 });
+  });
+
+  it('steps a raise down to a call only when raising is not offered', () => {
+    const noRaise = FACING_BET.filter(a => a.type !== 'raise');
+    assert.deepEqual(correctRejectedDecision({ action: 'raise', amount: 120 }, noRaise), { action: 'call' });
+  });
+
+  it('retries an offered check instead of folding', () => {
+    assert.deepEqual(correctRejectedDecision({ action: 'check' }, UNOPENED), { action: 'check' });
+    assert.deepEqual(correctRejectedDecision({ action: 'check' }, [{ type: 'fold' }, { type: 'call', amount: 0 }]), { action: 'call' });
+    assert.deepEqual(correctRejectedDecision({ action: 'check' }, FACING_BET), { action: 'fold' });
+  });
+
+  it('steps a call down to a fold when neither call nor check is offered', () => {
+    assert.deepEqual(correctRejectedDecision({ action: 'call' }, FACING_BET), { action: 'call' });
+    assert.deepEqual(correctRejectedDecision({ action: 'call' }, [{ type: 'fold' }]), { action: 'fold' });
+  });
+
+  it('returns null for a rejected fold', () => {
+    assert.equal(correctRejectedDecision({ action: 'fold' }, FACING_BET), null);
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, deliveryOptions, agentOptions, turnDeadlineOptions } from '../config.js';
+
+const DEFAULT_FILE = '/skill/poker-config.json';
+
+/** loadConfig over an in-memory file system. */
+function load(flags = [], { env = {}, files = {} } = {}) {
+  return loadConfig({
+    argv: ['node', 'poker-listener.js', ...flags],
+    env,
+    defaultConfigFile: DEFAULT_FILE,
+    readFile: (path) => {
+      if (path in files) return files[path];
+      throw Object.assign(new Error(`ENOENT: ${path}`), { code: 'ENOENT' });
+    },
+  });
+}
+
+const LIVE = ['--backend-url', 'http://poker', '--api-key', 'k', '--tables', 't1'];
+
+describe('loadConfig — layers', () => {
+  it('fills in defaults around the required settings', () => {
+    const { config, errors } = load(LIVE);
+    assert.deepEqual(errors, []);
+    assert.equal(config.backendUrl, 'http://poker');
+    assert.deepEqual(config.tables, ['t1']);
+    assert.equal(config.engine, 'agent');
+    assert.equal(config.verbosity, 'normal');
+    assert.equal(config.batchWindow, 0);
+    assert.equal(config.strategyProfile, 'standard');
+    assert.equal(config.locale, 'en');
+  });
+
+  it('takes the locale from env or flag and rejects unknown ones', () => {
+    assert.equal(load(LIVE, { env: { POKER_LOCALE: 'de' } }).config.locale, 'de');
+    assert.equal(load([...LIVE, '--locale', 'es']).config.locale, 'es');
+    assert.deepEqual(load([...LIVE, '--locale', 'fr']).errors, ['--locale: expected one of en, es, de, got "fr"']);
+  });
+
+  it('lets env override the file and flags override env', () => {
+    const files = { [DEFAULT_FILE]: JSON.stringify({ backendUrl: 'http://file', thinking: 'high', agentTimeout: 60, tables: ['a', 'b'] }) };
+    const env = { POKER_API_KEY: 'env-key', POKER_THINKING: 'medium', POKER_BACKEND_URL: 'http://env' };
+    const { config, sources, errors } = load(['--backend-url', 'http://flag'], { env, files });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.backendUrl, 'http://flag');
+    assert.equal(config.thinking, 'medium');
+    assert.equal(config.agentTimeout, 60);
+    assert.deepEqual(config.tables, ['a', 'b']);
+    assert.deepEqual(
+      [sources.backendUrl, sources.thinking, sources.agentTimeout, sources.engine],
+      ['--backend-url', 'POKER_THINKING', `${DEFAULT_FILE} (agentTimeout)`, 'default'],
+    );
+  });
+
+  it('reads an explicit config file from --config or POKER_CONFIG', () => {
+    const files = { '/etc/poker.json': JSON.stringify({ engine: 'rules' }) };
+    assert.equal(load([...LIVE, '--config', '/etc/poker.json'], { files }).config.engine, 'rules');
+    assert.equal(load(LIVE, { files, env: { POKER_CONFIG: '/etc/poker.json' } }).config.engine, 'rules');
+  });
+
+  it('splits and deduplicates table lists', () => {
+    assert.deepEqual(load(LIVE, { env: { POKER_TABLES: 'x' } }).config.tables, ['t1']);
+    assert.deepEqual(load(['--backend-url', 'u', '--api-key', 'k', '--tables', 'a, b,a']).config.tables, ['a', 'b']);
+  });
+
+  it('takes the API key from the credentials file when none is set', () => {
+    const files = { '/creds.json': JSON.stringify({ username: 'claw-1', apiKey: 'saved-key' }) };
+    const { config, errors } = load(['--backend-url', 'u', '--tables', 't', '--credentials', '/creds.json'], { files });
+    assert.deepEqual(errors, []);
+    assert.equal(config.apiKey, 'saved-key');
+  });
+
+  it('needs no backend in replay mode', () => {
+    const { config, errors } = load(['--replay', 'game.jsonl', '--replay-speed', '0']);
+    assert.deepEqual(errors, []);
+    assert.equal(config.replaySpeed, 0);
+  });
+});
+
+describe('loadConfig — errors', () => {
+  it('names the source of every bad value', () => {
+    const files = { [DEFAULT_FILE]: JSON.stringify({ engine: 'magic', backendURL: 'typo' }) };
+    const { errors } = load([...LIVE, '--verbosity', 'loud'], { files, env: { POKER_ACTION_DEADLINE: 'soon' } });
+    assert.deepEqual(errors, [
+      `${DEFAULT_FILE} (engine): expected one of agent, rules, hybrid, got "magic"`,
+      `${DEFAULT_FILE}: unknown key "backendURL"`,
+      'POKER_ACTION_DEADLINE: expected a non-negative number of seconds, got "soon"',
+      '--verbosity: expected one of quiet, normal, verbose, got "loud"',
+    ]);
+  });
+
+  it('rejects positional arguments, unknown flags and missing values', () => {
+    const { errors } = load(['http://poker', '--chat-id', '1', '--tables']);
+    assert.match(errors[0], /Unexpected argument "http:\/\/poker"/);
+    assert.equal(errors[1], 'Unknown flag --chat-id');
+    assert.equal(errors[2], 'Unexpected argument "1" (settings are passed as flags, e.g. --backend-url, --api-key, --tables)');
+    assert.equal(errors[3], '--tables: missing value');
+  });
+
+  it('lists every missing live setting', () => {
+    const { errors } = load([], { files: {} });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^No backend URL/);
+    assert.match(errors[1], /^No table/);
+    assert.match(errors[2], /^No API key: .*poker-creds\.json$/);
+  });
+
+  it('reports a missing or malformed explicit config file', () => {
+    assert.deepEqual(load([...LIVE, '--config', '/nope.json']).errors, ['/nope.json: file not found']);
+    const { errors } = load([...LIVE, '--config', '/bad.json'], { files: { '/bad.json': '{ engine: rules' } });
+    assert.match(errors[0], /^\/bad\.json: invalid JSON/);
+    assert.deepEqual(load([...LIVE, '--config', '/arr.json'], { files: { '/arr.json': '[]' } }).errors, ['/arr.json: expected a JSON object']);
+  });
+
+  it('requires a channel and target for openclaw delivery', () => {
+    const { errors } = load([...LIVE, '--transport', 'openclaw', '--channel', 'telegram']);
+    assert.deepEqual(errors, ['transport openclaw needs both channel and target (--channel, --target)']);
+  });
+});
+
+describe('deliveryOptions', () => {
+  const base = load(LIVE).config;
+
+  it('falls back to stdout mode with no delivery settings', () => {
+    assert.equal(deliveryOptions(base).enabled, false);
+  });
+
+  it('infers the transport from the configured target', () => {
+    assert.equal(deliveryOptions({ ...base, channel: 'telegram', target: '1' }).transport, 'openclaw');
+    assert.equal(deliveryOptions({ ...base, webhookUrl: 'http://hook' }).transport, 'webhook');
+    assert.equal(deliveryOptions({ ...base, messageFile: '/tmp/poker.log' }).transport, 'file');
+  });
+
+  it('passes the target on as the chat id', () => {
+    const options = deliveryOptions({ ...base, transport: 'openclaw', channel: 'telegram', target: '7014171428' });
+    assert.deepEqual([options.enabled, options.channel, options.chatId], [true, 'telegram', '7014171428']);
+  });
+});
+
+describe('agentOptions / turnDeadlineOptions', () => {
+  it('keep the previous defaults', () => {
+    const { config } = load(LIVE);
+    assert.deepEqual(agentOptions(config), { thinking: 'low', timeoutSec: 45, processTimeoutMs: 55000 });
+    assert.deepEqual(turnDeadlineOptions(config), { deadlineMs: 30000, safetyMarginMs: 5000 });
+  });
+
+  it('convert configured seconds', () => {
+    const { config } = load([...LIVE, '--agent-process-timeout', '90', '--safety-margin', '2.5']);
+    assert.equal(agentOptions(config).processTimeoutMs, 90000);
+    assert.equal(turnDeadlineOptions(config).safetyMarginMs, 2500);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateEquity, showdownEquity, seededRandom, potOdds, computeDecisionMath, formatPercent, formatRatio } from '../equity.js';
+
+/** Small deterministic PRNG so simulations are reproducible. */
+function seeded(seed = 42) {
+  let a = seed;
+  return () => {
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+describe('estimateEquity', () => {
+  it('returns null without hole cards or opponents', () => {
+    assert.equal(estimateEquity(['??', '??'], [], 1), null);
+    assert.equal(estimateEquity(['As', 'Ad'], [], 0), null);
+  });
+
+  it('gives pocket aces roughly 85% heads-up preflop', () => {
+    const r = estimateEquity(['As', 'Ad'], [], 1, { iterations: 2000, random: seeded() });
+    assert.ok(r.equity > 0.8 && r.equity < 0.9, `got ${r.equity}`);
+  });
+
+  it('loses equity against more opponents', () => {
+    const one = estimateEquity(['As', 'Ad'], [], 1, { iterations: 1000, random: seeded(1) });
+    const four = estimateEquity(['As', 'Ad'], [], 4, { iterations: 1000, random: seeded(1) });
+    assert.ok(four.equity < one.equity);
+  });
+
+  it('is exactly 1 with the nuts on the river', () => {
+    const r = estimateEquity(['Ah', 'Kh'], ['Qh', 'Jh', 'Th', '2c', '3d'], 2, { iterations: 200, random: seeded() });
+    assert.equal(r.equity, 1);
+  });
+
+  it('splits the pot when the board plays', () => {
+    const r = estimateEquity(['2c', '3d'], ['As', 'Ks', 'Qs', 'Js', 'Ts'], 1, { iterations: 200, random: seeded() });
+    assert.equal(r.win, 0);
+    assert.equal(r.tie, 1);
+    assert.equal(r.equity, 0.5);
+  });
+});
+
+describe('showdownEquity', () => {
+  it('settles a finished board exactly, splitting ties', () => {
+    assert.deepEqual(showdownEquity([['As', 'Kd'], ['Ah', 'Kc']], ['2s', '7h', '9d', 'Jc', '3s']), [0.5, 0.5]);
+    assert.deepEqual(showdownEquity([['Qs', 'Qd'], ['As', 'Kd']], ['Qh', '7h', '9d', 'Jc', '3s']), [1, 0]);
+  });
+
+  it('enumerates every river exactly on the turn', () => {
+    // Kings against aces: only the two remaining kings of 44 rivers save them
+    const [kings, aces] = showdownEquity([['Kh', 'Kc'], ['Ah', 'Ac']], ['2s', '7d', '9c', '4h']);
+    assert.equal(kings, 2 / 44);
+    assert.equal(kings + aces, 1);
+  });
+
+  it('samples preflop runouts', () => {
+    const shares = showdownEquity([['Kh', 'Kc'], ['Ah', 'Ac'], ['7s', '2d']], [], { random: seededRandom(1) });
+    assert.ok(Math.abs(shares.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+    assert.ok(shares[1] > shares[0] && shares[0] > shares[2]);
+  });
+
+  it('returns null unless every hand is known', () => {
+    assert.equal(showdownEquity([['Kh', 'Kc'], []], []), null);
+    assert.equal(showdownEquity([['Kh', 'Kc']], []), null);
+  });
+});
+
+describe('potOdds', () => {
+  it('computes ratio and required equity', () => {
+    const odds = potOdds(60, 20);
+    assert.equal(odds.ratio, 3);
+    assert.equal(odds.requiredEquity, 0.25);
+  });
+
+  it('returns null when there is nothing to call', () => {
+    assert.equal(potOdds(60, 0), null);
+    assert.equal(potOdds(60, undefined), null);
+  });
+});
+
+describe('computeDecisionMath', () => {
+  it('counts live opponents and reads the call amount', () => {
+    const view = {
+      yourSeat: 0,
+      yourCards: ['As', 'Kh'],
+      boardCards: [],
+      pot: 30,
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }],
+      players: [
+        { seat: 0, status: 'active' },
+        { seat: 1, status: 'active' },
+        { seat: 2, status: 'folded' },
+        { seat: 3, status: 'all_in' },
+      ],
+    };
+    const math = computeDecisionMath(view, { iterations: 200, random: seeded() });
+    assert.equal(math.opponents, 2);
+    assert.ok(math.equity > 0 && math.equity < 1);
+    assert.equal(math.odds.toCall, 10);
+    assert.equal(math.odds.ratio, 3);
+  });
+
+  it('has no odds when check is the cheapest option', () => {
+    const view = { yourSeat: 0, yourCards: ['As', 'Kh'], boardCards: [], pot: 40, availableActions: [{ type: 'check' }], players: [] };
+    const math = computeDecisionMath(view);
+    assert.equal(math.odds, null);
+    assert.equal(math.equity, null);
+  });
+});
+
+describe('formatting', () => {
+  it('formats percentages and ratios', () => {
+    assert.equal(formatPercent(0.254), '25%');
+    assert.equal(formatRatio(3), '3:1');
+    assert.equal(formatRatio(2.345), '2.3:1');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCard, scoreCards, evaluateHand, describeHand } from '../hand-evaluator.js';
+
+const score = (cards) => scoreCards(cards.map(parseCard));
+
+describe('parseCard', () => {
+  it('parses rank and suit', () => {
+    assert.deepStrictEqual(parseCard('As'), { rank: 14, suit: 's' });
+    assert.deepStrictEqual(parseCard('Td'), { rank: 10, suit: 'd' });
+    assert.deepStrictEqual(parseCard('2c'), { rank: 2, suit: 'c' });
+  });
+
+  it('returns null for unknown cards', () => {
+    assert.equal(parseCard('??'), null);
+    assert.equal(parseCard('Xs'), null);
+    assert.equal(parseCard(undefined), null);
+  });
+});
+
+describe('scoreCards', () => {
+  it('ranks categories in poker order', () => {
+    const hands = [
+      ['As', 'Kd', '9h', '7c', '2s'],        // high card
+      ['As', 'Ad', '9h', '7c', '2s'],        // pair
+      ['As', 'Ad', '9h', '9c', '2s'],        // two pair
+      ['As', 'Ad', 'Ah', '7c', '2s'],        // trips
+      ['5s', '4d', '3h', '2c', 'As'],        // wheel
+      ['As', 'Js', '9s', '7s', '2s'],        // flush
+      ['As', 'Ad', 'Ah', '7c', '7s'],        // full house
+      ['As', 'Ad', 'Ah', 'Ac', '2s'],        // quads
+      ['9s', '8s', '7s', '6s', '5s'],        // straight flush
+    ];
+    const scores = hands.map(h => score(h));
+    scores.forEach((s, i) => assert.equal(s.category, i));
+    for (let i = 1; i < scores.length; i++) assert.ok(scores[i].score > scores[i - 1].score);
+  });
+
+  it('picks the best five of seven cards', () => {
+    const s = score(['Ah', 'Kh', 'Qh', 'Jh', '2c', 'Th', '3d']);
+    assert.equal(s.category, 8);
+    assert.deepStrictEqual(s.tiebreak, [14]);
+  });
+
+  it('compares kickers within a category', () => {
+    const a = score(['As', 'Ad', 'Kh', '7c', '2s']);
+    const b = score(['Ac', 'Ah', 'Qh', '7d', '2d']);
+    assert.ok(a.score > b.score);
+  });
+
+  it('gives equal scores to split hands', () => {
+    const a = score(['As', 'Kd', 'Qh', 'Jc', 'Ts']);
+    const b = score(['Ac', 'Kh', 'Qd', 'Js', 'Td']);
+    assert.equal(a.score, b.score);
+  });
+});
+
+describe('evaluateHand', () => {
+  it('returns null without readable hole cards', () => {
+    assert.equal(evaluateHand(['??', '??'], []), null);
+    assert.equal(evaluateHand(undefined, []), null);
+  });
+
+  it('describes preflop holdings', () => {
+    assert.equal(evaluateHand(['As', 'Ad'], []).label, 'pocket aces');
+    assert.equal(evaluateHand(['Kh', 'As'], []).label, 'AK offsuit');
+    assert.equal(evaluateHand(['Ts', '9s'], []).label, 'T9 suited');
+  });
+
+  it('labels top pair with kicker quality', () => {
+    assert.equal(describeHand(['As', 'Kh'], ['Ad', '7c', '2d']), 'top pair, top kicker');
+    assert.equal(describeHand(['Ks', 'Jh'], ['Kd', '7c', '2d']), 'top pair, good kicker');
+    assert.equal(describeHand(['Ks', '4h'], ['Kd', '7c', '2d']), 'top pair, weak kicker');
+  });
+
+  it('ranks the kicker against the cards left off the board', () => {
+    // The king is on the board, so the queen is the best kicker anyone can hold
+    assert.equal(evaluateHand(['Ah', 'Qh'], ['Ad', 'Kc', '2d']).strength, 'top pair, top kicker');
+    assert.equal(evaluateHand(['Ah', 'Th'], ['Ad', 'Kc', '2d']).strength, 'top pair, good kicker');
+    assert.equal(evaluateHand(['Ah', '8h'], ['Ad', 'Kc', '2d']).strength, 'top pair, weak kicker');
+  });
+
+  it('labels middle, bottom, over- and underpairs', () => {
+    assert.equal(describeHand(['7s', '6h'], ['Kd', '7c', '2d']), 'middle pair');
+    assert.equal(describeHand(['2s', '6h'], ['Kd', '7c', '2d']), 'bottom pair');
+    assert.equal(describeHand(['Qs', 'Qh'], ['Jd', '7c', '2d']), 'overpair (queens)');
+    assert.equal(describeHand(['3s', '3h'], ['Jd', '9c', '7d']), 'underpair (threes)');
+  });
+
+  it('distinguishes sets from trips', () => {
+    assert.equal(describeHand(['7s', '7h'], ['7d', 'Kc', '2d']), 'set of sevens');
+    assert.equal(describeHand(['7s', 'Ah'], ['7d', '7c', '2d']), 'trips, sevens');
+  });
+
+  it('reports flush draws and marks the nut draw', () => {
+    const nut = evaluateHand(['Ah', '5h'], ['Kh', '7h', '2d']);
+    assert.ok(nut.draws.includes('nut flush draw'));
+    const plain = evaluateHand(['Qh', '5h'], ['Kh', '7h', '2d']);
+    assert.ok(plain.draws.includes('flush draw'));
+  });
+
+  it('reports open-ended straight draws and gutshots', () => {
+    assert.ok(evaluateHand(['9c', '8c'], ['7d', '6s', '2h']).draws.includes('open-ended straight draw'));
+    assert.ok(evaluateHand(['9c', '8c'], ['Jd', '7s', '2h']).draws.includes('gutshot'));
+  });
+
+  it('reports backdoor draws on the flop only', () => {
+    assert.ok(evaluateHand(['Ah', '5h'], ['Kh', '7c', '2d']).draws.includes('backdoor flush draw'));
+    assert.ok(!evaluateHand(['Ah', '5h'], ['Kh', '7c', '2d', 'Js']).draws.includes('backdoor flush draw'));
+  });
+
+  it('does not report draws on the river', () => {
+    assert.deepStrictEqual(evaluateHand(['Ah', '5h'], ['Kh', '7h', '2d', 'Js', '3c']).draws, []);
+  });
+
+  it('combines made hand and draws in the label', () => {
+    assert.equal(
+      describeHand(['Ah', 'Kh'], ['Kd', '7h', '2h']),
+      'top pair, top kicker + nut flush draw',
+    );
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHandRecorder, formatAction } from '../hand-history.js';
+import { player, makeView as baseView } from './helpers.js';
+
+function makeView(overrides = {}) {
+  return baseView({
+    handNumber: 7,
+    yourCards: ['As', 'Kh'],
+    numSeats: 6,
+    players: [
+      player(0, 'Hero', { chips: 990, bet: 10, invested: 10, isDealer: true }),
+      player(1, 'Alice', { chips: 980, bet: 20, invested: 20 }),
+    ],
+    ...overrides,
+  });
+}
+
+function record(views) {
+  const written = [];
+  const recorder = createHandRecorder('table-1', (text, hand) => written.push({ text, hand }));
+  for (const v of views) recorder.observe(v);
+  return { written, recorder };
+}
+
+describe('formatAction', () => {
+  const base = { name: 'Bob', bet: 0, prevBet: 0, prevMaxBet: 0 };
+
+  it('formats simple actions', () => {
+    assert.equal(formatAction({ ...base, type: 'fold' }), 'Bob: folds');
+    assert.equal(formatAction({ ...base, type: 'check' }), 'Bob: checks');
+    assert.equal(formatAction({ ...base, type: 'bet', bet: 40 }), 'Bob: bets 40');
+  });
+
+  it('formats calls as the added amount and raises as increment to total', () => {
+    assert.equal(formatAction({ ...base, type: 'call', bet: 60, prevBet: 20, prevMaxBet: 60 }), 'Bob: calls 40');
+    assert.equal(formatAction({ ...base, type: 'raise', bet: 60, prevBet: 0, prevMaxBet: 20 }), 'Bob: raises 40 to 60');
+  });
+
+  it('formats all-ins by what they did to the price', () => {
+    assert.equal(formatAction({ ...base, type: 'all_in', bet: 500, prevMaxBet: 0 }), 'Bob: bets 500 and is all-in');
+    assert.equal(formatAction({ ...base, type: 'all_in', bet: 500, prevMaxBet: 100 }), 'Bob: raises 400 to 500 and is all-in');
+    assert.equal(formatAction({ ...base, type: 'all_in', bet: 80, prevMaxBet: 100 }), 'Bob: calls 80 and is all-in');
+  });
+});
+
+describe('createHandRecorder', () => {
+  it('records a hand through streets and writes it on fast transition', () => {
+    const start = makeView();
+    const raise = makeView({
+      pot: 70,
+      players: [
+        player(0, 'Hero', { chips: 940, bet: 60, invested: 60, isDealer: true }),
+        player(1, 'Alice', { chips: 980, bet: 20, invested: 20 }),
+      ],
+    });
+    const call = makeView({
+      pot: 120,
+      players: [
+        player(0, 'Hero', { chips: 940, bet: 60, invested: 60, isDealer: true }),
+        player(1, 'Alice', { chips: 940, bet: 60, invested: 60 }),
+      ],
+    });
+    const flop = makeView({
+      phase: 'FLOP',
+      pot: 120,
+      boardCards: ['Ad', '7c', '2d'],
+      players: [
+        player(0, 'Hero', { chips: 940, invested: 60, isDealer: true }),
+        player(1, 'Alice', { chips: 940, invested: 60, isCurrentActor: true }),
+      ],
+    });
+    const aliceFolds = makeView({
+      phase: 'FLOP',
+      pot: 120,
+      boardCards: ['Ad', '7c', '2d'],
+      players: [
+        player(0, 'Hero', { chips: 940, invested: 60, isDealer: true }),
+        player(1, 'Alice', { chips: 940, invested: 60, status: 'folded' }),
+      ],
+    });
+    const next = makeView({
+      handNumber: 8,
+      lastHandResult: {
+        winners: [0],
+        players: [{ seat: 0, name: 'Hero', chips: 1060 }, { seat: 1, name: 'Alice', chips: 940 }],
+        potResults: [{ amount: 120 }],
+      },
+    });
+
+    const { written, recorder } = record([start, raise, call, flop, aliceFolds, next]);
+    assert.equal(written.length, 1);
+    const text = written[0].text;
+    const lines = text.split('\n');
+
+    assert.match(lines[0], /^PokerStars Hand #7: Hold'em No Limit \(10\/20\) - \d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2} UTC$/);
+    assert.equal(lines[1], "Table 'table-1' 6-max Seat #1 is the button");
+    assert.equal(lines[2], 'Seat 1: Hero (1000 in chips)');
+    assert.equal(lines[3], 'Seat 2: Alice (1000 in chips)');
+    assert.equal(lines[4], 'Hero: posts small blind 10');
+    assert.equal(lines[5], 'Alice: posts big blind 20');
+    assert.deepStrictEqual(lines.slice(6, 12), [
+      '*** HOLE CARDS ***',
+      'Dealt to Hero [As Kh]',
+      'Hero: raises 40 to 60',
+      'Alice: calls 40',
+      '*** FLOP *** [Ad 7c 2d]',
+      'Alice: folds',
+    ]);
+    assert.ok(text.includes('Hero collected 120 from pot'));
+    assert.ok(text.includes('*** SUMMARY ***\nTotal pot 120 | Rake 0\nBoard [Ad 7c 2d]'));
+    assert.ok(text.includes('Seat 2: Alice folded'));
+    assert.ok(!text.includes('*** SHOW DOWN ***'));
+
+    // The new hand is now being recorded
+    assert.equal(recorder.current().number, 8);
+  });
+
+  it('writes once at showdown with shown cards and split pots', () => {
+    const river = makeView({
+      phase: 'RIVER',
+      boardCards: ['Ad', '7c', '2d', 'Kh', '3s'],
+      pot: 200,
+      players: [player(0, 'Hero', { invested: 100 }), player(1, 'Alice', { invested: 100 })],
+    });
+    const showdown = {
+      ...river,
+      phase: 'SHOWDOWN',
+      lastHandResult: {
+        winners: [0, 1],
+        players: [
+          { seat: 0, name: 'Hero', cards: ['As', 'Kc'] },
+          { seat: 1, name: 'Alice', cards: ['Ac', 'Ks'] },
+        ],
+        potResults: [{ amount: 200 }],
+      },
+    };
+    const waiting = { ...showdown, phase: 'WAITING' };
+
+    const { written } = record([river, showdown, waiting]);
+    assert.equal(written.length, 1);
+    const text = written[0].text;
+    assert.ok(text.includes('*** FLOP *** [Ad 7c 2d]\n*** TURN *** [Ad 7c 2d] [Kh]\n*** RIVER *** [Ad 7c 2d Kh] [3s]'));
+    assert.ok(text.includes('*** SHOW DOWN ***\nHero: shows [As Kc] (two pair, aces and kings)\nAlice: shows [Ac Ks] (two pair, aces and kings)'));
+    assert.ok(text.includes('Hero collected 100 from pot\nAlice collected 100 from pot'));
+  });
+
+  it('records cards shown on the table before the result', () => {
+    const river = makeView({ phase: 'RIVER', boardCards: ['Ad', '7c', '2d', 'Kh', '3s'] });
+    const shown = makeView({
+      phase: 'RIVER',
+      boardCards: ['Ad', '7c', '2d', 'Kh', '3s'],
+      players: [player(0, 'Hero', { status: 'all_in' }), player(1, 'Alice', { status: 'all_in', cards: ['7h', '7d'] })],
+    });
+    const next = makeView({ handNumber: 8, lastHandResult: { winners: [1], players: [{ seat: 1, name: 'Alice', chips: 2000 }], potResults: [{ amount: 2000 }] } });
+
+    const { written } = record([river, shown, next]);
+    assert.ok(written[0].text.includes('*** SHOW DOWN ***\nAlice: shows [7h 7d] (three of a kind, sevens)'));
+  });
+
+  it('heads every street when the board runs out at once', () => {
+    const preflop = makeView();
+    const runout = makeView({ boardCards: ['Ad', '7c', '2d', 'Kh', '3s'], phase: 'RIVER' });
+    const { recorder } = record([preflop, runout]);
+    const streetLines = recorder.current().lines.filter(l => l.startsWith('***'));
+    assert.equal(streetLines.length, 3);
+  });
+
+  it('does not start a hand from a WAITING state', () => {
+    const { recorder } = record([makeView({ phase: 'WAITING' })]);
+    assert.equal(recorder.current(), null);
+  });
+});
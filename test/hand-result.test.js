@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { potShares, readHandResult } from '../hand-result.js';
+import { createTranslator } from '../messages.js';
+
+const BOARD = ['Qh', '7s', '2s', '9d', '3s'];
+
+// Three-way all-in: Hero (short) wins the main pot, Bob takes the side pot
+function threeWay(extra = {}) {
+  return {
+    winners: [0, 2],
+    players: [
+      { seat: 0, name: 'Hero', chips: 900, cards: ['As', 'Ks'] },
+      { seat: 1, name: 'Alice', chips: 0, cards: ['Jc', 'Jd'] },
+      { seat: 2, name: 'Bob', chips: 1100, cards: ['Qs', 'Qd'] },
+    ],
+    potResults: [{ amount: 900, winners: [0] }, { amount: 1000, winners: [2] }],
+    ...extra,
+  };
+}
+
+describe('potShares', () => {
+  it('splits evenly and hands odd chips to the first winners', () => {
+    assert.deepEqual(potShares(600, [1, 3]), [{ seat: 1, amount: 300 }, { seat: 3, amount: 300 }]);
+    assert.deepEqual(potShares(100, [2, 0, 1]).map(s => s.amount), [34, 33, 33]);
+    assert.deepEqual(potShares(100, []), []);
+  });
+});
+
+describe('readHandResult', () => {
+  it('labels main and side pots with their own winners', () => {
+    const { pots } = readHandResult(threeWay(), { yourSeat: 0, board: BOARD });
+    assert.deepEqual(pots.map(p => [p.label, p.amount, p.winners.map(w => w.name)]), [
+      ['main pot', 900, ['Hero']],
+      ['side pot', 1000, ['Bob']],
+    ]);
+    assert.equal(pots[0].winners[0].description, 'flush, ace high');
+  });
+
+  it('numbers side pots when there are several', () => {
+    const result = threeWay({ potResults: [{ amount: 300, winners: [0] }, { amount: 200, winners: [1] }, { amount: 100, winners: [2] }] });
+    assert.deepEqual(readHandResult(result).pots.map(p => p.label), ['main pot', 'side pot 1', 'side pot 2']);
+  });
+
+  it('falls back to the hand-level winners and skips unawarded pots', () => {
+    const result = { winners: [1, 2], players: [{ seat: 1, name: 'Alice', chips: 0 }, { seat: 2, name: 'Bob', chips: 0 }], potResults: [{ amount: 75 }] };
+    const { pots } = readHandResult(result);
+    assert.deepEqual(pots[0].winners.map(w => [w.name, w.amount]), [['Alice', 38], ['Bob', 37]]);
+    assert.deepEqual(readHandResult({ winners: [], potResults: [{ amount: 10 }] }).pots, []);
+  });
+
+  it('names winners missing from the player list by their seat, in the session language', () => {
+    const result = { winners: [3], players: [], potResults: [{ amount: 40 }] };
+    assert.equal(readHandResult(result).pots[0].winners[0].name, 'Seat 4');
+    assert.equal(readHandResult(result, { t: createTranslator('de') }).pots[0].winners[0].name, 'Platz 4');
+  });
+
+  it('lists shown hands, preferring the server description', () => {
+    const result = threeWay();
+    result.players[1].handName = 'pair of jacks';
+    const { shown } = readHandResult(result, { board: BOARD });
+    assert.deepEqual(shown.map(p => [p.name, p.description, p.won]), [
+      ['Hero', 'flush, ace high', 900],
+      ['Alice', 'pair of jacks', 0],
+      ['Bob', 'three of a kind, queens', 1000],
+    ]);
+  });
+
+  it('reads our stack from the result, or the fallback when we are not listed', () => {
+    assert.equal(readHandResult(threeWay(), { yourSeat: 0 }).yourStack, 900);
+    const absent = readHandResult({ winners: [1], players: [], potResults: [{ amount: 80 }] }, { yourSeat: 0, fallbackStack: 960 });
+    assert.equal(absent.yourStack, 960);
+  });
+});
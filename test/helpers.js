@@ -0,0 +1,27 @@
+/**
+ * PlayerView fixtures shared by the module tests. Each test file layers its
+ * own table on top of `makeView`, so a change to the view shape lands here once.
+ */
+
+export function player(seat, name, overrides = {}) {
+  return { seat, name, chips: 1000, bet: 0, invested: 0, status: 'active', isCurrentActor: false, ...overrides };
+}
+
+/** Heads-up preflop, Hero (seat 0) on the button posting the small blind. */
+export function makeView(overrides = {}) {
+  return {
+    handNumber: 1,
+    phase: 'PREFLOP',
+    pot: 30,
+    boardCards: [],
+    yourSeat: 0,
+    dealerSeat: 0,
+    forcedBets: { smallBlind: 10, bigBlind: 20, ante: 0 },
+    players: [
+      player(0, 'Hero', { chips: 990, bet: 10, invested: 10 }),
+      player(1, 'Alice', { chips: 980, bet: 20, invested: 20 }),
+    ],
+    lastHandResult: null,
+    ...overrides,
+  };
+}
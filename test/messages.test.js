@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createTranslator, LOCALES } from '../messages.js';
+
+const catalogue = locale => JSON.parse(readFileSync(new URL(`../locales/${locale}.json`, import.meta.url), 'utf8'));
+
+describe('createTranslator', () => {
+  it('fills placeholders and leaves unknown ones alone', () => {
+    const t = createTranslator('en');
+    assert.equal(t('event.fold', { hdr: '**[Hand #2]**', name: 'Bob' }), '**[Hand #2]** Bob folded');
+    assert.equal(t('event.fold', { name: 'Bob' }), '{hdr} Bob folded');
+  });
+
+  it('picks the plural form from count', () => {
+    const en = createTranslator('en');
+    assert.equal(en('recap.hands', { count: 1 }), '1 hand');
+    assert.equal(en('recap.hands', { count: 12 }), '12 hands');
+    assert.equal(createTranslator('de')('recap.hands', { count: 2 }), '2 Hände');
+  });
+
+  it('groups large numbers for the locale but leaves four digits alone', () => {
+    const en = createTranslator('en');
+    const es = createTranslator('es');
+    assert.equal(en('result.stack', { stack: 1030 }), 'Stack: 1030.');
+    assert.equal(en('result.stack', { stack: 12500 }), 'Stack: 12,500.');
+    assert.equal(es('result.stack', { stack: 12500 }), 'Fichas: 12.500.');
+    assert.equal(es.signed(-12500), '-12.500');
+    assert.equal(en.signed(0), '±0');
+  });
+
+  it('falls back to English, then to the key', () => {
+    const de = createTranslator('de');
+    assert.equal(de('no.such.key'), 'no.such.key');
+    assert.equal(de.locale, 'de');
+  });
+
+  it('rejects an unknown locale', () => {
+    assert.throws(() => createTranslator('fr'), /Unknown locale "fr"/);
+  });
+
+  it('has every English key in every locale, with the same placeholders', () => {
+    const placeholders = value => JSON.stringify(value).match(/\{\w+\}/g)?.sort() ?? [];
+    const en = catalogue('en');
+    for (const locale of LOCALES) {
+      const messages = catalogue(locale);
+      for (const key of Object.keys(en)) {
+        assert.ok(key in messages, `${locale} is missing ${key}`);
+        assert.deepEqual([...new Set(placeholders(messages[key]))], [...new Set(placeholders(en[key]))], `${locale} ${key}`);
+      }
+    }
+  });
+});
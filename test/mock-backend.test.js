@@ -0,0 +1,233 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMockBackend, MOCK_API_KEY, SCENARIOS } from '../mock-backend.js';
+import { createPokerListener, fetchGameMode } from '../poker-listener.js';
+
+// The listener's SSE client; end-to-end tests need it installed
+const EventSource = await import('eventsource').then(mod => mod.EventSource || mod.default, () => null);
+const needsEventSource = EventSource ? {} : { skip: 'eventsource package not installed' };
+
+const LISTENER = fileURLToPath(new URL('../poker-listener.js', import.meta.url));
+
+async function withBackend(options, fn) {
+  const backend = createMockBackend(options);
+  const url = await backend.listen();
+  try {
+    return await fn(backend, url);
+  } finally {
+    await backend.close();
+  }
+}
+
+function api(url, path, { method = 'GET', key = MOCK_API_KEY, body } = {}) {
+  return fetch(`${url}${path}`, {
+    method,
+    headers: { 'x-api-key': key, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+}
+
+/** Read a raw SSE stream to its end as [{event, data}]. */
+async function readStream(url, tableId) {
+  const resp = await fetch(`${url}/api/game/${tableId}/stream?token=${MOCK_API_KEY}`);
+  const text = await resp.text();
+  return text.trim().split('\n\n').map(block => {
+    const lines = block.split('\n');
+    return {
+      event: lines.find(l => l.startsWith('event: ')).slice(7),
+      data: JSON.parse(lines.find(l => l.startsWith('data: ')).slice(6)),
+    };
+  });
+}
+
+function collectingTransport() {
+  const sent = [];
+  return { sent, transport: { name: 'test', send: async (text) => { sent.push(text); } } };
+}
+
+/** Run an embedded listener to the end of the backend's scenario. */
+function playScenario(url, { tableId = 'e2e', engine = 'rules', ...options } = {}) {
+  const { sent, transport } = collectingTransport();
+  const listener = createPokerListener({ backendUrl: url, apiKey: MOCK_API_KEY, tableId, transport, engine, EventSource, ...options });
+  const outputs = [];
+  const record = type => output => outputs.push({ ...output, type });
+  for (const type of ['EVENT', 'YOUR_TURN', 'HAND_RESULT', 'TABLE_CLOSED', 'ACTION_ADJUSTED', 'ACTION_REJECTED', 'ACTION_RETRY', 'ACTION_SUBMIT_ERROR']) {
+    listener.on(type, record(type));
+  }
+  return new Promise((resolve) => {
+    listener.on('end', ({ exitCode }) => resolve({ exitCode, outputs, sent }));
+    listener.start();
+  });
+}
+
+// ─── HTTP endpoints ─────────────────────────────────────────────────
+
+describe('mock backend endpoints', () => {
+  let backend;
+  let url;
+  before(async () => {
+    backend = createMockBackend({ scenario: 'table-close', balance: 1500 });
+    url = await backend.listen();
+  });
+  after(() => backend.close());
+
+  it('rejects a wrong API key', async () => {
+    const resp = await api(url, '/api/chips/balance', { key: 'nope' });
+    assert.equal(resp.status, 401);
+  });
+
+  it('reports the chip balance', async () => {
+    const resp = await api(url, '/api/chips/balance');
+    assert.deepEqual(await resp.json(), { balance: 1500 });
+  });
+
+  it('serves game modes in the shape fetchGameMode reads', async () => {
+    const mode = await fetchGameMode(url, MOCK_API_KEY, 'nlh-25-50');
+    assert.equal(mode.forcedBets.bigBlind, 50);
+  });
+
+  it('seats lobby joins at a fresh table', async () => {
+    const first = await (await api(url, '/api/lobby/join', { method: 'POST', body: { gameModeId: 'nlh-10-20' } })).json();
+    const second = await (await api(url, '/api/lobby/join', { method: 'POST', body: { gameModeId: 'nlh-10-20' } })).json();
+    assert.equal(first.status, 'seated');
+    assert.notEqual(first.tableId, second.tableId);
+    const unknown = await api(url, '/api/lobby/join', { method: 'POST', body: { gameModeId: 'omaha' } });
+    assert.equal(unknown.status, 400);
+  });
+
+  it('accepts rebuy and leave', async () => {
+    assert.deepEqual(await (await api(url, '/api/game/t-rebuy/rebuy', { method: 'POST' })).json(), { status: 'ok', chips: 1000 });
+    assert.deepEqual(await (await api(url, '/api/game/t-leave/leave', { method: 'POST' })).json(), { status: 'pending_leave' });
+  });
+
+  it('refuses actions out of turn', async () => {
+    const resp = await api(url, '/api/game/t-idle/action', { method: 'POST', body: { action: 'call' } });
+    assert.equal(resp.status, 400);
+    assert.equal(await resp.text(), 'Not your turn');
+  });
+
+  it('streams the scenario as SSE and then closes the table', async () => {
+    const events = await readStream(url, 't-stream');
+    assert.deepEqual(events.map(e => e.event), ['state', 'state', 'closed']);
+    assert.equal(events[1].data.players[2].status, 'folded');
+    const gone = await api(url, '/api/game/t-stream/action', { method: 'POST', body: { action: 'fold' } });
+    assert.equal(gone.status, 404);
+  });
+});
+
+describe('createMockBackend', () => {
+  it('rejects unknown scenarios', () => {
+    assert.throws(() => createMockBackend({ scenario: 'nope' }), /Unknown scenario "nope"/);
+  });
+
+  it('every scenario ends by closing the table', () => {
+    for (const [name, build] of Object.entries(SCENARIOS)) {
+      assert.deepEqual(build().at(-1), { closed: true }, name);
+    }
+  });
+
+  it('validates actions against the available ones', async () => {
+    const steps = SCENARIOS['fast-transition']();
+    await withBackend({ steps }, async (backend, url) => {
+      const stream = readStream(url, 't1');
+      // Wait for the first state to be pushed before acting
+      while (!backend.requests.some(r => r.path.endsWith('/stream'))) await new Promise(r => setTimeout(r, 10));
+      const tooSmall = await api(url, '/api/game/t1/action', { method: 'POST', body: { action: 'raise', amount: 5 } });
+      assert.equal(await tooSmall.text(), 'Amount must be between 40 and 1000');
+      const ok = await api(url, '/api/game/t1/action', { method: 'POST', body: { action: 'raise', amount: 60 } });
+      assert.equal(ok.status, 200);
+      assert.deepEqual((await stream).map(e => e.event), ['state', 'state', 'closed']);
+      assert.deepEqual(backend.actions.map(a => a.rejected ?? 'ok'), ['Amount must be between 40 and 1000', 'ok']);
+    });
+  });
+});
+
+// ─── End to end ─────────────────────────────────────────────────────
+
+describe('listener against the mock backend', () => {
+  it('fast-transition: acts, then narrates the folds and the result', needsEventSource, async () => {
+    await withBackend({ scenario: 'fast-transition' }, async (backend, url) => {
+      const { exitCode, outputs, sent } = await playScenario(url);
+      assert.equal(exitCode, 0);
+      assert.deepEqual(backend.actions.map(a => a.action), ['raise']);
+      assert.ok(sent.includes('**[Hand #1]** Alice folded'));
+      assert.ok(sent.includes('**[Hand #1]** Bob folded'));
+      assert.ok(sent.includes('**[Hand #1]** Hero won 90. Stack: 1030 (+30).'));
+      assert.ok(sent.includes('**[Hand #2]** Button moves to Alice'));
+      assert.ok(sent.includes('**[Hand #2]** Bob posts small blind 10 \u00b7 You post big blind 20'));
+      assert.equal(sent.at(-2), 'Session recap: 1 hand in 0m. Net +30 (1000 → 1030). Won 1 (0 at showdown). Biggest pot won 90, lost 0.');
+      assert.equal(sent.at(-1), 'Table closed.');
+      assert.equal(outputs.at(-1).type, 'TABLE_CLOSED');
+    });
+  });
+
+  it('rejected-action: retries the offered action once', needsEventSource, async () => {
+    await withBackend({ scenario: 'rejected-action' }, async (backend, url) => {
+      const { outputs, sent } = await playScenario(url);
+      assert.deepEqual(backend.actions.map(a => [a.action, a.amount ?? null, a.rejected ?? null]), [['raise', 60, 'Server busy'], ['raise', 60, null]]);
+      assert.deepEqual(outputs.filter(o => o.type.startsWith('ACTION_')).map(o => o.type), ['ACTION_REJECTED', 'ACTION_RETRY']);
+      assert.ok(sent.includes('raise was rejected: Server busy — trying it again.'));
+      assert.ok(!sent.some(text => text.startsWith('The server applied')));
+      assert.ok(!sent.some(text => text.startsWith('Action rejected')));
+    });
+  });
+
+  it('all-in-runout: narrates the board and the showdown', needsEventSource, async () => {
+    await withBackend({ scenario: 'all-in-runout' }, async (backend, url) => {
+      const { outputs, sent } = await playScenario(url);
+      assert.equal(backend.actions.length, 1);
+      assert.ok(sent.includes('**[Hand #1]** Alice shows K\u2665 K\u2663 (pocket kings)'));
+      assert.ok(sent.some(text => /^\*\*\[Hand #1\]\*\* All-in and called — running it out · Equity: You \d+%, Alice \d+%$/.test(text)));
+      assert.ok(sent.some(text => text.startsWith('**[Hand #1]** Turn: 9\u2665') && text.includes('Equity: You')));
+      assert.equal(outputs.filter(o => o.type === 'HAND_RESULT').length, 1);
+      assert.ok(sent.some(text => text.includes('Hero won 2020')));
+    });
+  });
+
+  it('leave takes effect before the next hand', needsEventSource, async () => {
+    await withBackend({ scenario: 'fast-transition' }, async (backend, url) => {
+      await api(url, '/api/game/e2e/leave', { method: 'POST' });
+      const { outputs } = await playScenario(url);
+      assert.equal(outputs.some(o => o.type === 'HAND_RESULT'), false);
+      assert.equal(outputs.at(-1).type, 'TABLE_CLOSED');
+    });
+  });
+
+  it('runs the CLI end to end and exits when the table closes', needsEventSource, async () => {
+    const stateDir = mkdtempSync(join(tmpdir(), 'poker-e2e-'));
+    // An empty config file keeps a local poker-config.json out of the run
+    writeFileSync(join(stateDir, 'poker-config.json'), '{}');
+    try {
+      await withBackend({ scenario: 'fast-transition' }, async (backend, url) => {
+        const { code, stdout } = await new Promise((resolve) => {
+          const child = execFile(process.execPath, [...process.execArgv, LISTENER,
+            '--backend-url', url, '--api-key', MOCK_API_KEY, '--tables', 'cli', '--transport', 'stdout', '--engine', 'rules',
+            '--config', join(stateDir, 'poker-config.json')],
+          { env: { ...process.env, POKER_STATE_DIR: stateDir }, timeout: 20000 },
+          (err, out) => resolve({ code: err ? err.code : 0, stdout: out }));
+          child.stdin?.end();
+        });
+        const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+        const messages = lines.filter(l => l.type === 'MESSAGE').map(l => l.text);
+
+        assert.equal(code, 0);
+        assert.deepEqual(backend.actions.map(a => a.action), ['raise']);
+        assert.ok(messages.includes('**[Hand #1]** Alice folded'));
+        assert.equal(messages.at(-1), 'Table closed.');
+
+        const context = JSON.parse(readFileSync(join(stateDir, 'poker-game-context.json'), 'utf8'));
+        assert.equal(context.active, false);
+        assert.equal(context.tableClosed, true);
+        assert.deepEqual([context.session.handsPlayed, context.session.net], [1, 30]);
+        assert.match(readFileSync(join(stateDir, 'hand-history', 'cli.txt'), 'utf8'), /Hand #1/);
+      });
+    } finally {
+      rmSync(stateDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpponentTracker, summarizeStats, formatStatsLine } from '../opponent-stats.js';
+import { player } from './helpers.js';
+
+function view(handNumber, phase, boardCards, players) {
+  return { handNumber, phase, boardCards, yourSeat: 0, players };
+}
+
+const FLOP = ['Ad', '7c', '2d'];
+
+// Hand 1: Alice opens, Bob 3-bets, Alice calls, Hero folds; Bob c-bets, Alice folds.
+const hand1 = [
+  view(1, 'PREFLOP', [], [player(0, 'Hero', { bet: 10 }), player(1, 'Alice', { bet: 0 }), player(2, 'Bob', { bet: 20 })]),
+  view(1, 'PREFLOP', [], [player(0, 'Hero', { bet: 10 }), player(1, 'Alice', { bet: 60 }), player(2, 'Bob', { bet: 20 })]),
+  view(1, 'PREFLOP', [], [player(0, 'Hero', { bet: 10 }), player(1, 'Alice', { bet: 60 }), player(2, 'Bob', { bet: 180 })]),
+  view(1, 'PREFLOP', [], [player(0, 'Hero', { bet: 10, status: 'folded' }), player(1, 'Alice', { bet: 180 }), player(2, 'Bob', { bet: 180 })]),
+  view(1, 'FLOP', FLOP, [player(0, 'Hero', { status: 'folded' }), player(1, 'Alice'), player(2, 'Bob')]),
+  view(1, 'FLOP', FLOP, [player(0, 'Hero', { status: 'folded' }), player(1, 'Alice'), player(2, 'Bob', { bet: 120 })]),
+  view(1, 'FLOP', FLOP, [player(0, 'Hero', { status: 'folded' }), player(1, 'Alice', { status: 'folded' }), player(2, 'Bob', { bet: 120 })]),
+];
+
+// Hand 2: everyone checks it down to showdown.
+const hand2 = [
+  view(2, 'FLOP', FLOP, [player(0, 'Hero'), player(1, 'Alice', { isCurrentActor: true }), player(2, 'Bob')]),
+  view(2, 'FLOP', FLOP, [player(0, 'Hero'), player(1, 'Alice'), player(2, 'Bob', { isCurrentActor: true })]),
+  view(2, 'SHOWDOWN', [...FLOP, 'Kh', '3s'], [player(0, 'Hero'), player(1, 'Alice'), player(2, 'Bob')]),
+];
+
+describe('createOpponentTracker', () => {
+  it('tracks preflop and postflop tendencies per player', () => {
+    const tracker = createOpponentTracker();
+    const committed = [...hand1, ...hand2].map(v => tracker.observe(v));
+
+    // Hand 1 commits on the hand change, hand 2 at showdown
+    assert.equal(committed.filter(Boolean).length, 2);
+
+    const alice = tracker.toJSON().Alice;
+    assert.equal(alice.hands, 2);
+    assert.equal(alice.vpip, 1);
+    assert.equal(alice.pfr, 1);
+    assert.equal(alice.threeBetOpp, 0);
+    assert.equal(alice.cbetFaced, 1);
+    assert.equal(alice.cbetFolded, 1);
+    assert.equal(alice.sawFlop, 2);
+    assert.equal(alice.showdowns, 1);
+
+    const bob = tracker.toJSON().Bob;
+    assert.equal(bob.threeBetOpp, 1);
+    assert.equal(bob.threeBet, 1);
+    assert.equal(bob.bets, 1);
+
+    assert.equal(tracker.toJSON().Hero, undefined, 'our own seat is not tracked');
+  });
+
+  it('keeps the hands opponents show down', () => {
+    const tracker = createOpponentTracker();
+    for (const v of hand2.slice(0, 2)) tracker.observe(v);
+    const showdown = view(2, 'SHOWDOWN', [...FLOP, 'Kh', '3s'], [player(0, 'Hero'), player(1, 'Alice', { cards: ['Ks', 'Kd'] }), player(2, 'Bob')]);
+    showdown.lastHandResult = { winners: [1], players: [{ seat: 2, name: 'Bob', cards: ['Ac', '7h'] }], potResults: [{ amount: 60 }] };
+    tracker.observe(showdown);
+
+    assert.deepEqual(tracker.toJSON().Alice.shown, [{ hand: 'KK', made: 'set of kings' }]);
+    assert.deepEqual(tracker.toJSON().Bob.shown, [{ hand: 'A7o', made: 'two pair, aces and sevens' }]);
+    assert.match(tracker.line('Alice'), / \| Showed: KK \(set of kings\)$/);
+  });
+
+  it('takes shown hands from the result when the hand number moves on', () => {
+    const tracker = createOpponentTracker();
+    for (const v of hand2.slice(0, 2)) tracker.observe(v);
+    const next = view(3, 'PREFLOP', [], [player(0, 'Hero'), player(1, 'Alice'), player(2, 'Bob')]);
+    next.lastHandResult = { winners: [2], boardCards: [...FLOP, 'Kh', '3s'], players: [{ seat: 2, name: 'Bob', cards: ['7s', '7d'] }], potResults: [{ amount: 60 }] };
+    tracker.observe(next);
+    assert.deepEqual(tracker.toJSON().Bob.shown, [{ hand: '77', made: 'set of sevens' }]);
+  });
+
+  it('counts a showdown when the hand number moves on with revealed cards', () => {
+    const tracker = createOpponentTracker();
+    for (const v of hand2.slice(0, 2)) tracker.observe(v);
+    const next = view(3, 'PREFLOP', [], [player(0, 'Hero'), player(1, 'Alice'), player(2, 'Bob')]);
+    next.lastHandResult = { winners: [2], boardCards: [...FLOP, 'Kh', '3s'], players: [{ seat: 2, name: 'Bob', cards: ['7s', '7d'] }], potResults: [{ amount: 60 }] };
+    tracker.observe(next);
+    assert.equal(tracker.toJSON().Alice.showdowns, 1);
+    assert.equal(tracker.toJSON().Bob.showdowns, 1);
+    assert.equal(tracker.toJSON().Bob.sawFlop, 1);
+  });
+
+  it('counts no showdown when the hand moves on with nothing revealed', () => {
+    const tracker = createOpponentTracker();
+    for (const v of hand2.slice(0, 2)) tracker.observe(v);
+    tracker.observe(view(3, 'PREFLOP', [], [player(0, 'Hero'), player(1, 'Alice'), player(2, 'Bob')]));
+    assert.equal(tracker.toJSON().Bob.showdowns, 0);
+  });
+
+  it('continues from persisted counters', () => {
+    const tracker = createOpponentTracker({ Alice: { hands: 10, vpip: 5 } });
+    for (const v of hand1) tracker.observe(v);
+    tracker.observe(view(2, 'PREFLOP', [], []));
+    assert.equal(tracker.toJSON().Alice.hands, 11);
+    assert.equal(tracker.toJSON().Alice.vpip, 6);
+    assert.equal(tracker.stats('Nobody'), null);
+  });
+
+  it('shares counters with trackers for other tables', () => {
+    const tableA = createOpponentTracker();
+    const tableB = tableA.forTable();
+    // Interleave the two tables' states; each follows its own hand
+    hand1.forEach((v, i) => {
+      tableA.observe(v);
+      if (hand2[i]) tableB.observe(hand2[i]);
+    });
+    tableA.observe(view(2, 'PREFLOP', [], []));
+    assert.equal(tableA.toJSON().Alice.hands, 2);
+    assert.equal(tableB.toJSON(), tableA.toJSON());
+  });
+});
+
+describe('summarizeStats', () => {
+  it('derives frequencies and aggression factor', () => {
+    const s = summarizeStats({
+      hands: 20, vpip: 5, pfr: 4, threeBetOpp: 4, threeBet: 1,
+      bets: 3, raises: 3, calls: 4, cbetFaced: 5, cbetFolded: 3, sawFlop: 8, showdowns: 2,
+    });
+    assert.equal(s.vpip, 0.25);
+    assert.equal(s.pfr, 0.2);
+    assert.equal(s.threeBet, 0.25);
+    assert.equal(s.af, 1.5);
+    assert.equal(s.foldToCbet, 0.6);
+    assert.equal(s.wtsd, 0.25);
+  });
+
+  it('returns null for stats without a sample', () => {
+    const s = summarizeStats({ hands: 0, vpip: 0, pfr: 0, threeBetOpp: 0, threeBet: 0, bets: 0, raises: 0, calls: 0, cbetFaced: 0, cbetFolded: 0, sawFlop: 0, showdowns: 0 });
+    assert.equal(s.vpip, null);
+    assert.equal(s.af, null);
+  });
+});
+
+describe('formatStatsLine', () => {
+  it('renders a compact HUD line', () => {
+    const line = formatStatsLine('Alice', {
+      hands: 42, vpip: 21, pfr: 10, threeBetOpp: 10, threeBet: 1,
+      bets: 4, raises: 1, calls: 2, cbetFaced: 0, cbetFolded: 0, sawFlop: 10, showdowns: 3,
+    });
+    assert.equal(line, 'Alice (42 hands): VPIP 50% PFR 24% 3B 10% AF 2.5 FtCB – WTSD 30%');
+  });
+});
@@ -1,15 +1,39 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { chmodSync, existsSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import {
   processStateEvent,
   processClosedEvent,
-  parseDirectArgs,
   createEventBatcher,
   buildDecisionPrompt,
   buildSummary,
   readStrategyOverride,
   buildHandResultSummary,
+  reconcileReconnect,
+  deadlineDelay,
+  deadlineFallbackAction,
+  fetchGameMode,
+  createTableSession,
+  tagMessage,
+  contextFilePath,
+  parseTableIds,
+  createPokerListener,
+  createOutbox,
+  replayRecording,
+  resolveStrategyProfile,
+  compareSelfAction,
+  formatSelfActionMismatch,
+  sendDecision,
 } from '../poker-listener.js';
+import { PROFILES } from '../strategy-profiles.js';
+import { readRecording } from '../replay.js';
+import { computeStackMetrics } from '../stack-metrics.js';
+import { createTranslator } from '../messages.js';
+import { createSessionStats } from '../session-stats.js';
 
 /**
  * Factory to build a PlayerView with sensible defaults.
@@ -211,6 +235,73 @@ describe('processStateEvent — REBUY_AVAILABLE', () => {
   });
 });
 
+describe('processStateEvent — WAITING_FOR_PLAYERS', () => {
+  it('waits while fewer than two seated players can play', () => {
+    const prevView = makeView({ phase: 'WAITING' });
+    const ctx = makeContext({ prevState: prevView, prevPhase: 'WAITING' });
+    const players = prevView.players.map(p => (p.seat === 0 ? p : { ...p, status: p.seat === 1 ? 'sitting_out' : 'busted' }));
+
+    const result = processStateEvent(makeView({ phase: 'WAITING', players }), ctx);
+    assert.ok(result.some(o => o.type === 'WAITING_FOR_PLAYERS'));
+    assert.ok(result.some(o => o.message === '**[Hand #1]** Alice is sitting out'));
+    assert.equal(processStateEvent(makeView({ phase: 'WAITING', players }), ctx).length, 0, 'only once');
+  });
+});
+
+describe('processStateEvent — SELF_ACTION', () => {
+  const facing = () => makeView({ isYourTurn: true, players: makeView().players.map(p => ({ ...p, isCurrentActor: p.seat === 0 })) });
+
+  it('reports our action as the server applied it', () => {
+    const ctx = makeContext();
+    processStateEvent(facing(), ctx);
+    const raised = makeView({ players: makeView().players.map(p => (p.seat === 0 ? { ...p, chips: 920, bet: 60, invested: 60 } : p)) });
+    const outputs = processStateEvent(raised, ctx);
+    assert.deepEqual(outputs.filter(o => o.type === 'SELF_ACTION'), [
+      { type: 'SELF_ACTION', handNumber: 1, phase: 'PREFLOP', action: 'raise', amount: 60, chips: 920 },
+    ]);
+  });
+
+  it('sees the call that closes a street through the chips invested', () => {
+    const ctx = makeContext();
+    processStateEvent(facing(), ctx);
+    const flop = makeView({
+      phase: 'FLOP', boardCards: ['2s', '7h', '9d'], pot: 40,
+      players: makeView().players.map(p => ({ ...p, chips: 980, bet: 0, invested: 20 })),
+    });
+    const self = processStateEvent(flop, ctx).find(o => o.type === 'SELF_ACTION');
+    assert.deepEqual({ action: self.action, amount: self.amount, phase: self.phase }, { action: 'call', amount: 20, phase: 'PREFLOP' });
+  });
+
+  it('does not report opponents as our own', () => {
+    const ctx = makeContext();
+    processStateEvent(makeView(), ctx);
+    const outputs = processStateEvent(makeView({ players: makeView().players.map(p => (p.seat === 1 ? { ...p, status: 'folded' } : p)) }), ctx);
+    assert.equal(outputs.some(o => o.type === 'SELF_ACTION'), false);
+  });
+});
+
+describe('compareSelfAction', () => {
+  it('agrees when the server applied what we submitted', () => {
+    assert.equal(compareSelfAction({ action: 'call', amount: 20 }, { action: 'call', amount: null }), null);
+    assert.equal(compareSelfAction({ action: 'raise', amount: 60 }, { action: 'bet', amount: 60 }), null);
+    assert.equal(compareSelfAction({ action: 'all_in', amount: 970 }, { action: 'raise', amount: 970 }), null);
+  });
+
+  it('names what differs', () => {
+    assert.equal(compareSelfAction({ action: 'fold', amount: null }, null), 'timeout');
+    assert.equal(compareSelfAction({ action: 'call', amount: 20 }, { action: 'raise', amount: 60 }), 'action');
+    assert.equal(compareSelfAction({ action: 'raise', amount: 80 }, { action: 'raise', amount: 60 }), 'amount');
+    assert.equal(compareSelfAction({ action: 'all_in', amount: 970 }, { action: 'check', amount: null }), 'action');
+  });
+
+  it('formats a chat line for each case', () => {
+    assert.equal(formatSelfActionMismatch({ reason: 'timeout', submitted: null, applied: { action: 'fold', amount: null } }),
+      'Clock ran out \u2014 the server applied fold for us.');
+    assert.equal(formatSelfActionMismatch({ reason: 'action', submitted: { action: 'raise', amount: 60 }, applied: { action: 'call', amount: 20 } }),
+      'The server applied call 20, not our raise 60.');
+  });
+});
+
 // ─── Hand transition detection ──────────────────────────────────────
 
 describe('processStateEvent — hand transitions', () => {
@@ -238,6 +329,64 @@ describe('processStateEvent — hand transitions', () => {
     assert.equal(handResults[0].handNumber, 1, 'should report previous hand number');
   });
 
+  it('reports cards shown in a result that arrives with the next hand', () => {
+    const ctx = makeContext();
+    processStateEvent(makeView({ phase: 'RIVER', boardCards: ['Qh', '7c', '2d', '9s', '3h'] }), ctx);
+    const outputs = processStateEvent(makeView({
+      handNumber: 2,
+      lastHandResult: { winners: [0], players: [{ seat: 1, name: 'Alice', cards: ['Qs', 'Qd'] }], potResults: [{ amount: 60 }] },
+    }), ctx);
+    const events = outputs.filter(o => o.type === 'EVENT').map(o => o.message);
+    assert.ok(events.includes('**[Hand #1]** Alice shows Q\u2660 Q\u2666 (set of queens)'));
+    assert.ok(!events.includes('**[Hand #1]** Alice folded'), 'a player who showed did not fold');
+  });
+
+  it('runs out the board from a result that arrives with the next hand', () => {
+    const ctx = makeContext();
+    const board = ['Ks', '7d', '2c', '9h', '3s'];
+    const facing = makeView({
+      isYourTurn: true,
+      players: [
+        { seat: 0, name: 'Hero', chips: 970, bet: 10, invested: 10, status: 'active' },
+        { seat: 1, name: 'Alice', chips: 0, bet: 1000, invested: 1000, status: 'all_in' },
+      ],
+    });
+    processStateEvent(facing, ctx);
+    const outputs = processStateEvent(makeView({
+      handNumber: 2,
+      lastHandResult: { winners: [0], boardCards: board, players: [{ seat: 1, name: 'Alice', cards: ['Kh', 'Kc'] }], potResults: [{ amount: 2000 }] },
+    }), ctx);
+    const events = outputs.filter(o => o.type === 'EVENT' && o.handNumber === 1).map(o => o.message.split(' · ')[0].split(' |')[0]);
+    assert.deepEqual(events, [
+      '**[Hand #1]** Alice shows K\u2665 K\u2663 (set of kings)',
+      '**[Hand #1]** All-in and called — running it out',
+      '**[Hand #1]** Flop: K\u2660 7\u2666 2\u2663',
+      '**[Hand #1]** Turn: 9\u2665 \u2192 K\u2660 7\u2666 2\u2663 9\u2665',
+      '**[Hand #1]** River: 3\u2660 \u2192 K\u2660 7\u2666 2\u2663 9\u2665 3\u2660',
+    ]);
+    assert.match(outputs.find(o => o.message?.includes('running it out')).message, /Equity: You \d+%, Alice \d+%$/);
+    const river = outputs.findIndex(o => o.message?.includes('River:'));
+    assert.ok(outputs.findIndex(o => o.type === 'HAND_RESULT') > river, 'runout comes before the result');
+  });
+
+  it('carries the board and the session stats\' stack change on HAND_RESULT', () => {
+    const ctx = makeContext({ sessionStats: createSessionStats() });
+    processStateEvent(makeView({ handNumber: 4 }), ctx);
+    processStateEvent(makeView({ handNumber: 4, phase: 'RIVER', boardCards: ['2c', '3d', '4h', '5s', '9c'] }), ctx);
+    const lastHandResult = { winners: [0], players: [{ seat: 0, name: 'Hero', chips: 1040 }], potResults: [{ amount: 60 }] };
+    const result = processStateEvent(makeView({ handNumber: 5, lastHandResult }), ctx).find(o => o.type === 'HAND_RESULT');
+    assert.deepEqual([result.handNumber, result.stack, result.delta, result.board.length], [4, 1040, 60, 5]);
+  });
+
+  it('gives no stack change for a hand we did not play from the start', () => {
+    const ctx = makeContext({ sessionStats: createSessionStats() });
+    const sittingOut = makeView().players.map(p => (p.seat === 0 ? { ...p, status: 'sitting_out' } : p));
+    processStateEvent(makeView({ handNumber: 4, players: sittingOut }), ctx);
+    const lastHandResult = { winners: [1], players: [{ seat: 0, name: 'Hero', chips: 1000 }], potResults: [{ amount: 60 }] };
+    const result = processStateEvent(makeView({ handNumber: 5, lastHandResult }), ctx).find(o => o.type === 'HAND_RESULT');
+    assert.deepEqual([result.stack, result.delta], [null, null]);
+  });
+
   it('does not re-emit HAND_RESULT for already-reported hand', () => {
     const prevView = makeView({ handNumber: 1, phase: 'PREFLOP' });
     const ctx = makeContext({ prevState: prevView, prevPhase: 'PREFLOP', lastReportedHand: 1 });
@@ -274,6 +423,49 @@ describe('buildHandResultSummary', () => {
     const state = { yourChips: 1000, lastHandResult: null };
     assert.equal(buildHandResultSummary(state, 1), null);
   });
+
+  it('reports every pot, the shown hands and our exact stack change', () => {
+    const state = makeView({
+      phase: 'SHOWDOWN',
+      boardCards: ['Qh', '7s', '2s', '9d', '3s'],
+      lastHandResult: {
+        winners: [0, 2],
+        players: [
+          { seat: 0, name: 'Hero', chips: 900, cards: ['As', 'Ks'] },
+          { seat: 1, name: 'Alice', chips: 0, cards: ['Jc', 'Jd'] },
+          { seat: 2, name: 'Bob', chips: 1100, cards: ['Qs', 'Qd'] },
+        ],
+        potResults: [{ amount: 900, winners: [0] }, { amount: 1000, winners: [2] }],
+      },
+    });
+    assert.equal(buildHandResultSummary(state, 9, { delta: 600 }),
+      '**[Hand #9]** Hero won 900 with flush, ace high (main pot); Bob won 1000 with three of a kind, queens (side pot). '
+      + 'Shown: Hero A\u2660 K\u2660, Alice J\u2663 J\u2666 (pair of jacks), Bob Q\u2660 Q\u2666. Stack: 900 (+600).');
+  });
+
+  it('writes the summary in the session locale', () => {
+    const state = makeView({
+      lastHandResult: {
+        winners: [1],
+        players: [{ seat: 0, name: 'Hero', chips: 10500 }, { seat: 1, name: 'Alice', chips: 14500 }],
+        potResults: [{ amount: 4000, winners: [1] }],
+      },
+    });
+    assert.equal(buildHandResultSummary(state, 4, { delta: -2000, t: createTranslator('de') }),
+      '**[Hand #4]** Alice gewinnt 4000. Chips: 10.500 (-2000).');
+  });
+
+  it('reports split pots with each share', () => {
+    const result = (amount, chips) => ({
+      winners: [0, 1],
+      players: [{ seat: 0, name: 'Hero', chips }, { seat: 1, name: 'Alice', chips: 1000 }],
+      potResults: [{ amount }],
+    });
+    const even = makeView({ phase: 'SHOWDOWN', lastHandResult: result(600, 1000) });
+    assert.equal(buildHandResultSummary(even, 2, { delta: 0 }), '**[Hand #2]** Hero and Alice split 600: 300 each. Stack: 1000 (\u00b10).');
+    const odd = makeView({ phase: 'SHOWDOWN', lastHandResult: result(61, 990) });
+    assert.equal(buildHandResultSummary(odd, 2), '**[Hand #2]** Hero and Alice split 61: Hero 31, Alice 30. Stack: 990.');
+  });
 });
 
 describe('processClosedEvent', () => {
@@ -284,55 +476,186 @@ describe('processClosedEvent', () => {
   });
 });
 
-// ─── parseDirectArgs ────────────────────────────────────────────────
+// ─── reconcileReconnect ─────────────────────────────────────────────
+
+describe('reconcileReconnect', () => {
+  it('returns nothing and keeps state when the same hand continues', () => {
+    const prev = makeView({ handNumber: 4 });
+    const ctx = makeContext({ prevState: prev, prevPhase: 'PREFLOP', lastReportedHand: 3 });
+    const outputs = reconcileReconnect(makeView({ handNumber: 4 }), ctx);
+    assert.deepStrictEqual(outputs, []);
+    assert.equal(ctx.prevState, prev);
+  });
 
-describe('parseDirectArgs — canonical flags', () => {
-  it('parses --channel and --chat-id', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table', '--channel', 'telegram', '--chat-id', '7014171428'];
-    const result = parseDirectArgs(argv);
+  it('reports missed hands and the last result once, then starts fresh', () => {
+    const ctx = makeContext({ prevState: makeView({ handNumber: 4 }), prevPhase: 'FLOP', lastReportedHand: 3 });
+    const view = makeView({ handNumber: 7, lastHandResult: { winners: [1], players: [], potResults: [{ amount: 80 }] } });
 
-    assert.equal(result.enabled, true);
-    assert.equal(result.channel, 'telegram');
-    assert.equal(result.chatId, '7014171428');
+    const outputs = reconcileReconnect(view, ctx);
+    assert.deepStrictEqual(outputs.map(o => o.type), ['HANDS_MISSED', 'HAND_RESULT']);
+    assert.deepStrictEqual({ from: outputs[0].from, to: outputs[0].to }, { from: 4, to: 6 });
+    assert.equal(outputs[1].handNumber, 6);
+    assert.equal(ctx.lastReportedHand, 6);
+
+    // The follow-up processStateEvent must not report hand 4 with hand 6's result
+    const after = processStateEvent(view, ctx);
+    assert.ok(!after.some(o => o.type === 'HAND_RESULT'));
+    assert.ok(after.some(o => o.type === 'EVENT' && o.message.includes('[Hand #7]')));
+  });
+
+  it('gives the missed result its own board and our stack after it', () => {
+    const ctx = makeContext({ sessionStats: createSessionStats() });
+    processStateEvent(makeView({ handNumber: 4, phase: 'FLOP', boardCards: ['2c', '3d', '4h'] }), ctx);
+    const board = ['Ks', 'Qs', '9d', '8c', '2h'];
+    const lastHandResult = { winners: [0], boardCards: board, players: [{ seat: 0, name: 'Hero', chips: 1100 }], potResults: [{ amount: 200 }] };
+    const [, result] = reconcileReconnect(makeView({ handNumber: 7, lastHandResult }), ctx);
+
+    assert.deepEqual(result.board, board);
+    // Hands went by unseen, so there is no single hand's change to report
+    assert.deepEqual([result.stack, result.delta], [1100, null]);
+    assert.equal(buildHandResultSummary(result.state, result.handNumber, result), '**[Hand #6]** Hero won 200. Stack: 1100.');
   });
 
-  it('accepts --target as alias for --chat-id', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table', '--channel', 'telegram', '--target', '12345'];
-    const result = parseDirectArgs(argv);
+  it('lets an unanswered turn fire again after reconnect', () => {
+    const ctx = makeContext();
+    const turn = makeView({ isYourTurn: true, availableActions: [{ type: 'check' }] });
+    processStateEvent(turn, ctx);
 
-    assert.equal(result.enabled, true);
-    assert.equal(result.chatId, '12345');
+    assert.ok(!processStateEvent(turn, ctx).some(o => o.type === 'YOUR_TURN'), 'deduped without reconnect');
+
+    reconcileReconnect(turn, ctx);
+    assert.ok(processStateEvent(turn, ctx).some(o => o.type === 'YOUR_TURN'));
   });
 
-  it('accepts --to as alias for --chat-id', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table', '--channel', 'telegram', '--to', '12345'];
-    const result = parseDirectArgs(argv);
+  it('does not re-fire the turn while a decision is still running', () => {
+    const ctx = makeContext();
+    const turn = makeView({ isYourTurn: true, availableActions: [{ type: 'check' }] });
+    processStateEvent(turn, ctx);
 
-    assert.equal(result.enabled, true);
-    assert.equal(result.chatId, '12345');
+    reconcileReconnect(turn, ctx, { decisionPending: true });
+    assert.ok(!processStateEvent(turn, ctx).some(o => o.type === 'YOUR_TURN'));
   });
+});
 
-  it('returns enabled=false when --channel is missing', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table', '--chat-id', '12345'];
-    const result = parseDirectArgs(argv);
+// ─── Turn deadline ──────────────────────────────────────────────────
 
-    assert.equal(result.enabled, false);
-    assert.equal(result.channel, null);
+describe('deadlineDelay', () => {
+  const config = { deadlineMs: 30000, safetyMarginMs: 5000 };
+
+  it('counts the configured deadline from now when the server gives none', () => {
+    assert.equal(deadlineDelay(makeView({ timeoutAt: null }), config, 1000), 25000);
   });
 
-  it('returns enabled=false when --chat-id is missing', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table', '--channel', 'telegram'];
-    const result = parseDirectArgs(argv);
+  it('prefers the server timeoutAt', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const view = makeView({ timeoutAt: '2026-01-01T00:00:12Z' });
+    assert.equal(deadlineDelay(view, config, now), 7000);
+  });
 
-    assert.equal(result.enabled, false);
-    assert.equal(result.chatId, null);
+  it('never returns a negative delay', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const view = makeView({ timeoutAt: '2026-01-01T00:00:02Z' });
+    assert.equal(deadlineDelay(view, config, now), 0);
   });
+});
 
-  it('returns enabled=false when no flags', () => {
-    const argv = ['node', 'poker-listener.js', 'url', 'key', 'table'];
-    const result = parseDirectArgs(argv);
+describe('deadlineFallbackAction', () => {
+  it('checks when check is available', () => {
+    const view = makeView({ availableActions: [{ type: 'check' }, { type: 'bet', minAmount: 20, maxAmount: 900 }] });
+    assert.equal(deadlineFallbackAction(view).action, 'check');
+  });
 
-    assert.equal(result.enabled, false);
+  it('folds otherwise and narrates it', () => {
+    const decision = deadlineFallbackAction(makeView({ availableActions: [{ type: 'fold' }, { type: 'CALL', amount: 20 }] }));
+    assert.equal(decision.action, 'fold');
+    assert.equal(decision.narration, 'Clock running out \u2014 folded.');
+  });
+});
+
+describe('sendDecision — deadline', () => {
+  it('reports a decision that arrives after the fallback acted', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const posted = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      posted.push(JSON.parse(init.body));
+      return { ok: true };
+    });
+    let answer;
+    const emitted = [];
+    const session = createTableSession('t1', {
+      contextFile: null,
+      emit: obj => emitted.push(obj),
+      outbox: createOutbox({ name: 'test', send: async () => {} }),
+      decide: () => new Promise(resolve => { answer = resolve; }),
+      turnDeadline: { deadlineMs: 1000, safetyMarginMs: 0 },
+    });
+    session.currentHandNumber = 1;
+    session.currentIsYourTurn = true;
+
+    sendDecision(session, 'prompt', { view: makeView({ availableActions: [{ type: 'check' }] }) });
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(1000);
+    answer({ action: 'bet', amount: 40 });
+    await session.lastDecision;
+
+    assert.deepEqual(posted, [{ action: 'check' }]);
+    assert.deepEqual(emitted.map(e => e.type), ['DECISION_DEADLINE_FALLBACK', 'DECISION_TOO_LATE']);
+    assert.deepEqual(emitted[1], { type: 'DECISION_TOO_LATE', action: 'bet', handNumber: 1 });
+  });
+
+  it('checks at once when the decision fails, and says so once', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const posted = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      posted.push(JSON.parse(init.body));
+      return { ok: true };
+    });
+    const sent = [];
+    const session = createTableSession('t1', {
+      contextFile: null,
+      emit: () => {},
+      outbox: createOutbox({ name: 'test', send: async text => { sent.push(text); } }),
+      decide: async () => { throw new Error('agent crashed'); },
+      turnDeadline: { deadlineMs: 1000, safetyMarginMs: 0 },
+    });
+    session.currentHandNumber = 1;
+    session.currentIsYourTurn = true;
+
+    sendDecision(session, 'prompt', { view: makeView({ availableActions: [{ type: 'check' }, { type: 'bet', minAmount: 20, maxAmount: 970 }] }) });
+    await session.lastDecision;
+    // The deadline fallback has nothing left to do
+    t.mock.timers.tick(1000);
+    await session.outbox.drained();
+
+    assert.deepEqual(posted, [{ action: 'check' }]);
+    assert.deepEqual(sent, ['Could not decide \u2014 checked.']);
+  });
+
+  it('sizes rule-engine decisions with the game mode\'s big blind', async (t) => {
+    const posted = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      posted.push(JSON.parse(init.body));
+      return { ok: true };
+    });
+    const session = createTableSession('t1', {
+      engine: 'rules',
+      gameMode: { bigBlind: 10 },
+      contextFile: null,
+      emit: () => {},
+      outbox: createOutbox({ name: 'test', send: async () => {} }),
+    });
+    session.currentHandNumber = 1;
+    const view = makeView({
+      forcedBets: null,
+      yourChips: 150,
+      yourBet: 0,
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }, { type: 'raise', minAmount: 20, maxAmount: 150 }, { type: 'all_in' }],
+    });
+
+    sendDecision(session, 'prompt', { view });
+    await session.lastDecision;
+    // 15 big blinds of 10 is an open, not the sub-10 BB shove a 20-chip blind would mean
+    assert.equal(posted[0].action, 'raise');
   });
 });
 
@@ -395,6 +718,30 @@ describe('createEventBatcher', () => {
 
 // ─── buildDecisionPrompt ────────────────────────────────────────────
 
+describe('buildDecisionPrompt — stack depth', () => {
+  it('adds a stack depth section in big blinds', () => {
+    const view = makeView({ availableActions: [{ type: 'call', amount: 10 }, { type: 'raise', minAmount: 40, maxAmount: 970 }] });
+    const metrics = computeStackMetrics(view, 20);
+    const prompt = buildDecisionPrompt('PREFLOP | As Kh', 'https://example.com', 'key', 'table-1', '', { metrics });
+    assert.ok(prompt.includes('Stack depth (big blind = 20):'));
+    assert.ok(prompt.includes('- Your stack: 48.5 BB; effective 48.5 BB vs Alice.'));
+    assert.ok(prompt.includes('- To call: 0.5 BB.'));
+    assert.ok(prompt.includes('- Raise range: 2-48.5 BB.'));
+  });
+});
+
+describe('fetchGameMode', () => {
+  it('finds the mode by id', async () => {
+    const fetchFn = async () => ({ ok: true, json: async () => ({ gameModes: [{ id: 'a', bigBlind: 2 }, { id: 'b', bigBlind: 50 }] }) });
+    assert.deepEqual(await fetchGameMode('http://x', 'k', 'b', fetchFn), { id: 'b', bigBlind: 50 });
+  });
+
+  it('resolves null when the request fails', async () => {
+    const fetchFn = async () => ({ ok: false, status: 500 });
+    assert.equal(await fetchGameMode('http://x', 'k', 'b', fetchFn), null);
+  });
+});
+
 describe('buildDecisionPrompt', () => {
   it('includes summary and asks for structured JSON output', () => {
     const prompt = buildDecisionPrompt('PREFLOP | As Kh | Pot:30', 'https://example.com', 'key123', 'table-1', '');
@@ -420,6 +767,41 @@ describe('buildDecisionPrompt', () => {
 
     assert.ok(!prompt.includes('User Strategy Override'));
   });
+
+  it('includes computed equity and pot odds when provided', () => {
+    const math = { opponents: 1, equity: 0.62, odds: { pot: 60, toCall: 20, ratio: 3, requiredEquity: 0.25 } };
+    const prompt = buildDecisionPrompt('FLOP | Ah Kh', 'https://example.com', 'key', 'table-1', '', { math });
+
+    assert.ok(prompt.includes('Estimated equity: 62% against 1 random hand.'));
+    assert.ok(prompt.includes('Pot odds: call 20 to win 60 (3:1) — a call needs 25% equity.'));
+  });
+
+  it('omits the odds section without math', () => {
+    const prompt = buildDecisionPrompt('FLOP | Ah Kh', 'https://example.com', 'key', 'table-1', '');
+
+    assert.ok(!prompt.includes('Pot odds:'));
+  });
+
+  it('renders the standard profile by default and the active one when given', () => {
+    assert.ok(buildDecisionPrompt('PREFLOP | As Kh', 'u', 'k', 't', '').includes('Profile: standard'));
+    const prompt = buildDecisionPrompt('PREFLOP | As Kh', 'u', 'k', 't', '', { profile: PROFILES['loose-aggressive'] });
+    assert.ok(prompt.includes('Profile: loose-aggressive'));
+    assert.ok(prompt.includes('c-bet 50% pot about 80% of the time'));
+  });
+
+  it('lists opponent HUD lines when provided', () => {
+    const opponents = ['Alice (42 hands): VPIP 55% PFR 40% 3B 20% AF 4 FtCB 30% WTSD 35%'];
+    const prompt = buildDecisionPrompt('FLOP | Ah Kh', 'https://example.com', 'key', 'table-1', '', { opponents });
+
+    assert.ok(prompt.includes('Opponents (HUD stats'));
+    assert.ok(prompt.includes(`- ${opponents[0]}`));
+  });
+
+  it('asks for narration in the table language when it is not English', () => {
+    assert.ok(!buildDecisionPrompt('PREFLOP | As Kh', 'u', 'k', 't', '').includes('Write the narration in'));
+    const prompt = buildDecisionPrompt('PREFLOP | As Kh', 'u', 'k', 't', '', { locale: 'es' });
+    assert.ok(prompt.includes('Write the narration in Spanish'));
+  });
 });
 
 // ─── buildSummary — board cards ─────────────────────────────────────
@@ -494,6 +876,65 @@ describe('buildSummary — board cards', () => {
   });
 });
 
+describe('buildSummary — hand strength', () => {
+  it('labels the made hand and draws on the flop', () => {
+    const view = makeView({
+      phase: 'FLOP',
+      boardCards: ['Kd', '7h', '2h'],
+      yourCards: ['Ah', 'Kh'],
+      availableActions: [{ type: 'check' }],
+    });
+    const result = buildSummary(view);
+    assert.ok(result.includes('Ah Kh (top pair, top kicker + nut flush draw)'), `got: ${result}`);
+  });
+
+  it('describes the starting hand preflop', () => {
+    const result = buildSummary(makeView({ availableActions: [{ type: 'fold' }] }));
+    assert.ok(result.startsWith('PREFLOP | As Kh (AK offsuit) |'), `got: ${result}`);
+  });
+});
+
+describe('buildSummary — position', () => {
+  it('reports our position and who acts behind us', () => {
+    const result = buildSummary(makeView({ availableActions: [{ type: 'fold' }] }));
+    assert.ok(result.includes('| Position: BTN · 1 to act behind (BB) |'), `got: ${result}`);
+  });
+});
+
+describe('buildSummary — stack depth', () => {
+  it('reports stack, effective stack, SPR and action amounts in big blinds', () => {
+    const view = makeView({ availableActions: [{ type: 'call', amount: 10 }, { type: 'raise', minAmount: 40, maxAmount: 970 }] });
+    const result = buildSummary(view, null, computeStackMetrics(view, 20));
+    assert.ok(result.includes('| Stack:970 (48.5 BB) | Eff:48.5 BB | SPR:32.3 |'), `got: ${result}`);
+    assert.ok(result.includes('Actions: call 10 (0.5 BB), raise 40-970 (2-48.5 BB)'), `got: ${result}`);
+  });
+
+  it('YOUR_TURN falls back to the game mode blinds', () => {
+    const ctx = { ...makeContext(), gameMode: { id: 'm1', bigBlind: 10 } };
+    const view = makeView({ isYourTurn: true, forcedBets: undefined, availableActions: [{ type: 'fold' }] });
+    const yourTurn = processStateEvent(view, ctx).find(o => o.type === 'YOUR_TURN');
+    assert.equal(yourTurn.metrics.bigBlind, 10);
+    assert.ok(yourTurn.summary.includes('Stack:970 (97 BB)'), `got: ${yourTurn.summary}`);
+  });
+});
+
+describe('buildSummary — equity and pot odds', () => {
+  it('includes equity and odds when math is provided', () => {
+    const math = { opponents: 1, equity: 0.62, odds: { pot: 60, toCall: 20, ratio: 3, requiredEquity: 0.25 } };
+    const result = buildSummary(makeView({ availableActions: [{ type: 'call', amount: 20 }] }), math);
+    assert.ok(result.includes('| Equity:62% vs 1 | Odds:3:1 (need 25%) | Actions:'), `got: ${result}`);
+  });
+
+  it('YOUR_TURN carries the computed math', () => {
+    const ctx = makeContext();
+    const view = makeView({ isYourTurn: true, availableActions: [{ type: 'call', amount: 10 }] });
+    const yourTurn = processStateEvent(view, ctx).find(o => o.type === 'YOUR_TURN');
+    assert.equal(yourTurn.math.opponents, 1);
+    assert.equal(yourTurn.math.odds.toCall, 10);
+    assert.ok(yourTurn.summary.includes('Equity:'));
+  });
+});
+
 // ─── readStrategyOverride ───────────────────────────────────────────
 
 describe('readStrategyOverride', () => {
@@ -502,3 +943,399 @@ describe('readStrategyOverride', () => {
     assert.equal(result, '');
   });
 });
+
+// ─── Strategy profiles ──────────────────────────────────────────────
+
+describe('resolveStrategyProfile', () => {
+  function profileSession() {
+    const emitted = [];
+    const sent = [];
+    const session = createTableSession('t1', {
+      contextFile: null,
+      profile: 'tight',
+      emit: obj => emitted.push(obj),
+      outbox: createOutbox({ name: 'test', send: async text => { sent.push(text); } }),
+    });
+    return { session, emitted, sent };
+  }
+
+  it('uses the configured profile until the profile file names another', async () => {
+    const { session, emitted, sent } = profileSession();
+    assert.equal(resolveStrategyProfile(session, '').name, 'tight');
+    assert.equal(resolveStrategyProfile(session, 'loose-aggressive').name, 'loose-aggressive');
+    assert.equal(resolveStrategyProfile(session, 'loose-aggressive').name, 'loose-aggressive');
+    await session.outbox.drained();
+    assert.deepEqual(emitted, [{ type: 'STRATEGY_PROFILE_CHANGED', from: 'tight', to: 'loose-aggressive' }]);
+    assert.deepEqual(sent, ['Switching to the loose-aggressive profile.']);
+  });
+
+  it('reports an unknown profile once and keeps the configured one', () => {
+    const { session, emitted } = profileSession();
+    assert.equal(resolveStrategyProfile(session, 'nitty').name, 'tight');
+    assert.equal(resolveStrategyProfile(session, 'nitty').name, 'tight');
+    assert.equal(emitted.length, 1);
+    assert.equal(emitted[0].type, 'STRATEGY_PROFILE_UNKNOWN');
+  });
+});
+
+// ─── Multi-table sessions ───────────────────────────────────────────
+
+describe('parseTableIds', () => {
+  it('splits a comma-separated list and drops blanks and duplicates', () => {
+    assert.deepEqual(parseTableIds('t1'), ['t1']);
+    assert.deepEqual(parseTableIds('t1, t2,,t1'), ['t1', 't2']);
+    assert.deepEqual(parseTableIds(undefined), []);
+  });
+});
+
+describe('createTableSession', () => {
+  it('starts each table with its own state', () => {
+    const a = createTableSession('t1');
+    const b = createTableSession('t2');
+    a.recentEvents.push('x');
+    a.context.prevState = makeView();
+    assert.deepEqual(b.recentEvents, []);
+    assert.equal(b.context.prevState, null);
+    assert.equal(a.decisionSeq, 0);
+    assert.equal(a.engine, 'agent');
+  });
+
+  it('carries the game mode into the state-processing context', () => {
+    const session = createTableSession('t1', { gameMode: { bigBlind: 10 } });
+    assert.deepEqual(session.context.gameMode, { bigBlind: 10 });
+  });
+});
+
+describe('tagMessage', () => {
+  it('prefixes messages with the table label when multi-tabling', () => {
+    assert.equal(tagMessage(createTableSession('t1', { label: 'T2' }), 'Hi'), '[T2] Hi');
+    assert.equal(tagMessage(createTableSession('t1'), 'Hi'), 'Hi');
+  });
+});
+
+describe('contextFilePath', () => {
+  it('keeps the shared file for one table and splits per table otherwise', () => {
+    assert.ok(contextFilePath('t1').endsWith('poker-game-context.json'));
+    assert.ok(contextFilePath('t1', true).endsWith('poker-game-context-t1.json'));
+  });
+});
+
+// ─── Embedding API ──────────────────────────────────────────────────
+
+/** Minimal EventSource stand-in the tests drive by hand. */
+class FakeEventSource {
+  static last = null;
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.last = this;
+  }
+  addEventListener(type, fn) { (this.listeners[type] ||= []).push(fn); }
+  close() { this.closed = true; }
+  dispatch(type, data) {
+    for (const fn of this.listeners[type] || []) fn({ data: JSON.stringify(data) });
+  }
+}
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('createPokerListener', () => {
+  it('does not install process-wide handlers on import', async () => {
+    const before = process.listenerCount('uncaughtException');
+    await import('../poker-listener.js?fresh-import');
+    assert.equal(process.listenerCount('uncaughtException'), before);
+  });
+
+  it('emits typed outputs and leaves the turn to the caller without decide', async () => {
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+    });
+    const seen = [];
+    for (const type of ['EVENT', 'YOUR_TURN', 'TABLE_CLOSED']) listener.on(type, o => seen.push(o.type));
+    await listener.start();
+
+    const es = FakeEventSource.last;
+    assert.equal(es.url, 'http://127.0.0.1:1/api/game/t1/stream?token=key');
+    es.onopen();
+    es.dispatch('state', makeView({ isYourTurn: true, availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }] }));
+    const ended = once(listener, 'end');
+    es.dispatch('closed', {});
+    const [{ exitCode }] = await ended;
+
+    assert.deepEqual(seen, ['EVENT', 'YOUR_TURN', 'TABLE_CLOSED']);
+    assert.equal(exitCode, 0);
+    assert.equal(es.closed, true);
+  });
+
+  it('submits the legalised result of a custom decide function', async () => {
+    const posted = [];
+    const server = await listen((req, res) => {
+      let body = '';
+      req.on('data', c => { body += c; });
+      req.on('end', () => { posted.push({ url: req.url, body: JSON.parse(body) }); res.end('{}'); });
+    });
+    const { port } = server.address();
+    const messages = [];
+    const listener = createPokerListener({
+      backendUrl: `http://127.0.0.1:${port}`,
+      apiKey: 'key',
+      tableId: 't1',
+      EventSource: FakeEventSource,
+      transport: { name: 'test', send: async text => { messages.push(text); } },
+      decide: async (view, { prompt }) => {
+        assert.ok(prompt.includes('Situation:'));
+        return { action: 'bet', amount: 5000, narration: 'Shoving.' };
+      },
+    });
+    const adjusted = once(listener, 'ACTION_ADJUSTED');
+    await listener.start();
+    FakeEventSource.last.dispatch('state', makeView({
+      isYourTurn: true,
+      availableActions: [
+        { type: 'fold' }, { type: 'call', amount: 10 },
+        { type: 'raise', minAmount: 40, maxAmount: 970 }, { type: 'all_in', amount: 970 },
+      ],
+    }));
+    await adjusted;
+    // Let the POST settle and the narration go out
+    while (!messages.includes('Shoving.')) await new Promise(r => setTimeout(r, 10));
+    listener.stop();
+    server.close();
+
+    assert.deepEqual(posted, [{ url: '/api/game/t1/action', body: { action: 'all_in' } }]);
+    assert.ok(messages[0].startsWith('**[Hand #1]** Your cards:'));
+  });
+
+  it('flags a server fold we never submitted as a timeout', async () => {
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      // Still thinking when the server's clock runs out
+      decide: () => new Promise(() => {}),
+      turnDeadline: { deadlineMs: 60000, safetyMarginMs: 0 },
+    });
+    const mismatch = once(listener, 'SELF_ACTION_MISMATCH');
+    await listener.start();
+    const es = FakeEventSource.last;
+    const players = makeView().players.map(p => ({ ...p, isCurrentActor: p.seat === 0 }));
+    es.dispatch('state', makeView({ isYourTurn: true, players, availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }] }));
+    es.dispatch('state', makeView({ players: players.map(p => (p.seat === 0 ? { ...p, status: 'folded', isCurrentActor: false } : p)) }));
+    const [output] = await mismatch;
+    listener.stop();
+
+    assert.deepEqual(output, {
+      type: 'SELF_ACTION_MISMATCH', handNumber: 1, phase: 'PREFLOP', reason: 'timeout',
+      submitted: null, applied: { action: 'fold', amount: null },
+    });
+  });
+
+  it('flags an applied action that differs from the one submitted', async () => {
+    const server = await listen((req, res) => { req.resume(); req.on('end', () => res.end('{}')); });
+    const { port } = server.address();
+    const messages = [];
+    const listener = createPokerListener({
+      backendUrl: `http://127.0.0.1:${port}`, apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      transport: { name: 'test', send: async text => { messages.push(text); } },
+      decide: async () => ({ action: 'raise', amount: 60 }),
+    });
+    const submitted = once(listener, 'SELF_ACTION_MISMATCH');
+    await listener.start();
+    const es = FakeEventSource.last;
+    const players = makeView().players.map(p => ({ ...p, isCurrentActor: p.seat === 0 }));
+    es.dispatch('state', makeView({
+      isYourTurn: true, players,
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }, { type: 'raise', minAmount: 40, maxAmount: 970 }],
+    }));
+    // Wait for the decision to go out before the server's state arrives
+    while (!listener.session.lastDecisionInfo) await new Promise(r => setTimeout(r, 10));
+    es.dispatch('state', makeView({ players: players.map(p => (p.seat === 0 ? { ...p, chips: 960, bet: 20, invested: 20, isCurrentActor: false } : p)) }));
+    const [output] = await submitted;
+    while (!messages.includes('The server applied call 20, not our raise 60.')) await new Promise(r => setTimeout(r, 10));
+    listener.stop();
+    server.close();
+
+    assert.equal(output.reason, 'action');
+    assert.deepEqual(output.submitted, { action: 'raise', amount: 60 });
+  });
+
+  it('only narrates with a transport and no decide or engine', async (t) => {
+    // A stand-in openclaw on PATH leaves a marker if the agent is ever started
+    const bin = mkdtempSync(join(tmpdir(), 'poker-bin-'));
+    const marker = join(bin, 'agent-started');
+    writeFileSync(join(bin, 'openclaw'), `#!/bin/sh\ntouch ${marker}\n`);
+    chmodSync(join(bin, 'openclaw'), 0o755);
+    const path = process.env.PATH;
+    process.env.PATH = `${bin}:${path}`;
+    t.after(() => { process.env.PATH = path; });
+    const posted = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      posted.push(init.body);
+      return { ok: true };
+    });
+
+    const messages = [];
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      transport: { name: 'test', send: async text => { messages.push(text); } },
+      turnDeadline: { deadlineMs: 0, safetyMarginMs: 0 },
+    });
+    const turns = [];
+    listener.on('YOUR_TURN', o => turns.push(o));
+    await listener.start();
+    const es = FakeEventSource.last;
+    es.onopen();
+    es.dispatch('state', makeView({ isYourTurn: true, availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }] }));
+    // Long enough for the deadline fallback and a warmup process to have run
+    await new Promise(r => setTimeout(r, 300));
+    listener.stop();
+    await listener.session.outbox.drained();
+    const agentStarted = existsSync(marker);
+    rmSync(bin, { recursive: true, force: true });
+
+    assert.equal(turns.length, 1);
+    assert.deepEqual(posted, []);
+    assert.equal(agentStarted, false);
+    assert.equal(messages.length, 1);
+    assert.ok(messages[0].startsWith('**[Hand #1]** Your cards:'));
+  });
+
+  it('plays with an explicit engine and no transport', async (t) => {
+    const posted = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+      posted.push(JSON.parse(init.body));
+      return { ok: true };
+    });
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource, engine: 'rules',
+    });
+    await listener.start();
+    FakeEventSource.last.dispatch('state', makeView({ isYourTurn: true, availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }] }));
+    await listener.session.lastDecision;
+    listener.stop();
+
+    assert.equal(posted.length, 1);
+  });
+
+  it('reports the game starting at a table narrated in Spanish', async () => {
+    const messages = [];
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      transport: { name: 'test', send: async text => { messages.push(text); } },
+      locale: 'es',
+    });
+    const started = [];
+    listener.on('GAME_STARTED', o => started.push(o));
+    await listener.start();
+    FakeEventSource.last.dispatch('state', makeView());
+    listener.stop();
+    await listener.session.outbox.drained();
+
+    assert.equal(started.length, 1);
+    assert.ok(messages[0].startsWith('**[Mano #1]** Tus cartas:'));
+  });
+
+  it('ignores the strategy files left in the skill directory', async (t) => {
+    const skillDir = new URL('../', import.meta.url);
+    const files = ['poker-strategy-profile.txt', 'poker-strategy-override.txt'].map(name => new URL(name, skillDir));
+    assert.ok(!files.some(existsSync), 'no strategy files before the test');
+    writeFileSync(files[0], 'loose-aggressive\n');
+    writeFileSync(files[1], 'Shove every hand\n');
+    t.after(() => files.forEach(file => rmSync(file, { force: true })));
+
+    const prompts = [];
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      decide: (view, { prompt }) => { prompts.push(prompt); return new Promise(() => {}); },
+    });
+    assert.equal(listener.setProfile('tight'), true);
+    await listener.start();
+    FakeEventSource.last.dispatch('state', makeView({ isYourTurn: true, availableActions: [{ type: 'fold' }, { type: 'call', amount: 10 }] }));
+    while (!prompts.length) await new Promise(r => setTimeout(r, 10));
+    listener.stop();
+
+    assert.ok(prompts[0].includes('Profile: tight'));
+    assert.ok(!prompts[0].includes('Shove every hand'));
+  });
+
+  it('narrates only our own plays and results when quiet', async () => {
+    const messages = [];
+    const listener = createPokerListener({
+      backendUrl: 'http://127.0.0.1:1', apiKey: 'key', tableId: 't1', EventSource: FakeEventSource,
+      transport: { name: 'test', send: async text => { messages.push(text); } },
+      verbosity: 'quiet',
+    });
+    await listener.start();
+    const es = FakeEventSource.last;
+    es.dispatch('state', makeView());
+    const ended = once(listener, 'end');
+    es.dispatch('closed', {});
+    await ended;
+    assert.deepEqual(messages, ['Table closed.']);
+  });
+});
+
+describe('createOutbox', () => {
+  it('delivers in order and reports failures without rejecting', async () => {
+    const sent = [];
+    const errors = [];
+    const outbox = createOutbox({
+      name: 'test',
+      send: async text => {
+        if (text === 'bad') throw new Error('nope');
+        sent.push(text);
+      },
+    }, err => errors.push(err.message));
+    outbox.send('a');
+    outbox.send('bad');
+    outbox.send('b');
+    await outbox.drained();
+    assert.deepEqual(sent, ['a', 'b']);
+    assert.deepEqual(errors, ['nope']);
+  });
+
+  it('joins messages sent within the batch window', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const sent = [];
+    const outbox = createOutbox({ name: 'test', send: async text => { sent.push(text); } }, undefined, { batchMs: 1500 });
+    outbox.send('a');
+    outbox.send('b');
+    t.mock.timers.tick(1500);
+    outbox.send('c');
+    await outbox.drained();
+    assert.deepEqual(sent, ['a\nb', 'c']);
+  });
+});
+
+// ─── Replay fixtures ────────────────────────────────────────────────
+
+function fixture(name) {
+  return readRecording(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+describe('replayRecording', () => {
+  it('preflop-steal: narrates the folds hidden in a fast hand transition', () => {
+    const outputs = replayRecording(fixture('preflop-steal.jsonl'));
+    assert.deepEqual(outputs.map(o => o.type), ['EVENT', 'YOUR_TURN', 'SELF_ACTION', 'EVENT', 'EVENT', 'HAND_RESULT', 'EVENT', 'EVENT', 'EVENT', 'TABLE_CLOSED']);
+    assert.deepEqual(outputs[2], { type: 'SELF_ACTION', handNumber: 1, phase: 'PREFLOP', action: 'raise', amount: 60, chips: 940 });
+    assert.deepEqual(outputs.filter(o => o.type === 'EVENT').map(o => o.message), [
+      '**[Hand #1]** Your cards: K\u2666 K\u2663 \u00b7 Stack: 1000 \u00b7 BTN',
+      '**[Hand #1]** Alice folded',
+      '**[Hand #1]** Bob folded',
+      '**[Hand #2]** Button moves to Alice',
+      '**[Hand #2]** Bob posts small blind 10 \u00b7 You post big blind 20',
+      '**[Hand #2]** Your cards: 7\u2665 2\u2663 \u00b7 Stack: 1010 \u00b7 BB',
+    ]);
+    assert.equal(buildHandResultSummary(outputs[5].state, outputs[5].handNumber, outputs[5]), '**[Hand #1]** Hero won 90. Stack: 1030 (+30).');
+  });
+
+  it('is deterministic, equity included', () => {
+    const a = replayRecording(fixture('preflop-steal.jsonl'));
+    const b = replayRecording(fixture('preflop-steal.jsonl'));
+    assert.equal(a[1].summary, b[1].summary);
+  });
+});
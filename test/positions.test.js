@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tablePositions, blindSeats, positionOf, playersToActBehind, describePosition, isLatePosition,
+} from '../positions.js';
+import { player } from './helpers.js';
+
+function sixMax(overrides = {}) {
+  return {
+    yourSeat: 3,
+    dealerSeat: 0,
+    boardCards: [],
+    players: [
+      player(0, 'Btn'), player(1, 'Sb'), player(2, 'Bb'),
+      player(3, 'Hero'), player(4, 'Hj'), player(5, 'Co'),
+    ],
+    ...overrides,
+  };
+}
+
+describe('tablePositions', () => {
+  it('labels a six-handed table from the button', () => {
+    const labels = Object.fromEntries(tablePositions(sixMax()));
+    assert.deepEqual(labels, { 0: 'BTN', 1: 'SB', 2: 'BB', 3: 'UTG', 4: 'HJ', 5: 'CO' });
+  });
+
+  it('wraps around the table when the button is not seat 0', () => {
+    const labels = tablePositions(sixMax({ dealerSeat: 4 }));
+    assert.equal(labels.get(5), 'SB');
+    assert.equal(labels.get(0), 'BB');
+    assert.equal(labels.get(3), 'CO');
+  });
+
+  it('skips sitting-out seats', () => {
+    const view = sixMax();
+    view.players[1] = player(1, 'Sb', { status: 'sitting_out' });
+    const labels = tablePositions(view);
+    assert.equal(labels.has(1), false);
+    assert.equal(labels.get(2), 'SB');
+    assert.equal(labels.get(3), 'BB');
+  });
+
+  it('adds UTG+n seats at a full ring', () => {
+    const players = Array.from({ length: 9 }, (_, i) => player(i, `P${i}`));
+    const labels = [...tablePositions({ dealerSeat: 0, players }).values()];
+    assert.deepEqual(labels, ['BTN', 'SB', 'BB', 'UTG', 'UTG+1', 'UTG+2', 'UTG+3', 'HJ', 'CO']);
+  });
+
+  it('makes the button the small blind heads-up', () => {
+    const view = { dealerSeat: 2, players: [player(2, 'A'), player(5, 'B')] };
+    assert.deepEqual(Object.fromEntries(tablePositions(view)), { 2: 'BTN', 5: 'BB' });
+    assert.deepEqual(blindSeats(view), { button: 2, smallBlind: 2, bigBlind: 5 });
+  });
+});
+
+describe('playersToActBehind', () => {
+  it('preflop counts everyone after UTG, blinds included', () => {
+    const behind = playersToActBehind(sixMax());
+    assert.deepEqual(behind.map(p => p.position), ['HJ', 'CO', 'BTN', 'SB', 'BB']);
+  });
+
+  it('postflop starts left of the button', () => {
+    const behind = playersToActBehind(sixMax({ boardCards: ['As', '7c', '2d'] }));
+    assert.deepEqual(behind.map(p => p.name), ['Hj', 'Co', 'Btn']);
+  });
+
+  it('ignores folded and all-in players', () => {
+    const view = sixMax();
+    view.players[4] = player(4, 'Hj', { status: 'folded' });
+    view.players[5] = player(5, 'Co', { status: 'all_in' });
+    assert.deepEqual(playersToActBehind(view).map(p => p.name), ['Btn', 'Sb', 'Bb']);
+  });
+
+  it('is empty for the big blind preflop', () => {
+    assert.deepEqual(playersToActBehind(sixMax({ yourSeat: 2 })), []);
+  });
+});
+
+describe('describePosition', () => {
+  it('names our seat and who is behind', () => {
+    assert.equal(describePosition(sixMax({ yourSeat: 5, boardCards: ['As', '7c', '2d'] })), 'CO · 1 to act behind (BTN)');
+  });
+
+  it('says when we are last to act', () => {
+    assert.equal(describePosition(sixMax({ yourSeat: 0, boardCards: ['As', '7c', '2d'] })), 'BTN · last to act');
+  });
+
+  it('is empty when we are not dealt in', () => {
+    assert.equal(describePosition(sixMax({ yourSeat: 7 })), '');
+  });
+});
+
+describe('isLatePosition / positionOf', () => {
+  it('treats BTN and CO as late', () => {
+    assert.equal(isLatePosition(sixMax({ yourSeat: 0 })), true);
+    assert.equal(isLatePosition(sixMax({ yourSeat: 5 })), true);
+    assert.equal(isLatePosition(sixMax({ yourSeat: 4 })), false);
+    assert.equal(positionOf(sixMax(), 4), 'HJ');
+  });
+});
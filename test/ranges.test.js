@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange, formatRange, comboCount, rangePercent, rangeContains, handKey, TOTAL_COMBOS } from '../ranges.js';
+
+const sorted = range => [...range].sort();
+
+describe('parseRange', () => {
+  it('reads single hands, with AK meaning both suited and offsuit', () => {
+    assert.deepEqual(sorted(parseRange('AA, KQs, T9o')), ['AA', 'KQs', 'T9o']);
+    assert.deepEqual(sorted(parseRange('AK')), ['AKo', 'AKs']);
+    assert.deepEqual(sorted(parseRange('KAs')), ['AKs']);
+  });
+
+  it('expands pair and kicker spans in either direction', () => {
+    assert.deepEqual(sorted(parseRange('77-22')), ['22', '33', '44', '55', '66', '77']);
+    assert.deepEqual(sorted(parseRange('22-44')), ['22', '33', '44']);
+    assert.deepEqual(sorted(parseRange('ATs-A7s')), ['A7s', 'A8s', 'A9s', 'ATs']);
+    assert.deepEqual(sorted(parseRange('K7o-K9o')), ['K7o', 'K8o', 'K9o']);
+  });
+
+  it('expands plus notation', () => {
+    assert.deepEqual(sorted(parseRange('QQ+')), ['AA', 'KK', 'QQ']);
+    assert.deepEqual(sorted(parseRange('T9s+')), ['T9s']);
+    assert.deepEqual(sorted(parseRange('KTs+')), ['KJs', 'KQs', 'KTs']);
+    assert.deepEqual(sorted(parseRange('AJ+')), ['AJo', 'AJs', 'AKo', 'AKs', 'AQo', 'AQs']);
+  });
+
+  it('reads the SKILL.md late-position chart', () => {
+    const range = parseRange('77-22, ATs-A2s, KJs, QJs, JTs, T9s, 98s, 87s, 76s');
+    assert.equal(range.size, 22);
+    assert.equal(comboCount(range), 100);
+  });
+
+  it('merges duplicates and accepts an empty string', () => {
+    assert.equal(parseRange('AA, AA, QQ+').size, 3);
+    assert.equal(parseRange('').size, 0);
+  });
+
+  it('rejects malformed tokens', () => {
+    for (const text of ['AAs', 'AX', 'A', '77-A2s', 'ATs-K9s', 'ATs-A2o', 'AKs++']) {
+      assert.throws(() => parseRange(text), /Invalid range token/, text);
+    }
+  });
+});
+
+describe('comboCount / rangePercent', () => {
+  it('counts 6 per pair, 4 per suited and 12 per offsuit hand', () => {
+    assert.equal(comboCount(parseRange('AA')), 6);
+    assert.equal(comboCount(parseRange('AKs')), 4);
+    assert.equal(comboCount(parseRange('AK')), 16);
+  });
+
+  it('covers every starting hand with 22+, 32+ suited and offsuit', () => {
+    const everything = parseRange('22+, 32+, 42+, 52+, 62+, 72+, 82+, 92+, T2+, J2+, Q2+, K2+, A2+');
+    assert.equal(everything.size, 169);
+    assert.equal(comboCount(everything), TOTAL_COMBOS);
+    assert.equal(rangePercent(everything), 1);
+    assert.equal(rangePercent(parseRange('QQ+, AK')).toFixed(3), '0.026');
+  });
+});
+
+describe('rangeContains', () => {
+  const range = parseRange('TT+, AQs+');
+  it('tests hole cards in any order', () => {
+    assert.equal(rangeContains(range, ['Jd', 'Jc']), true);
+    assert.equal(rangeContains(range, ['Kh', 'Ah']), true);
+    assert.equal(rangeContains(range, ['Kh', 'Ad']), false);
+    assert.equal(rangeContains(range, ['??', '??']), false);
+    assert.equal(handKey(['9c', 'Td']), 'T9o');
+  });
+});
+
+describe('formatRange', () => {
+  it('writes pairs, then suited, then offsuit hands, compacted', () => {
+    assert.equal(formatRange(parseRange('AKo, 22, 33, KK, AA, A2s-A5s, ATs+, KQs, T9s')),
+      'KK+, 33-22, ATs+, A5s-A2s, KQs, T9s, AKo');
+  });
+
+  it('keeps lone hands without a plus', () => {
+    assert.equal(formatRange(['AA', 'AKs', 'KQo']), 'AA, AKs, KQo');
+  });
+
+  it('round-trips through parseRange', () => {
+    for (const text of ['77-22, ATs-A2s, KJs, QJs, JTs, T9s, 98s, 87s, 76s', 'JJ+, AQs+, A5s-A4s, KQs, AKo', '']) {
+      const range = parseRange(text);
+      assert.equal(formatRange(range), text);
+      assert.deepEqual(parseRange(formatRange(range)), range);
+    }
+  });
+});
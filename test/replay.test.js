@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createStreamRecorder, parseRecording, createReplaySource } from '../replay.js';
+
+describe('createStreamRecorder', () => {
+  it('appends raw payloads with offsets from the first event', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'poker-replay-'));
+    try {
+      const path = join(dir, 'rec.jsonl');
+      let clock = 1000;
+      const recorder = createStreamRecorder(path, () => clock);
+      recorder.record('state', '{"handNumber":1}');
+      clock = 1750;
+      recorder.record('closed', '');
+      const lines = readFileSync(path, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+      assert.deepEqual(lines, [
+        { t: 0, event: 'state', data: '{"handNumber":1}' },
+        { t: 750, event: 'closed', data: '' },
+      ]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('parseRecording', () => {
+  it('keeps raw data strings and serialises inline objects', () => {
+    const records = parseRecording([
+      '{"t":0,"event":"state","data":"{\\"handNumber\\":1}"}',
+      '',
+      '{"t":5,"event":"state","data":{"handNumber":2}}',
+      '{"event":"closed"}',
+    ].join('\n'));
+    assert.deepEqual(records, [
+      { t: 0, event: 'state', data: '{"handNumber":1}' },
+      { t: 5, event: 'state', data: '{"handNumber":2}' },
+      { t: 0, event: 'closed', data: '{}' },
+    ]);
+  });
+
+  it('reports the line of malformed input', () => {
+    assert.throws(() => parseRecording('{"t":0,"event":"state","data":"{}"}\nnot json'), /Recording line 2/);
+    assert.throws(() => parseRecording('{"t":0}'), /line 1: missing "event"/);
+  });
+});
+
+describe('createReplaySource', () => {
+  function manualClock() {
+    const queue = [];
+    return {
+      schedule: (fn, ms) => { queue.push({ fn, ms }); return queue.length; },
+      cancel: () => {},
+      // Run everything in delay order, including timers scheduled while running
+      runAll() {
+        while (queue.length) {
+          queue.sort((a, b) => a.ms - b.ms);
+          queue.shift().fn();
+        }
+      },
+      delays: () => queue.map(q => q.ms),
+    };
+  }
+
+  it('opens, then dispatches events at their scaled offsets', () => {
+    const clock = manualClock();
+    const seen = [];
+    let done = false;
+    const Source = createReplaySource([
+      { t: 0, event: 'state', data: 'a' },
+      { t: 1000, event: 'state', data: 'b' },
+      { t: 2000, event: 'closed', data: '' },
+    ], { speed: 2, onDone: () => { done = true; }, schedule: clock.schedule, cancel: clock.cancel });
+
+    const es = new Source('ignored');
+    es.onopen = () => seen.push('open');
+    es.addEventListener('state', e => seen.push(e.data));
+    es.addEventListener('closed', () => seen.push('closed'));
+    clock.runAll();
+
+    assert.deepEqual(seen, ['open', 'a', 'b', 'closed']);
+    assert.equal(done, true);
+  });
+
+  it('plays without delays at speed 0', () => {
+    const clock = manualClock();
+    const Source = createReplaySource([{ t: 500, event: 'state', data: 'a' }], { speed: 0, schedule: clock.schedule });
+    new Source('x');
+    clock.schedule(() => {}, -1);
+    clock.runAll();
+    assert.deepEqual(clock.delays(), []);
+  });
+});
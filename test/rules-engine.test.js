@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decideByRules, handKey, isLatePosition } from '../rules-engine.js';
+import { PROFILES } from '../strategy-profiles.js';
+import { player, makeView as baseView } from './helpers.js';
+
+/** Six-handed preflop, Hero on seat 3 (UTG+? — not late), blinds posted. */
+function makeView(overrides = {}) {
+  return baseView({
+    yourSeat: 3,
+    yourCards: ['As', 'Ad'],
+    yourChips: 1000,
+    yourBet: 0,
+    players: [
+      player(0, 'Btn'),
+      player(1, 'Sb', { bet: 10 }),
+      player(2, 'Bb', { bet: 20 }),
+      player(3, 'Hero'),
+      player(4, 'Mp'),
+      player(5, 'Co'),
+    ],
+    availableActions: [
+      { type: 'fold' },
+      { type: 'call', amount: 20 },
+      { type: 'raise', minAmount: 40, maxAmount: 1000 },
+      { type: 'all_in' },
+    ],
+    ...overrides,
+  });
+}
+
+describe('handKey', () => {
+  it('canonicalises pairs, suited and offsuit hands', () => {
+    assert.equal(handKey(['As', 'Ad']), 'AA');
+    assert.equal(handKey(['Kh', 'Ah']), 'AKs');
+    assert.equal(handKey(['9c', 'Td']), 'T9o');
+    assert.equal(handKey(['??', 'As']), null);
+  });
+});
+
+describe('isLatePosition', () => {
+  it('treats the button and cutoff as late', () => {
+    assert.equal(isLatePosition(makeView({ yourSeat: 0 })), true);
+    assert.equal(isLatePosition(makeView({ yourSeat: 5 })), true);
+    assert.equal(isLatePosition(makeView({ yourSeat: 3 })), false);
+  });
+});
+
+describe('decideByRules — preflop', () => {
+  it('raises premium pairs to 3x BB', () => {
+    const d = decideByRules(makeView());
+    assert.equal(d.action, 'raise');
+    assert.equal(d.amount, 60);
+    assert.ok(d.narration.startsWith('Raising to 60'));
+  });
+
+  it('raises strong hands to 2.5x BB', () => {
+    const d = decideByRules(makeView({ yourCards: ['Ah', 'Qh'] }));
+    assert.equal(d.action, 'raise');
+    assert.equal(d.amount, 50);
+  });
+
+  it('folds late-position hands from early position and opens them late', () => {
+    assert.equal(decideByRules(makeView({ yourCards: ['7h', '6h'] })).action, 'fold');
+    const late = decideByRules(makeView({ yourCards: ['7h', '6h'], yourSeat: 0 }));
+    assert.equal(late.action, 'raise');
+    assert.equal(late.amount, 50);
+  });
+
+  it('checks the big blind option instead of folding', () => {
+    const view = makeView({
+      yourSeat: 2,
+      yourCards: ['7c', '2d'],
+      availableActions: [{ type: 'check' }, { type: 'raise', minAmount: 40, maxAmount: 1000 }],
+    });
+    assert.equal(decideByRules(view).action, 'check');
+  });
+
+  it('3-bets QQ+/AK and calls JJ/TT facing a raise', () => {
+    const players = makeView().players.map(p => (p.seat === 4 ? { ...p, bet: 60 } : p));
+    const facing = { players, pot: 90, availableActions: [{ type: 'fold' }, { type: 'call', amount: 60 }, { type: 'raise', minAmount: 100, maxAmount: 1000 }] };
+
+    const threeBet = decideByRules(makeView({ ...facing, yourCards: ['Ks', 'Kd'] }));
+    assert.equal(threeBet.action, 'raise');
+    assert.equal(threeBet.amount, 180);
+
+    assert.equal(decideByRules(makeView({ ...facing, yourCards: ['Js', 'Jd'] })).action, 'call');
+    assert.equal(decideByRules(makeView({ ...facing, yourCards: ['Ah', 'Qh'] })).action, 'fold');
+  });
+
+  it('shoves or folds under 10 BB', () => {
+    assert.equal(decideByRules(makeView({ yourChips: 150, yourCards: ['Ah', 'Kd'] })).action, 'all_in');
+    assert.equal(decideByRules(makeView({ yourChips: 150, yourCards: ['9h', '4d'] })).action, 'fold');
+  });
+
+  it('measures the stack in the big blind it is given', () => {
+    const view = makeView({ forcedBets: null, yourChips: 150, yourCards: ['Ah', 'Kd'] });
+    assert.equal(decideByRules(view).action, 'all_in');
+    assert.equal(decideByRules(view, { bigBlind: 10 }).action, 'raise');
+  });
+
+  it('turns a raise at the maximum into all_in', () => {
+    const d = decideByRules(makeView({
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 20 }, { type: 'raise', minAmount: 40, maxAmount: 55 }, { type: 'all_in' }],
+    }));
+    assert.equal(d.action, 'all_in');
+  });
+
+  it('clamps to the maximum when there is no all_in action', () => {
+    const d = decideByRules(makeView({
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 20 }, { type: 'raise', minAmount: 40, maxAmount: 55 }],
+    }));
+    assert.equal(d.action, 'raise');
+    assert.equal(d.amount, 55);
+  });
+});
+
+describe('decideByRules — postflop', () => {
+  const flop = (overrides) => makeView({
+    phase: 'FLOP',
+    pot: 100,
+    players: [player(3, 'Hero'), player(4, 'Villain')],
+    availableActions: [{ type: 'check' }, { type: 'bet', minAmount: 20, maxAmount: 1000 }, { type: 'all_in' }],
+    ...overrides,
+  });
+
+  it('bets for value with top pair, good kicker', () => {
+    const d = decideByRules(flop({ yourCards: ['As', 'Kd'], boardCards: ['Ah', '7c', '2d'] }));
+    assert.equal(d.action, 'bet');
+    assert.equal(d.amount, 50);
+  });
+
+  it('bets bigger with a set', () => {
+    const d = decideByRules(flop({ yourCards: ['7s', '7d'], boardCards: ['Ah', '7c', '2d'] }));
+    assert.equal(d.action, 'bet');
+    assert.equal(d.amount, 66);
+  });
+
+  it('checks nothing, and c-bets it heads-up as the preflop raiser', () => {
+    const view = flop({ yourCards: ['Qs', 'Jd'], boardCards: ['Ah', '7c', '2d'] });
+    assert.equal(decideByRules(view).action, 'check');
+    const cbet = decideByRules(view, { wasPreflopRaiser: true });
+    assert.equal(cbet.action, 'bet');
+    assert.equal(cbet.amount, 33);
+  });
+
+  it('calls a flush draw only with better than 4:1', () => {
+    const facing = (toCall) => flop({
+      yourCards: ['Ah', '5h'],
+      boardCards: ['Kh', '7h', '2d'],
+      players: [player(3, 'Hero'), player(4, 'Villain', { bet: toCall })],
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: toCall }, { type: 'raise', minAmount: toCall * 2, maxAmount: 1000 }],
+    });
+    assert.equal(decideByRules(facing(20)).action, 'call');
+    assert.equal(decideByRules(facing(50)).action, 'fold');
+  });
+
+  it('folds nothing to a bet', () => {
+    const d = decideByRules(flop({
+      yourCards: ['Qs', 'Jd'],
+      boardCards: ['Ah', '7c', '2d'],
+      availableActions: [{ type: 'fold' }, { type: 'call', amount: 50 }],
+    }));
+    assert.equal(d.action, 'fold');
+  });
+
+  it('does not treat a paired board as our two pair', () => {
+    const d = decideByRules(flop({ yourCards: ['Qs', 'Jd'], boardCards: ['Ah', '7c', '7d'] }));
+    assert.equal(d.action, 'check');
+  });
+});
+
+describe('decideByRules — profiles', () => {
+  it('tight folds hands the standard chart opens', () => {
+    const view = makeView({ yourCards: ['8s', '8d'] });
+    assert.equal(decideByRules(view).action, 'raise');
+    assert.equal(decideByRules(view, { profile: PROFILES.tight }).action, 'fold');
+  });
+
+  it('loose-aggressive opens late-position hands from early position', () => {
+    const view = makeView({ yourCards: ['Kh', 'Jh'] });
+    assert.equal(decideByRules(view).action, 'fold');
+    const d = decideByRules(view, { profile: PROFILES['loose-aggressive'] });
+    assert.equal(d.action, 'raise');
+    assert.equal(d.amount, 50);
+  });
+
+  it('short-stack opens smaller and shoves below 15 BB', () => {
+    assert.equal(decideByRules(makeView(), { profile: PROFILES['short-stack'] }).amount, 50);
+    const shortView = makeView({ yourChips: 280, yourCards: ['Ah', 'Kd'] });
+    assert.equal(decideByRules(shortView).action, 'raise');
+    const shove = decideByRules(shortView, { profile: PROFILES['short-stack'] });
+    assert.equal(shove.action, 'all_in');
+    assert.ok(shove.narration.includes('under 15 BB'));
+  });
+
+  it('c-bets only as often as the profile says', () => {
+    const view = makeView({
+      phase: 'FLOP',
+      pot: 100,
+      yourCards: ['Qs', 'Jd'],
+      boardCards: ['Ah', '7c', '2d'],
+      players: [player(3, 'Hero'), player(4, 'Villain')],
+      availableActions: [{ type: 'check' }, { type: 'bet', minAmount: 20, maxAmount: 1000 }],
+    });
+    const tight = { wasPreflopRaiser: true, profile: PROFILES.tight };
+    assert.equal(decideByRules(view, { ...tight, random: () => 0.7 }).action, 'check');
+    assert.equal(decideByRules(view, { ...tight, random: () => 0.3 }).amount, 33);
+    assert.equal(decideByRules(view, { wasPreflopRaiser: true, profile: PROFILES['loose-aggressive'], random: () => 0.3 }).amount, 50);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionStats, formatSessionRecap } from '../session-stats.js';
+import { player, makeView } from './helpers.js';
+
+function result(winners, heroChips, aliceChips, amount, extra = {}) {
+  return {
+    winners,
+    players: [{ seat: 0, name: 'Hero', chips: heroChips, ...extra.hero }, { seat: 1, name: 'Alice', chips: aliceChips, ...extra.alice }],
+    potResults: [{ amount }],
+  };
+}
+
+function clock(start = 0) {
+  let t = start;
+  return { now: () => t, advance: ms => { t += ms; } };
+}
+
+describe('createSessionStats', () => {
+  it('counts a hand won when the next hand starts', () => {
+    const stats = createSessionStats({ now: clock().now });
+    assert.equal(stats.observe(makeView()), null);
+    const next = [player(0, 'Hero', { chips: 1000, bet: 20, invested: 20 }), player(1, 'Alice', { chips: 970, bet: 10, invested: 10 })];
+    const finished = stats.observe(makeView({ handNumber: 2, players: next, lastHandResult: result([0], 1020, 980, 40) }));
+    assert.deepEqual(finished, { number: 1, endStack: 1020, delta: 20, won: true, showdown: false, pot: 40 });
+
+    const s = stats.snapshot();
+    assert.deepEqual([s.startingStack, s.currentStack, s.net, s.handsPlayed, s.handsWon, s.biggestPotWon], [1000, 1020, 20, 1, 1, 40]);
+  });
+
+  it('counts showdowns won and pots lost', () => {
+    const stats = createSessionStats({ now: clock().now });
+    stats.observe(makeView());
+    stats.observe(makeView({ phase: 'SHOWDOWN', lastHandResult: result([0], 1300, 700, 600) }));
+    stats.observe(makeView({ handNumber: 2, players: [player(0, 'Hero', { chips: 1280, invested: 20, bet: 20 }), player(1, 'Alice', { chips: 690, invested: 10, bet: 10 })] }));
+    stats.observe(makeView({ handNumber: 3, lastHandResult: result([1], 900, 1100, 800) }));
+
+    const s = stats.snapshot();
+    assert.deepEqual([s.handsPlayed, s.handsWon, s.showdownsWon], [2, 1, 1]);
+    assert.deepEqual([s.biggestPotWon, s.biggestPotLost, s.net], [600, 800, -100]);
+  });
+
+  it('treats a stack jump between hands as a rebuy, not profit', () => {
+    const stats = createSessionStats({ now: clock().now });
+    stats.observe(makeView());
+    stats.observe(makeView({ phase: 'WAITING', lastHandResult: result([1], 0, 2000, 2000) }));
+    stats.observe(makeView({ handNumber: 2, players: [player(0, 'Hero', { chips: 990, bet: 10, invested: 10 }), player(1, 'Alice', { chips: 1980, bet: 20, invested: 20 })] }));
+
+    const s = stats.snapshot();
+    assert.deepEqual([s.rebuys, s.rebuyTotal, s.currentStack, s.net], [1, 1000, 1000, -1000]);
+  });
+
+  it('skips hands we are not dealt into', () => {
+    const stats = createSessionStats({ now: clock().now });
+    stats.observe(makeView({ players: [player(0, 'Hero', { status: 'sitting_out' }), player(1, 'Alice')] }));
+    stats.observe(makeView({ handNumber: 2, lastHandResult: result([1], 1000, 1010, 20) }));
+    assert.equal(stats.snapshot().handsPlayed, 0);
+  });
+
+  it('reports pace from the first hand', () => {
+    const time = clock(Date.UTC(2026, 0, 1));
+    const stats = createSessionStats({ now: time.now });
+    assert.equal(stats.snapshot().handsPerHour, null);
+    stats.observe(makeView());
+    time.advance(120000);
+    stats.observe(makeView({ handNumber: 2, lastHandResult: result([0], 1020, 980, 40) }));
+    const s = stats.snapshot();
+    assert.equal(s.startedAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(s.durationMinutes, 2);
+    assert.equal(s.handsPerHour, 30);
+  });
+});
+
+describe('formatSessionRecap', () => {
+  it('is null before any hand is played', () => {
+    assert.equal(formatSessionRecap(createSessionStats().snapshot()), null);
+  });
+
+  it('sums the session in one message', () => {
+    const text = formatSessionRecap({
+      handsPlayed: 42, durationMinutes: 65, handsPerHour: 38.8, net: 350, startingStack: 1000, currentStack: 2350,
+      rebuys: 1, rebuyTotal: 1000, handsWon: 12, showdownsWon: 5, biggestPotWon: 900, biggestPotLost: 400,
+    });
+    assert.equal(text, 'Session recap: 42 hands in 1h 05m, 38.8/h. Net +350 (1000 → 2350, 1 rebuy for 1000). '
+      + 'Won 12 (5 at showdown). Biggest pot won 900, lost 400.');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, createReconnectSupervisor } from '../sse-supervisor.js';
+
+function harness(options = {}) {
+  let clock = 0;
+  const timers = [];
+  const sources = [];
+  const log = [];
+  const supervisor = createReconnectSupervisor({
+    connect: () => {
+      const source = { closed: false, close() { this.closed = true; } };
+      sources.push(source);
+      return source;
+    },
+    onReconnecting: (info) => log.push(['reconnecting', info]),
+    onReconnected: (info) => log.push(['reconnected', info]),
+    onGiveUp: (info) => log.push(['giveUp', info]),
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+    maxOutageMs: 20000,
+    now: () => clock,
+    schedule: (fn, ms) => { const t = { fn, at: clock + ms }; timers.push(t); return t; },
+    cancel: (t) => { timers.splice(timers.indexOf(t), 1); },
+    ...options,
+  });
+  function advance(ms) {
+    clock += ms;
+    for (const t of [...timers]) {
+      if (t.at <= clock) { timers.splice(timers.indexOf(t), 1); t.fn(); }
+    }
+  }
+  return { supervisor, sources, log, timers, advance };
+}
+
+describe('backoffDelay', () => {
+  it('doubles per attempt up to the cap', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(a => backoffDelay(a, 1000, 8000)), [1000, 2000, 4000, 8000, 8000, 8000]);
+  });
+});
+
+describe('createReconnectSupervisor', () => {
+  it('closes the failed source and reconnects with backoff', () => {
+    const { supervisor, sources, log, advance } = harness();
+    supervisor.start();
+    assert.equal(sources.length, 1);
+
+    supervisor.handleError();
+    assert.equal(sources[0].closed, true);
+    assert.deepStrictEqual(log[0], ['reconnecting', { attempt: 1, delayMs: 1000 }]);
+
+    advance(1000);
+    assert.equal(sources.length, 2);
+
+    supervisor.handleError();
+    assert.deepStrictEqual(log[1], ['reconnecting', { attempt: 2, delayMs: 2000 }]);
+    advance(2000);
+    assert.equal(sources.length, 3);
+
+    supervisor.handleOpen();
+    assert.deepStrictEqual(log[2], ['reconnected', { attempts: 2, outageMs: 3000 }]);
+    assert.equal(supervisor.isReconnecting(), false);
+  });
+
+  it('ignores repeated errors while a reconnect is scheduled', () => {
+    const { supervisor, log } = harness();
+    supervisor.start();
+    supervisor.handleError();
+    supervisor.handleError();
+    assert.equal(log.length, 1);
+  });
+
+  it('does not report a reconnect for the first open', () => {
+    const { supervisor, log } = harness();
+    supervisor.start();
+    supervisor.handleOpen();
+    assert.equal(log.length, 0);
+  });
+
+  it('gives up once the outage exceeds the maximum window', () => {
+    const { supervisor, sources, log, advance } = harness();
+    supervisor.start();
+    for (let i = 0; i < 10; i++) {
+      supervisor.handleError();
+      advance(8000);
+    }
+    const giveUp = log.find(([kind]) => kind === 'giveUp');
+    assert.ok(giveUp, 'should give up');
+    assert.ok(giveUp[1].outageMs >= 20000);
+    const count = sources.length;
+    advance(60000);
+    assert.equal(sources.length, count, 'no reconnects after giving up');
+  });
+
+  it('stop cancels a pending reconnect', () => {
+    const { supervisor, sources, timers, advance } = harness();
+    supervisor.start();
+    supervisor.handleError();
+    supervisor.stop();
+    assert.equal(timers.length, 0);
+    advance(10000);
+    assert.equal(sources.length, 1);
+  });
+});
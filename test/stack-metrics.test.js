@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveBigBlind, toBB, computeStackMetrics } from '../stack-metrics.js';
+import { player, makeView as baseView } from './helpers.js';
+
+function makeView(overrides = {}) {
+  return baseView({
+    yourChips: 800,
+    pot: 100,
+    players: [
+      player(0, 'Hero', { chips: 800 }),
+      player(1, 'Short', { chips: 300 }),
+      player(2, 'Deep', { chips: 2000 }),
+      player(3, 'Gone', { status: 'folded' }),
+    ],
+    availableActions: [
+      { type: 'fold' },
+      { type: 'call', amount: 40 },
+      { type: 'raise', minAmount: 80, maxAmount: 800 },
+    ],
+    ...overrides,
+  });
+}
+
+describe('resolveBigBlind', () => {
+  it('prefers the view forced bets', () => {
+    assert.equal(resolveBigBlind(makeView(), { bigBlind: 50 }), 20);
+  });
+
+  it('falls back to the game mode', () => {
+    const view = makeView({ forcedBets: undefined });
+    assert.equal(resolveBigBlind(view, { bigBlind: 50 }), 50);
+    assert.equal(resolveBigBlind(view, { blinds: { small: 5, big: 10 } }), 10);
+    assert.equal(resolveBigBlind(view, null), null);
+  });
+});
+
+describe('toBB', () => {
+  it('rounds to one decimal', () => {
+    assert.equal(toBB(970, 20), 48.5);
+    assert.equal(toBB(1000, 30), 33.3);
+  });
+});
+
+describe('computeStackMetrics', () => {
+  it('reports effective stacks against live opponents only', () => {
+    const m = computeStackMetrics(makeView(), 20);
+    assert.equal(m.stackBB, 40);
+    assert.deepEqual(m.effective, [
+      { name: 'Short', chips: 300, bb: 15 },
+      { name: 'Deep', chips: 800, bb: 40 },
+    ]);
+    assert.equal(m.effectiveBB, 40);
+  });
+
+  it('computes SPR from the deepest effective stack', () => {
+    assert.equal(computeStackMetrics(makeView(), 20).spr, 8);
+    assert.equal(computeStackMetrics(makeView({ pot: 0 }), 20).spr, null);
+  });
+
+  it('converts the call and raise range', () => {
+    const m = computeStackMetrics(makeView(), 20);
+    assert.equal(m.callBB, 2);
+    assert.deepEqual(m.raiseBB, { min: 4, max: 40 });
+  });
+
+  it('returns null without a blind level', () => {
+    assert.equal(computeStackMetrics(makeView(), null), null);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { diffStates } from '../state-differ.js';
+import { diffStates, diffActions, diffRoster, shownHands, isAllInLocked } from '../state-differ.js';
+import { createTranslator } from '../messages.js';
 
 /**
  * Factory to build a PlayerView with sensible defaults.
@@ -88,14 +89,17 @@ describe('diffStates — new hand started', () => {
   it('returns hand start event when prev is null', () => {
     const next = makeView({ handNumber: 1, yourCards: ['As', 'Kh'] });
     const events = diffStates(null, next);
-    assert.deepStrictEqual(events, ['**[Hand #1]** Your cards: A\u2660 K\u2665 \u00b7 Stack: 970']);
+    assert.deepStrictEqual(events, ['**[Hand #1]** Your cards: A\u2660 K\u2665 \u00b7 Stack: 970 \u00b7 BTN']);
   });
 
   it('returns hand start event when handNumber changed', () => {
     const prev = makeView({ handNumber: 1 });
     const next = makeView({ handNumber: 2, yourCards: ['Tc', '9d'] });
     const events = diffStates(prev, next);
-    assert.deepStrictEqual(events, ['**[Hand #2]** Your cards: T\u2663 9\u2666 \u00b7 Stack: 970']);
+    assert.deepStrictEqual(events, [
+      '**[Hand #2]** You post small blind 10 \u00b7 Alice posts big blind 20',
+      '**[Hand #2]** Your cards: T\u2663 9\u2666 \u00b7 Stack: 970 \u00b7 BTN',
+    ]);
   });
 
   it('does not produce other events when hand just started', () => {
@@ -105,10 +109,10 @@ describe('diffStates — new hand started', () => {
       boardCards: ['As', '7c', '2d'],
       yourCards: ['Qh', 'Js'],
     });
-    // Only the hand-start event, nothing about the flop
+    // Only the blinds and hand-start event, nothing about the flop
     const events = diffStates(prev, next);
-    assert.equal(events.length, 1);
-    assert.match(events[0], /^\*\*\[Hand #2\]\*\*/);
+    assert.equal(events.length, 2);
+    assert.match(events[1], /^\*\*\[Hand #2\]\*\* Your cards/);
   });
 });
 
@@ -123,6 +127,16 @@ describe('diffStates — flop dealt', () => {
       phase: 'FLOP',
     });
     const events = diffStates(prev, next);
+    assert.ok(events.includes('**[Hand #1]** Flop: A\u2660 7\u2663 2\u2666 | Pot: 42 \u00b7 You: top pair, top kicker'));
+  });
+  it('omits our hand strength once we have folded', () => {
+    const prev = withPlayerUpdate(makeView({ boardCards: [], pot: 30 }), 0, { status: 'folded' });
+    const next = withPlayerUpdate(makeView({
+      boardCards: ['As', '7c', '2d'],
+      pot: 42,
+      phase: 'FLOP',
+    }), 0, { status: 'folded' });
+    const events = diffStates(prev, next);
     assert.ok(events.includes('**[Hand #1]** Flop: A\u2660 7\u2663 2\u2666 | Pot: 42'));
   });
 });
@@ -142,7 +156,7 @@ describe('diffStates — turn dealt', () => {
       phase: 'TURN',
     });
     const events = diffStates(prev, next);
-    assert.ok(events.includes('**[Hand #1]** Turn: K\u2665 \u2192 A\u2660 7\u2663 2\u2666 K\u2665 | Pot: 80'));
+    assert.ok(events.includes('**[Hand #1]** Turn: K\u2665 \u2192 A\u2660 7\u2663 2\u2666 K\u2665 | Pot: 80 \u00b7 You: two pair, aces and kings'));
   });
 });
 
@@ -161,7 +175,7 @@ describe('diffStates — river dealt', () => {
       phase: 'RIVER',
     });
     const events = diffStates(prev, next);
-    assert.ok(events.includes('**[Hand #1]** River: 3\u2660 \u2192 A\u2660 7\u2663 2\u2666 K\u2665 3\u2660 | Pot: 120'));
+    assert.ok(events.includes('**[Hand #1]** River: 3\u2660 \u2192 A\u2660 7\u2663 2\u2666 K\u2665 3\u2660 | Pot: 120 \u00b7 You: two pair, aces and kings'));
   });
 });
 
@@ -422,6 +436,176 @@ describe('diffStates — opponent went all-in', () => {
   });
 });
 
+// ─── Showdown reveals ───────────────────────────────────────────────
+
+describe('diffStates — showdown reveals', () => {
+  const BOARD = ['Qh', '7c', '2d', '9s', '3h'];
+
+  it('reports cards that turn up on the players', () => {
+    const prev = makeView({ phase: 'RIVER', boardCards: BOARD });
+    const next = withPlayerUpdate({ ...prev, phase: 'SHOWDOWN' }, 2, { cards: ['Qs', 'Qd'] });
+    assert.deepStrictEqual(diffStates(prev, next), ['**[Hand #1]** Bob shows Q\u2660 Q\u2666 (set of queens)']);
+    assert.deepStrictEqual(diffStates(next, { ...next }), [], 'each reveal is reported once');
+  });
+
+  it('reads reveals from the hand result at showdown, skipping our own cards', () => {
+    const prev = makeView({ phase: 'RIVER', boardCards: BOARD });
+    const next = makeView({
+      phase: 'SHOWDOWN',
+      boardCards: BOARD,
+      lastHandResult: {
+        winners: [1],
+        players: [{ seat: 0, name: 'Hero', cards: ['As', 'Kh'] }, { seat: 1, name: 'Alice', holeCards: ['9h', '9d'] }],
+        potResults: [{ amount: 400 }],
+      },
+    });
+    assert.deepStrictEqual(diffStates(prev, next), ['**[Hand #1]** Alice shows 9\u2665 9\u2666 (set of nines)']);
+  });
+
+  it('ignores the previous hand\'s result while a hand is in play', () => {
+    const result = { winners: [1], players: [{ seat: 1, name: 'Alice', cards: ['9h', '9d'] }], potResults: [{ amount: 40 }] };
+    const view = makeView({ handNumber: 2, lastHandResult: result });
+    assert.deepStrictEqual(shownHands(view), []);
+    assert.equal(shownHands(view, { includeResult: true, board: BOARD })[0].hand, 'set of nines');
+  });
+});
+
+// ─── Table roster ───────────────────────────────────────────────────
+
+describe('diffStates — table roster', () => {
+  const carol = { seat: 3, name: 'Carol', chips: 1500, bet: 0, invested: 0, status: 'sitting_out', isCurrentActor: false };
+
+  it('reports a player sitting down and one leaving mid-hand', () => {
+    const prev = makeView();
+    const next = makeView({ players: [...prev.players.filter(p => p.seat !== 2), carol] });
+    assert.deepStrictEqual(diffStates(prev, next), [
+      '**[Hand #1]** Bob left the table',
+      '**[Hand #1]** Carol sat down in seat 4 with 1500',
+    ]);
+  });
+
+  it('treats a new name in the same seat as a leave and a join', () => {
+    const prev = makeView();
+    const next = withPlayerUpdate(prev, 2, { name: 'Dave' });
+    assert.deepStrictEqual(diffRoster(prev, next).map(c => `${c.type} ${c.name}`), ['leave Bob', 'join Dave']);
+  });
+
+  it('reports sitting out and coming back', () => {
+    const prev = makeView();
+    const away = withPlayerUpdate(prev, 2, { status: 'sitting_out' });
+    assert.deepStrictEqual(diffStates(prev, away), ['**[Hand #1]** Bob is sitting out']);
+    assert.deepStrictEqual(diffStates(away, withPlayerUpdate(away, 2, { status: 'active' })), ['**[Hand #1]** Bob is back']);
+    assert.deepStrictEqual(diffStates(prev, withPlayerUpdate(prev, 0, { status: 'sitting_out' })), ['**[Hand #1]** You are sitting out']);
+  });
+
+  it('reports a rebuy when a stack grows between hands', () => {
+    const prev = makeView({ phase: 'SHOWDOWN' });
+    const next = withPlayerUpdate(makeView({ handNumber: 2, phase: 'FLOP' }), 2, { chips: 3000 });
+    assert.deepStrictEqual(diffStates(prev, next), [
+      '**[Hand #2]** Bob rebought 2000 \u00b7 Stack: 3000',
+      '**[Hand #2]** Your cards: A\u2660 K\u2665 \u00b7 Stack: 970 \u00b7 BTN',
+    ]);
+  });
+
+  it('takes the ending stacks from the result when the hand was cut short', () => {
+    const prev = makeView();
+    const result = { winners: [1], players: [{ seat: 2, name: 'Bob', chips: 0 }] };
+    const next = withPlayerUpdate(makeView({ handNumber: 2, phase: 'FLOP', lastHandResult: result }), 2, { chips: 1000 });
+    assert.deepStrictEqual(diffRoster(prev, next), [{ type: 'rebuy', seat: 2, name: 'Bob', isSelf: false, amount: 1000, chips: 1000 }]);
+    // Without a result the previous stacks are mid-hand and prove nothing
+    assert.deepStrictEqual(diffRoster(prev, { ...next, lastHandResult: null }), []);
+  });
+
+  it('reports the button moving and the blinds and antes posted', () => {
+    const prev = makeView();
+    const next = makeView({
+      handNumber: 2,
+      dealerSeat: 1,
+      forcedBets: { smallBlind: 10, bigBlind: 20, ante: 5 },
+      players: [
+        { seat: 0, name: 'Hero', chips: 975, bet: 20, invested: 25, status: 'active' },
+        { seat: 1, name: 'Alice', chips: 975, bet: 0, invested: 5, status: 'active' },
+        { seat: 2, name: 'Bob', chips: 975, bet: 10, invested: 15, status: 'active' },
+      ],
+    });
+    assert.deepStrictEqual(diffStates(prev, next).slice(0, 2), [
+      '**[Hand #2]** Button moves to Alice',
+      '**[Hand #2]** Bob posts small blind 10 \u00b7 You post big blind 20 \u00b7 3 players ante 5',
+    ]);
+  });
+
+  it('says nothing about the roster on the first state', () => {
+    assert.deepStrictEqual(diffRoster(null, makeView()), []);
+  });
+});
+
+describe('diffStates — locale', () => {
+  it('narrates in the translator\'s language', () => {
+    const t = createTranslator('es');
+    const prev = makeView({ handNumber: 1 });
+    const next = withPlayerUpdate(makeView({ handNumber: 2, yourCards: ['Tc', '9d'] }), 0, { chips: 12500 });
+    assert.deepStrictEqual(diffStates(prev, next, t), [
+      '**[Mano #2]** Pones la ciega pequeña de 10 \u00b7 Alice pone la ciega grande de 20',
+      '**[Mano #2]** Tus cartas: T\u2663 9\u2666 \u00b7 Fichas: 12.500 \u00b7 BTN',
+    ]);
+    const bet = withPlayerUpdate(next, 1, { bet: 60, invested: 60, chips: 940 });
+    assert.deepStrictEqual(diffStates(next, bet, t), ['**[Mano #2]** Alice sube a 60 (60 en el bote \u00b7 940 detrás)']);
+  });
+});
+
+// ─── All-in runouts ─────────────────────────────────────────────────
+
+describe('diffStates — all-in runout', () => {
+  const BOARD = ['8s', '7d', '6c', '4h', '4s'];
+  const allIn = (overrides = {}) => makeView({
+    pot: 2020,
+    players: [
+      { seat: 0, name: 'Hero', chips: 0, bet: 1000, invested: 1000, status: 'all_in' },
+      { seat: 1, name: 'Alice', chips: 0, bet: 1000, invested: 1000, status: 'all_in', ...overrides },
+      { seat: 2, name: 'Bob', chips: 980, bet: 20, invested: 20, status: 'folded' },
+    ],
+  });
+
+  it('narrates every street when the board arrives at once', () => {
+    const prev = allIn();
+    const next = { ...allIn(), phase: 'RIVER', boardCards: BOARD };
+    assert.deepStrictEqual(diffStates(prev, next), [
+      '**[Hand #1]** Flop: 8\u2660 7\u2666 6\u2663 | Pot: 2020 · You: ace high',
+      '**[Hand #1]** Turn: 4\u2665 \u2192 8\u2660 7\u2666 6\u2663 4\u2665 | Pot: 2020 · You: ace high',
+      '**[Hand #1]** River: 4\u2660 \u2192 8\u2660 7\u2666 6\u2663 4\u2665 4\u2660 | Pot: 2020 · You: pair on board',
+    ]);
+  });
+
+  it('reports the turn when the flop and turn arrive together', () => {
+    const events = diffStates(allIn(), { ...allIn(), phase: 'TURN', boardCards: BOARD.slice(0, 4) });
+    assert.deepStrictEqual(events.map(e => e.split(':')[0]), ['**[Hand #1]** Flop', '**[Hand #1]** Turn']);
+  });
+
+  it('announces the runout with equity once the hands are turned up', () => {
+    const prev = makeView({ isYourTurn: true });
+    const next = allIn({ cards: ['Kh', 'Kc'] });
+    const events = diffStates(prev, next);
+    assert.ok(events.includes('**[Hand #1]** Alice shows K\u2665 K\u2663 (pocket kings)'));
+    assert.match(events.at(-1), /^\*\*\[Hand #1\]\*\* All-in and called — running it out · Equity: You (\d+)%, Alice (\d+)%$/);
+    const [, you, alice] = events.at(-1).match(/You (\d+)%, Alice (\d+)%/).map(Number);
+    assert.ok(you > 25 && you < 40 && Math.abs(you + alice - 100) <= 1);
+
+    // Equity again on each street; none on the river, where it is settled
+    const flop = diffStates(next, { ...next, phase: 'FLOP', boardCards: BOARD.slice(0, 3) });
+    assert.match(flop[0], /· You: ace high · Equity: You \d+%, Alice \d+%$/);
+    const river = diffStates({ ...next, boardCards: BOARD.slice(0, 4) }, { ...next, boardCards: BOARD });
+    assert.ok(!river[0].includes('Equity'));
+  });
+
+  it('does not announce while someone can still act', () => {
+    const facing = allIn({ status: 'active', chips: 500, bet: 0, isCurrentActor: true });
+    assert.equal(isAllInLocked(facing), false);
+    assert.equal(isAllInLocked(allIn()), true);
+    assert.equal(isAllInLocked(allIn({ status: 'active', chips: 500, bet: 1000 })), true);
+    assert.ok(!diffStates(makeView(), facing).some(e => e.includes('running it out')));
+  });
+});
+
 // ─── 11. No changes ──────────────────────────────────────────────────
 
 describe('diffStates — no changes', () => {
@@ -490,13 +674,13 @@ describe('diffStates — edge cases', () => {
     next.players[2] = { ...next.players[2], status: 'folded' };
     const events = diffStates(prev, next);
     assert.ok(events.includes('**[Hand #1]** Bob folded'));
-    assert.ok(events.includes('**[Hand #1]** Flop: A\u2660 7\u2663 2\u2666 | Pot: 60'));
+    assert.ok(events.includes('**[Hand #1]** Flop: A\u2660 7\u2663 2\u2666 | Pot: 60 \u00b7 You: top pair, top kicker'));
   });
 
   it('handles prev with undefined prev (first state)', () => {
     const next = makeView({ handNumber: 1, yourCards: ['Ac', 'Kc'] });
     const events = diffStates(undefined, next);
-    assert.deepStrictEqual(events, ['**[Hand #1]** Your cards: A\u2663 K\u2663 \u00b7 Stack: 970']);
+    assert.deepStrictEqual(events, ['**[Hand #1]** Your cards: A\u2663 K\u2663 \u00b7 Stack: 970 \u00b7 BTN']);
   });
 
   it('all-in takes priority over bet/raise/call reporting', () => {
@@ -525,3 +709,37 @@ describe('diffStates — edge cases', () => {
     assert.equal(betEvents.length, 0);
   });
 });
+
+// ─── diffActions ─────────────────────────────────────────────────────
+
+describe('diffActions', () => {
+  it('returns structured actions including our own seat', () => {
+    const prev = makeView();
+    let next = withPlayerUpdate(makeView(), 0, { bet: 20, invested: 20, chips: 960 });
+    next = withPlayerUpdate(next, 2, { status: 'folded' });
+    const actions = diffActions(prev, next);
+
+    assert.deepStrictEqual(actions.map(a => [a.name, a.type, a.isSelf]), [
+      ['Hero', 'call', true],
+      ['Bob', 'fold', false],
+    ]);
+    assert.equal(actions[0].prevBet, 10);
+    assert.equal(actions[0].prevMaxBet, 20);
+  });
+
+  it('finds the call that closed the street in the chips invested', () => {
+    const prev = withPlayerUpdate(makeView({ players: makeView().players.slice(0, 2) }), 0, { isCurrentActor: true });
+    const flop = makeView({
+      phase: 'FLOP',
+      boardCards: ['2s', '7h', '9d'],
+      players: prev.players.map(p => ({ ...p, chips: 980, bet: 0, invested: 20, isCurrentActor: false })),
+    });
+    const [call] = diffActions(prev, flop);
+    assert.deepStrictEqual([call.name, call.type, call.bet, call.prevBet], ['Hero', 'call', 20, 10]);
+  });
+
+  it('returns nothing across a hand change', () => {
+    assert.deepStrictEqual(diffActions(makeView(), makeView({ handNumber: 2 })), []);
+    assert.deepStrictEqual(diffActions(null, makeView()), []);
+  });
+});
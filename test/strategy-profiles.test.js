@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { comboCount } from '../ranges.js';
+import { PROFILES, PROFILE_NAMES, DEFAULT_PROFILE, getProfile, describeProfile } from '../strategy-profiles.js';
+
+const HAND_KEY = /^(?:([2-9TJQKA])\1|[2-9TJQKA]{2}[so])$/;
+
+describe('PROFILES', () => {
+  it('ships the four named profiles with standard as the default', () => {
+    assert.deepEqual(PROFILE_NAMES, ['tight', 'standard', 'loose-aggressive', 'short-stack']);
+    assert.equal(DEFAULT_PROFILE, 'standard');
+  });
+
+  it('standard opens the SKILL.md chart', () => {
+    const { premium, standard, late } = PROFILES.standard.open;
+    assert.deepEqual([comboCount(premium), comboCount(standard), comboCount(late)], [18, 52, 100]);
+    assert.ok(late.has('A2s') && late.has('22') && !late.has('A2o'));
+  });
+
+  for (const profile of Object.values(PROFILES)) {
+    it(`${profile.name}: ranges are canonical hand keys without overlaps`, () => {
+      const { premium, standard, late } = profile.open;
+      for (const key of [...premium, ...standard, ...late, ...profile.threeBet, ...profile.flat]) {
+        assert.match(key, HAND_KEY);
+      }
+      const opens = [...premium, ...standard, ...late];
+      assert.equal(new Set(opens).size, opens.length);
+      assert.ok(![...profile.threeBet].some(key => profile.flat.has(key)));
+      assert.ok(profile.cbet.frequency > 0 && profile.cbet.frequency <= 1);
+    });
+  }
+});
+
+describe('getProfile', () => {
+  it('normalises case and separators', () => {
+    assert.equal(getProfile('Loose Aggressive').name, 'loose-aggressive');
+    assert.equal(getProfile(' short_stack\n').name, 'short-stack');
+    assert.equal(getProfile('nitty'), null);
+  });
+});
+
+describe('describeProfile', () => {
+  it('renders the standard chart', () => {
+    const text = describeProfile(PROFILES.standard);
+    assert.ok(text.startsWith('Profile: standard'));
+    assert.ok(text.includes('- Preflop: QQ+ raise 3x BB. JJ-88, AJs+, KQs, AKo raise 2.5x BB.'));
+    assert.ok(text.includes('also opens 77-22, ATs-A2s, KJs, QJs, JTs, T9s, 98s, 87s, 76s.'));
+    assert.ok(text.includes('3-bet QQ+, AKs, AKo to 3x the raise, call JJ-TT'));
+    assert.ok(text.includes('set-mine when pot odds are better than 4:1'));
+    assert.ok(text.includes('always c-bet 33% pot'));
+    assert.ok(text.endsWith('- Under 10 BB: shove or fold only.'));
+  });
+
+  it('renders partial c-bet frequencies and no set-mining', () => {
+    assert.ok(describeProfile(PROFILES.tight).includes('c-bet 33% pot about 50% of the time'));
+    assert.ok(describeProfile(PROFILES['short-stack']).includes('No set-mining.'));
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  createOpenclawTransport,
+  createWebhookTransport,
+  createFileTransport,
+  createStdoutTransport,
+  createTransport,
+} from '../transports.js';
+
+function listen(handler) {
+  return new Promise(resolve => {
+    const server = createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+describe('createOpenclawTransport', () => {
+  it('passes the message through the environment, not the command line', async () => {
+    const calls = [];
+    const exec = (cmd, opts, cb) => { calls.push({ cmd, opts }); cb(null); };
+    const t = createOpenclawTransport({ channel: 'telegram', chatId: '123', exec });
+    await t.send('Bob folded; rm -rf /');
+
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0].cmd.includes('--channel telegram --target 123'));
+    assert.ok(!calls[0].cmd.includes('Bob folded'));
+    assert.equal(calls[0].opts.env.POKER_MSG, 'Bob folded; rm -rf /');
+  });
+
+  it('rejects when the CLI fails', async () => {
+    const exec = (cmd, opts, cb) => cb(new Error('not found'));
+    const t = createOpenclawTransport({ channel: 'telegram', chatId: '123', exec });
+    await assert.rejects(t.send('hi'), /not found/);
+  });
+});
+
+describe('createWebhookTransport', () => {
+  it('POSTs the text as JSON to a local stand-in', async () => {
+    const received = [];
+    const server = await listen((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    try {
+      const { port } = server.address();
+      const t = createWebhookTransport({ url: `http://127.0.0.1:${port}/hook` });
+      await t.send('Alice raised to 60');
+      assert.deepStrictEqual(received, [{ method: 'POST', type: 'application/json', body: { text: 'Alice raised to 60' } }]);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('rejects on a non-2xx response', async () => {
+    const server = await listen((req, res) => { res.statusCode = 502; res.end(); });
+    try {
+      const { port } = server.address();
+      const t = createWebhookTransport({ url: `http://127.0.0.1:${port}/hook` });
+      await assert.rejects(t.send('hi'), /502/);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('createFileTransport', () => {
+  it('appends timestamped lines', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'poker-transport-'));
+    try {
+      const path = join(dir, 'table.log');
+      const t = createFileTransport({ path, now: () => new Date('2026-01-02T03:04:05Z') });
+      await t.send('first');
+      await t.send('second');
+      assert.equal(readFileSync(path, 'utf8'), '[2026-01-02T03:04:05.000Z] first\n[2026-01-02T03:04:05.000Z] second\n');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('createStdoutTransport', () => {
+  it('writes a MESSAGE JSON line', async () => {
+    const lines = [];
+    const t = createStdoutTransport({ write: line => lines.push(line) });
+    await t.send('Table closed.');
+    assert.deepStrictEqual(lines, ['{"type":"MESSAGE","text":"Table closed."}\n']);
+  });
+});
+
+describe('createTransport', () => {
+  it('builds each transport by name', () => {
+    assert.equal(createTransport({ transport: 'openclaw', channel: 'telegram', chatId: '1' }).name, 'openclaw');
+    assert.equal(createTransport({ transport: 'webhook', webhookUrl: 'http://localhost/x' }).name, 'webhook');
+    assert.equal(createTransport({ transport: 'file', messageFile: '/tmp/x.log' }).name, 'file');
+    assert.equal(createTransport({ transport: 'stdout' }).name, 'stdout');
+  });
+
+  it('reports missing targets and unknown transports', () => {
+    assert.throws(() => createTransport({ transport: 'webhook' }), /--webhook-url/);
+    assert.throws(() => createTransport({ transport: 'file' }), /--message-file/);
+    assert.throws(() => createTransport({ transport: 'pigeon' }), /Unknown transport "pigeon"/);
+  });
+});
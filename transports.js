@@ -0,0 +1,81 @@
+import { exec as execCallback } from 'node:child_process';
+import { appendFile } from 'node:fs/promises';
+
+/**
+ * Message delivery transports. Every transport has a `name` and a
+ * `send(text)` that resolves once delivered and rejects on failure.
+ */
+
+export const TRANSPORT_TYPES = ['openclaw', 'webhook', 'file', 'stdout'];
+
+export function createOpenclawTransport({ channel, chatId, exec = execCallback }) {
+  return {
+    name: 'openclaw',
+    send(text) {
+      return new Promise((resolve, reject) => {
+        exec(
+          `openclaw message send --channel ${channel} --target ${chatId} --message "$POKER_MSG" --json`,
+          { env: { ...process.env, POKER_MSG: text }, timeout: 10000 },
+          (err) => (err ? reject(err) : resolve()),
+        );
+      });
+    },
+  };
+}
+
+export function createWebhookTransport({ url, fetchFn = fetch, timeoutMs = 10000 }) {
+  return {
+    name: 'webhook',
+    async send(text) {
+      const resp = await fetchFn(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) throw new Error(`Webhook responded ${resp.status}`);
+    },
+  };
+}
+
+export function createFileTransport({ path, now = () => new Date() }) {
+  return {
+    name: 'file',
+    send(text) {
+      return appendFile(path, `[${now().toISOString()}] ${text}\n`);
+    },
+  };
+}
+
+export function createStdoutTransport({ write = (line) => process.stdout.write(line) } = {}) {
+  return {
+    name: 'stdout',
+    async send(text) {
+      write(JSON.stringify({ type: 'MESSAGE', text }) + '\n');
+    },
+  };
+}
+
+/**
+ * Build the transport selected by `deliveryOptions` (config.js).
+ * Throws when the selection is unknown or missing its target.
+ *
+ * @param {{transport: string, channel?: string, chatId?: string, webhookUrl?: string, messageFile?: string}} options
+ */
+export function createTransport(options) {
+  switch (options.transport) {
+    case 'openclaw':
+      if (!options.channel || !options.chatId) throw new Error('openclaw transport needs --channel and --target');
+      return createOpenclawTransport(options);
+    case 'webhook':
+      if (!options.webhookUrl) throw new Error('webhook transport needs --webhook-url');
+      return createWebhookTransport({ url: options.webhookUrl });
+    case 'file':
+      if (!options.messageFile) throw new Error('file transport needs --message-file');
+      return createFileTransport({ path: options.messageFile });
+    case 'stdout':
+      return createStdoutTransport();
+    default:
+      throw new Error(`Unknown transport "${options.transport}" (expected one of: ${TRANSPORT_TYPES.join(', ')})`);
+  }
+}